@@ -0,0 +1,197 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * access.js - Authorization middleware used by every router, and what each account may see.
+ *           - There are two roles: users, who can be limited to some libraries, media types and a maximum content
+ *             rating, and admins, who see everything and manage the server.
+ *           - The account is loaded on every request, so that disabled or demoted accounts and changed grants take
+ *             effect straight away. It is req.account, and what it may see is req.access (for the db functions).
+ *           - Clients that can not log in through the login page (eg. OPDS ebook readers) use HTTP Basic auth instead.
+ */
+
+// Require dependencies
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const db = require(path.join(__dirname, 'db.js'));
+const sidecar = require(path.join(__dirname, 'sidecar.js'));
+const throttle = require(path.join(__dirname, 'throttle.js'));
+
+// The credentials of the admin account created by the first database migration (db.migrate), they must be changed on first use
+const DEFAULT_USERNAME = 'admin';
+const DEFAULT_PASSWORD = 'admin';
+// Milliseconds that checked Basic auth credentials are remembered, clients send them with every request and bcrypt is slow
+const BASIC_AUTH_CACHE_TIME = 5 * 60 * 1000;
+// Number of credentials that are remembered
+const BASIC_AUTH_CACHE_SIZE = 100;
+
+// Credentials that were checked (by a hash of the username and password): { accountID, password (hash), expires }
+let basicAuthCache = new Map();
+
+/**
+ * Work out what an account may see from its grants
+ * @param {Object} account Users row from the database
+ * @returns {Object} { libraries, types, maxRating } - LibraryIDs, media types and the level of the highest content rating
+ *                   (undefined for no limit), or undefined if the account is not limited at all (eg. admins)
+ */
+function mediaAccess(account) {
+  if (account.IsAdmin) return undefined;
+  const access = {
+    libraries: account.Libraries ? JSON.parse(account.Libraries) : undefined,
+    types: account.MediaTypes ? JSON.parse(account.MediaTypes) : undefined,
+    maxRating: account.MaxRating ? sidecar.ratingLevel(account.MaxRating) : undefined
+  };
+  if (!access.libraries && !access.types && access.maxRating === undefined) return undefined;
+  return access;
+}
+
+/**
+ * Check that a path is within one of the enabled libraries, so that nothing outside of them is ever served
+ * @param {String} filePath Path to be checked
+ * @returns {Boolean} True if the path is inside the path of an enabled library
+ */
+async function isInLibrary(filePath) {
+  try {
+    // Resolve symbolic links on both sides before comparing
+    const realPath = await fs.promises.realpath(filePath);
+    for (const library of await db.libraries.list()) {
+      if (!library.Enabled) continue;
+      let root;
+      try { root = await fs.promises.realpath(library.Path) } catch { continue }
+      const relative = path.relative(root, realPath);
+      if (relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative)) return true;
+    }
+  } catch {}
+  return false;
+}
+
+/**
+ * Find where a media item can be served from. The same file may be indexed at several paths, the
+ * first one that is enabled and in the library is used.
+ * @param {String} hash Hash of the media item
+ * @param {Object} access What the logged in account may see (req.access, see mediaAccess())
+ * @returns {String} Full path of the media file, undefined if it can not be served
+ */
+async function findMediaPath(hash, access) {
+  for (const entry of await db.media.get(hash, access)) {
+    if (entry.Enabled && await isInLibrary(entry.Path)) return entry.Path;
+  }
+}
+
+/**
+ * Build the middleware that requires a logged in account, and optionally the admin role
+ * @param {Object} options { admin, json, passwordChange } - admin: only admins are let through, json: respond with API
+ *                         errors instead of redirecting to the login page, passwordChange: paths that are allowed
+ *                         before the default password has been changed (everything else is refused until it is)
+ * @returns {Function} Express middleware
+ */
+function requireLogin(options = {}) {
+  const refuse = (req, res, status, message) => {
+    if (options.json) return res.status(status).json({ code: status, message: message });
+    if (status === 401 || (status === 403 && req.session.mustChangePassword)) return res.redirect('/auth');
+    res.status(status).send(message);
+  };
+  return async (req, res, next) => {
+    if (!req.session.username) return refuse(req, res, 401, 'Not logged in');
+    if (req.session.mustChangePassword && !(options.passwordChange || []).includes(req.path)) return refuse(req, res, 403, 'Password change required');
+    try {
+      // Routers that are nested in one another share the account that was already loaded
+      if (!req.account) {
+        const account = await db.user.getByID(req.session.accountID);
+        if (!account || account.IsDisabled) {
+          // The session is ended, the login page would otherwise send it straight back
+          await new Promise(resolve => req.session.destroy(resolve));
+          return refuse(req, res, 401, 'Not logged in');
+        }
+        req.account = account;
+        req.access = mediaAccess(account);
+        // The pages show the admin links by the session, it follows changes to the account
+        req.session.isAdmin = Boolean(account.IsAdmin);
+      }
+      if (options.admin && !req.account.IsAdmin) return refuse(req, res, 403, 'Admin access required');
+      next();
+    } catch (err) {
+      db.log(`[AUTH] Unable to check access: ${err.message}`, 'error');
+      refuse(req, res, 500, 'Unable to check access');
+    }
+  };
+}
+
+/**
+ * Check HTTP Basic auth credentials against the accounts
+ * @param {String} username Account name
+ * @param {String} password Password
+ * @returns {Object} Users row of the account, or undefined if the credentials are wrong or the account is disabled
+ */
+async function basicAuthAccount(username, password) {
+  const key = crypto.createHash('sha256').update(`${username}\0${password}`).digest('hex');
+  const cached = basicAuthCache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    const account = await db.user.getByID(cached.accountID);
+    // A changed password or account name ends the remembered credentials
+    if (account && !account.IsDisabled && account.AccountName === username && account.Password === cached.password) return account;
+  }
+  basicAuthCache.delete(key);
+  if ((await db.user.authenticate(username, password)) !== 0) return undefined;
+  const account = await db.user.get(username);
+  // Expired credentials are forgotten first, then the oldest (a Map keeps the order things were added in)
+  for (const [otherKey, other] of basicAuthCache) if (other.expires <= Date.now()) basicAuthCache.delete(otherKey);
+  if (basicAuthCache.size >= BASIC_AUTH_CACHE_SIZE) basicAuthCache.delete(basicAuthCache.keys().next().value);
+  basicAuthCache.set(key, { accountID: account.AccountID, password: account.Password, expires: Date.now() + BASIC_AUTH_CACHE_TIME });
+  return account;
+}
+
+/**
+ * Build the middleware that requires an account through HTTP Basic auth, for clients that do not keep a session
+ * @param {Object} options { realm } - realm: the name that clients show when they ask for the credentials
+ * @returns {Function} Express middleware
+ */
+function requireBasicAuth(options = {}) {
+  const realm = options.realm || 'nelfe';
+  const refuse = (res, status, message) => {
+    if (status === 401) res.set('WWW-Authenticate', `Basic realm="${realm}", charset="UTF-8"`);
+    res.status(status).type('text/plain').send(message);
+  };
+  return async (req, res, next) => {
+    const header = /^Basic\s+([A-Za-z0-9+/=]+)\s*$/i.exec(req.get('Authorization') || '');
+    if (!header) return refuse(res, 401, 'Login required');
+    const credentials = Buffer.from(header[1], 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    if (separator < 1) return refuse(res, 401, 'Login required');
+    const username = credentials.slice(0, separator);
+    const password = credentials.slice(separator + 1);
+    try {
+      // Failed logins count towards the same delay and lockout as the ones of the login page (throttle.js)
+      const login = { account: username, address: req.ip };
+      const retryAfter = throttle.check(login);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return refuse(res, 429, 'Too many failed logins, try again later');
+      }
+      const account = await basicAuthAccount(username, password);
+      if (!account) {
+        db.log(`[AUTH] Failed Basic auth login for "${username}" from ${req.ip}`, 'warning');
+        await throttle.failed(login);
+        return refuse(res, 401, 'Incorrect username or password');
+      }
+      throttle.succeeded(login);
+      // The default password is only accepted by the login page, which requires it to be changed
+      if (username === DEFAULT_USERNAME && password === DEFAULT_PASSWORD) return refuse(res, 403, 'Password change required, log in to the site first');
+      // Basic auth has no way to ask for a two-factor code, it would get around it
+      if (account.TotpEnabled) return refuse(res, 403, 'Accounts with two-factor logins can not log in here');
+      req.account = account;
+      req.access = mediaAccess(account);
+      next();
+    } catch (err) {
+      db.log(`[AUTH] Unable to check access: ${err.message}`, 'error');
+      refuse(res, 500, 'Unable to check access');
+    }
+  };
+}
+
+// Export the public functions to be used elsewhere
+module.exports = { requireLogin, requireBasicAuth, mediaAccess, isInLibrary, findMediaPath, DEFAULT_USERNAME, DEFAULT_PASSWORD };
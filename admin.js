@@ -0,0 +1,50 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * admin.js - Administration pages router. The pages use the admin endpoints of the API (api.js).
+ */
+
+// Require dependencies
+const express = require('express');
+const path = require('path');
+const access = require(path.join(__dirname, 'access.js'));
+const router = express.Router();
+
+// Every admin page requires a logged in admin
+router.use(access.requireLogin({ admin: true }));
+
+// User administration
+router.get('/users', (req, res) => {
+  res.render('users.html', { displayName: req.session.displayName, isAdmin: true, accountID: req.session.accountID });
+});
+
+// Server settings
+router.get('/settings', (req, res) => {
+  res.render('settings.html', { displayName: req.session.displayName, isAdmin: true });
+});
+
+// Libraries, their paths, patterns and scans
+router.get('/libraries', (req, res) => {
+  res.render('libraries.html', { displayName: req.session.displayName, isAdmin: true });
+});
+
+// Log viewer, searching the log and following it live
+router.get('/logs', (req, res) => {
+  res.render('logs.html', { displayName: req.session.displayName, isAdmin: true });
+});
+
+// Share links of every user
+router.get('/shares', (req, res) => {
+  res.render('shares.html', { displayName: req.session.displayName, isAdmin: true });
+});
+
+// Integrity report of the libraries (duplicates, corrupt, disabled and missing media)
+router.get('/integrity', (req, res) => {
+  res.render('integrity.html', { displayName: req.session.displayName, isAdmin: true });
+});
+
+module.exports = router;
@@ -6,4 +6,2136 @@
  * Konstantin Zaremski - 6 February 2022
  * 
  * api.js - API endpoint file, for all AJAX operations made by the front end.
+ *        - Every response is JSON with a code, zero for success. Errors use the HTTP status as
+ *          the code along with a message, eg. { code: 404, message: 'Media not found' }
+ *        - Media that the logged in account has not been granted (access.js) is left out of every list
+ *          and is not found by the endpoints of a single item.
+ *        - GET /api/media?type=&page=&pageSize=&sort=&order=  List the media in the library
+ *        - GET /api/media/:hash                                Details of a single media item
+ *        - GET /api/media/:hash/stream                         Stream the media item (range requests)
+ *        - POST /api/media/:hash/playback                      How to play the item, { containers, videoCodecs, audioCodecs,
+ *                                                              hls, start } is what the browser plays (transcode.js)
+ *        - GET /api/transcode/:id/:file                        The HLS playlist and segments, or stream.mp4, of a transcode
+ *        - DELETE /api/transcode/:id                           End a transcode
+ *        - GET /api/media/:hash/artwork/:kind                  Poster, fanart or folder image of the item
+ *        - GET /api/media/:hash/subtitles/:index               Subtitles of the item as WebVTT
+ *        - GET /api/media/:hash/thumb?size=                    Thumbnail of the item (photo, cover, poster or video frame)
+ *        - GET /api/search?q=&type=&page=&pageSize=            Search the media in the library
+ *        - POST /api/account/password                          Change the password of the logged in user
+ *        - GET /api/account                                    The logged in user's account and two-factor status
+ *        - POST/DELETE /api/account/totp                       Start two-factor (TOTP) enrollment, or turn it off
+ *        - POST /api/account/totp/confirm                      Turn on two-factor logins with a code, get recovery codes
+ *        - POST /api/account/totp/recovery                     Replace the recovery codes
+ *        - GET /api/media/:hash/cover                          Embedded cover art of a music track
+ *        - GET /api/music/artists?page=&pageSize=              Browse the music by artist
+ *        - GET /api/music/artists/:id                          An artist's albums and other tracks
+ *        - GET /api/music/albums?artist=&page=&pageSize=       Browse the music by album
+ *        - GET /api/music/albums/:id                           An album and its tracks
+ *        - GET /api/tv/series?page=&pageSize=                  Browse the TV series
+ *        - GET /api/tv/series/:id                              A series, its seasons and the episode that is up next
+ *        - GET /api/tv/series/:id/seasons/:season              The episodes of a season, in viewing order
+ *        - GET /api/tv/episodes/:hash/next                     The episode after an episode
+ *        - GET /api/photos/albums/:kind?page=&pageSize=        Browse the photo albums, by date (month) or folder
+ *        - GET /api/photos/albums/:kind/photos?key=&page=&pageSize=  The photos of an album in the order they were taken
+ *        - GET /api/books/:hash                                An ebook, its reading order, contents and reading position
+ *        - GET /api/books/:hash/files/*                        A file within an EPUB (chapter, style or image)
+ *        - GET /api/books/:hash/cover                          Cover image of an EPUB
+ *        - GET/PUT /api/books/:hash/position                   Reading position of the logged in user (CFI or page)
+ *        - GET/PUT/DELETE /api/progress/:hash                  Playback progress of the logged in user
+ *        - GET /api/history?type=&page=&pageSize=              What the logged in user has played, latest first
+ *        - GET /api/shelves                                    Continue watching/listening/reading and recently added
+ *        - GET/POST /api/lists?kind=&page=&pageSize=           Playlists and collections of the logged in user, and shared ones
+ *        - GET/PATCH/DELETE /api/lists/:id                     A list and its items, only the owner changes it
+ *        - POST /api/lists/:id/items, DELETE /api/lists/:id/items/:hash  Add media to a list or remove it
+ *        - GET /api/lists/:id/m3u                              Export a playlist as M3U8, paths relative to their library
+ *        - POST /api/lists/import?name=&shared=                Import an M3U/M3U8 playlist (the request body)
+ *        - GET/POST /api/shares?page=&pageSize=                Share links that still work, the user's own or every one
+ *                                                              for admins, and share a media item, list or photo album
+ *        - DELETE /api/shares/:id                              Revoke a share link (the user who made it or an admin)
+ *        - GET /api/media/:hash/stream?share=, /thumb?share=   Media of a share link, without logging in (shares.js)
+ *        - GET/POST /api/users, PATCH/DELETE /api/users/:id    User administration and grants (admin only)
+ *        - GET/PATCH /api/settings                             Server settings (admin only)
+ *        - GET/POST /api/libraries                             Libraries with their item counts and scan status (admin only)
+ *        - GET/PATCH/DELETE /api/libraries/:id                 A single library (admin only)
+ *        - POST /api/libraries/:id/scan                        Scan a library now, { full } re-hashes every file (admin only)
+ *        - GET /api/reports/integrity?export=                  Duplicate, changed, disabled and missing media, as JSON or
+ *                                                              a CSV/JSON file to download (admin only)
+ *        - DELETE /api/reports/integrity/changes/:id           Dismiss a change of contents from the report (admin only)
+ *        - GET /api/logs?level=&from=&to=&q=&page=&pageSize=   Search the log, latest first (admin only)
+ *        - GET /api/logs/stream?level=&q=                      Follow the log live, as Server-Sent Events (admin only)
  */
+
+// Require dependencies
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const db = require(path.join(__dirname, 'db.js'));
+const sidecar = require(path.join(__dirname, 'sidecar.js'));
+const tags = require(path.join(__dirname, 'tags.js'));
+const ebook = require(path.join(__dirname, 'ebook.js'));
+const librarian = require(path.join(__dirname, 'librarian.js'));
+const access = require(path.join(__dirname, 'access.js'));
+const thumbnail = require(path.join(__dirname, 'thumbnail.js'));
+const transcode = require(path.join(__dirname, 'transcode.js'));
+const shares = require(path.join(__dirname, 'shares.js'));
+const totp = require(path.join(__dirname, 'totp.js'));
+const router = express.Router();
+
+// Media types that can be listed, and the default and maximum number of items per page
+const mediaTypes = ['movie', 'tv', 'music', 'book', 'photo'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+// Time that browsers may keep a thumbnail (seconds), they are regenerated rarely (when the artwork changes)
+const THUMBNAIL_MAX_AGE = 30 * 24 * 60 * 60;
+// Size of the thumbnail that photos are shown at in albums and slideshows, browsers can not show every format
+const PHOTO_DISPLAY_SIZE = 1280;
+// Number of items on each of the home page shelves
+const SHELF_SIZE = 20;
+// Media that has been played this far (fraction of its duration) is completed, the credits need not be watched
+const COMPLETED_THRESHOLD = 0.9;
+// Account names and passwords
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,50}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Include/exclude glob patterns of a library, at most this many of each
+const MAX_LIBRARY_PATTERNS = 50;
+// Media types that are played in the player, and the most names of each kind that the browser may declare
+const playableTypes = ['movie', 'tv', 'music'];
+const MAX_DECLARED_FORMATS = 32;
+// Kinds of lists, and the media types that each may hold. Playlists are in order, collections are sorted by title.
+const listKinds = { playlist: ['music', 'movie', 'tv'], collection: ['movie', 'tv', 'book'] };
+// Most items in a list, and the longest list name, description and imported M3U file
+const MAX_LIST_ITEMS = 5000;
+const MAX_LIST_NAME = 200;
+const MAX_LIST_DESCRIPTION = 2000;
+const MAX_M3U_SIZE = '2mb';
+// Content types that an M3U file may be uploaded as
+const M3U_TYPES = ['text/plain', 'audio/x-mpegurl', 'audio/mpegurl', 'application/x-mpegurl', 'application/vnd.apple.mpegurl', 'application/octet-stream'];
+// Longest time that a share link lasts (hours), the most media and downloads of a link, and its longest title and password
+const MAX_SHARE_HOURS = 30 * 24;
+const MAX_SHARE_ITEMS = 5000;
+const MAX_SHARE_DOWNLOADS = 10000;
+const MAX_SHARE_TITLE = 200;
+const MAX_SHARE_PASSWORD = 200;
+// Log levels, from the least to the most severe
+const logLevels = ['debug', 'info', 'warning', 'error'];
+// Milliseconds between the comments that keep a live log stream open, the account is checked again each time
+const LOG_STREAM_HEARTBEAT = 30000;
+// Milliseconds after which browsers reconnect a live log stream that was closed
+const LOG_STREAM_RETRY = 5000;
+// Settings that can be changed through the API, with the check for a valid value
+const editableSettings = {
+  LIBRARY_SCAN_INTERVAL: value => Number.isInteger(value) && value >= 1 && value <= 1440,
+  LIBRARY_WATCH: value => typeof value === 'boolean',
+  SESSION_LIFETIME: value => Number.isInteger(value) && value >= 1 && value <= 8760,
+  SESSION_REMEMBER_ME: value => typeof value === 'boolean',
+  SESSION_SAME_SITE: value => ['lax', 'strict', 'none'].includes(value),
+  LOGIN_MAX_FAILURES: value => Number.isInteger(value) && value >= 0 && value <= 1000,
+  LOGIN_LOCKOUT_MINUTES: value => Number.isInteger(value) && value >= 1 && value <= 1440,
+  LOG_LEVEL: value => logLevels.includes(value),
+  LOG_RETENTION_DAYS: value => Number.isInteger(value) && value >= 0 && value <= 3650,
+  TRANSCODE_LIMIT: value => Number.isInteger(value) && value >= 0 && value <= 16
+};
+
+/**
+ * Send a JSON error response, the code is the same as the HTTP status
+ * @param {*} res Express response object
+ * @param {Number} status HTTP status code
+ * @param {String} message Description of the error
+ */
+function sendError(res, status, message) {
+  res.status(status).json({ code: status, message: message });
+}
+
+/**
+ * Format a Media row for the API, paths are relative to the library the media is in
+ * @param {Object} row Media row from the database, with the Library name and LibraryPath
+ * @returns {Object} Media item { hash, type, title, year, library, path, size, modified, added }
+ */
+function formatMedia(row) {
+  // Only the file name is shown for media that is outside of its library, never where it is on the server
+  let relativePath = row.LibraryPath ? path.relative(row.LibraryPath, row.Path) : '';
+  if (relativePath === '' || relativePath.startsWith('..') || path.isAbsolute(relativePath)) relativePath = path.basename(row.Path);
+  return {
+    hash: row.Hash,
+    type: row.Type,
+    title: row.Title || path.parse(row.Path).name,
+    year: row.Year || undefined,
+    library: row.Library || undefined,
+    path: relativePath,
+    size: row.Size,
+    modified: new Date(row.MTime).toISOString(),
+    added: row.Added ? new Date(row.Added).toISOString() : undefined
+  };
+}
+
+/**
+ * Read and validate the paging options from the query string
+ * @param {Object} query Express request query object
+ * @returns {Object} { page, pageSize, limit, offset }, or { error } describing the invalid option
+ */
+function pageOptions(query) {
+  const page = (query.page === undefined) ? 1 : Number(query.page);
+  const pageSize = (query.pageSize === undefined) ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(page) || page < 1) return { error: 'Invalid page, expected a whole number of at least 1' };
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) return { error: `Invalid pageSize, expected a whole number from 1 to ${MAX_PAGE_SIZE}` };
+  return {
+    page: page,
+    pageSize: pageSize,
+    limit: pageSize,
+    offset: (page - 1) * pageSize
+  };
+}
+
+/**
+ * Read and validate the listing options (type, paging and sorting) from the query string
+ * @param {Object} query Express request query object
+ * @returns {Object} Options for db.media.query, or { error } describing the invalid option
+ */
+function listOptions(query) {
+  if (query.type !== undefined && !mediaTypes.includes(query.type)) return { error: `Invalid type, expected one of ${mediaTypes.join(', ')}` };
+  if (query.sort !== undefined && !['title', 'year', 'size', 'modified', 'added'].includes(query.sort)) return { error: 'Invalid sort, expected one of title, year, size, modified, added' };
+  if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) return { error: 'Invalid order, expected asc or desc' };
+  const paging = pageOptions(query);
+  if (paging.error) return paging;
+  return Object.assign({
+    type: query.type,
+    sort: query.sort,
+    order: query.order
+  }, paging);
+}
+
+/**
+ * Build a page of results for the API
+ * @param {Object} options Paging options from pageOptions()
+ * @param {Number} total Total number of results
+ * @param {Object} results Results of the page, by the name they are returned under (eg. { items: [] })
+ * @returns {Object} Response { code, page, pageSize, total, pages, ...results }
+ */
+function formatPage(options, total, results) {
+  return Object.assign({
+    code: 0,
+    page: options.page,
+    pageSize: options.pageSize,
+    total: total,
+    pages: Math.ceil(total / options.pageSize)
+  }, results);
+}
+
+/**
+ * Format an Albums row for the API
+ * @param {Object} album Albums row from the database, with the Artist name
+ * @returns {Object} Album { id, title, artist, artistID, year, tracks, cover }
+ */
+function formatAlbum(album) {
+  return {
+    id: album.AlbumID,
+    title: album.Title,
+    artist: album.Artist || undefined,
+    artistID: (album.ArtistID === null) ? undefined : album.ArtistID,
+    year: album.Year || undefined,
+    tracks: album.Tracks,
+    cover: album.CoverHash ? `/api/media/${album.CoverHash}/cover` : undefined
+  };
+}
+
+/**
+ * Format a Tracks row for the API
+ * @param {Object} track Tracks row from the database, with the Artist name and/or Album title
+ * @returns {Object} Track { hash, title, artist, album, albumID, trackNumber, discNumber, year, genre, duration, stream, cover }
+ */
+function formatTrack(track) {
+  return {
+    hash: track.Hash,
+    title: track.Title,
+    artist: track.Artist || undefined,
+    album: track.Album || undefined,
+    albumID: (track.AlbumID === null) ? undefined : track.AlbumID,
+    trackNumber: track.TrackNumber || undefined,
+    discNumber: track.DiscNumber || undefined,
+    year: track.Year || undefined,
+    genre: track.Genre || undefined,
+    duration: track.Duration || undefined,
+    stream: `/api/media/${track.Hash}/stream`,
+    cover: track.HasCover ? `/api/media/${track.Hash}/cover` : undefined
+  };
+}
+
+/**
+ * Format an Episodes row for the API
+ * @param {Object} row Episodes row from the database, with the progress of the user (if any)
+ * @returns {Object} Episode { hash, season, episode, episodeEnd, title, stream, progress }
+ */
+function formatEpisode(row) {
+  return {
+    hash: row.Hash,
+    season: (row.Season === null) ? undefined : row.Season,
+    episode: (row.Episode === null) ? undefined : row.Episode,
+    // Only multi-episode files have an end
+    episodeEnd: (row.EpisodeEnd > row.Episode) ? row.EpisodeEnd : undefined,
+    title: row.Title || undefined,
+    stream: `/api/media/${row.Hash}/stream`,
+    progress: row.LastPlayed ? formatProgress(row) : null
+  };
+}
+
+/**
+ * Find the episode of a series that a user would watch next: the one they are part way through,
+ * or the first unwatched one after the last one they finished
+ * @param {Array} episodes Episodes rows with progress, in viewing order (db.tv.episodes())
+ * @returns {Object} The Episodes row, undefined if every episode has been watched
+ */
+function upNext(episodes) {
+  let latest;
+  for (const row of episodes) {
+    if (row.LastPlayed && (!latest || row.LastPlayed > latest.LastPlayed)) latest = row;
+  }
+  if (!latest) return episodes[0];
+  if (!latest.Completed) return latest;
+  return episodes.slice(episodes.indexOf(latest) + 1).find(row => !row.Completed);
+}
+
+/**
+ * Build the URL of a file within an EPUB, relative links in the chapters resolve against it
+ * @param {String} hash Hash of the EPUB
+ * @param {String} name File name within the EPUB
+ * @returns {String} URL of the file
+ */
+function bookFileURL(hash, name) {
+  return `/api/books/${hash}/files/${name.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Format a Books row for the API, the reading order and table of contents link to the files of the book
+ * @param {Object} book Books row from the database
+ * @returns {Object} Book { hash, format, title, creators, series, seriesIndex, language, publisher, pages, cover, stream,
+ *                   spine: [{ url, linear }], toc: [{ title, url, spineIndex, children }] }
+ */
+function formatBook(book) {
+  const spine = JSON.parse(book.Spine || '[]');
+  const formatEntry = (entry) => ({
+    title: entry.title,
+    url: entry.path ? bookFileURL(book.Hash, entry.path) + (entry.fragment ? `#${entry.fragment}` : '') : undefined,
+    spineIndex: entry.path ? spine.findIndex(item => item.path === entry.path) : -1,
+    children: (entry.children || []).map(formatEntry)
+  });
+  return {
+    hash: book.Hash,
+    format: book.Format,
+    title: book.Title,
+    creators: JSON.parse(book.Creators || '[]'),
+    series: book.Series || undefined,
+    seriesIndex: (book.SeriesIndex === null) ? undefined : book.SeriesIndex,
+    language: book.Language || undefined,
+    publisher: book.Publisher || undefined,
+    pages: book.Pages || undefined,
+    cover: book.CoverPath ? `/api/books/${book.Hash}/cover` : undefined,
+    stream: `/api/media/${book.Hash}/stream`,
+    spine: spine.map(item => ({ url: bookFileURL(book.Hash, item.path), linear: item.linear })),
+    toc: JSON.parse(book.Toc || '[]').map(formatEntry)
+  };
+}
+
+/**
+ * Format a ReadingPositions row for the API
+ * @param {Object} position ReadingPositions row from the database
+ * @returns {Object} Position { location, progress, updated }, null if there is no position
+ */
+function formatPosition(position) {
+  if (!position) return null;
+  return {
+    location: position.Location,
+    progress: (position.Progress === null) ? undefined : position.Progress,
+    updated: position.Updated
+  };
+}
+
+/**
+ * Format a Progress row for the API
+ * @param {Object} progress Progress row from the database
+ * @returns {Object} Progress { position, duration, completed, lastPlayed }, null if there is no progress
+ */
+function formatProgress(progress) {
+  if (!progress) return null;
+  return {
+    position: progress.Position,
+    duration: progress.Duration || undefined,
+    completed: Boolean(progress.Completed),
+    lastPlayed: progress.LastPlayed
+  };
+}
+
+/**
+ * Format a Metadata row for the API
+ * @param {Object} metadata Metadata row from the database
+ * @returns {Object} Metadata { title, originalTitle, year, plot, tagline, genres, contentRating, runtime, directors,
+ *                   actors, studio, showTitle, season, episode, aired, imdbID, source }
+ */
+function formatMetadata(metadata) {
+  return {
+    title: metadata.Title,
+    originalTitle: metadata.OriginalTitle || undefined,
+    year: metadata.Year || undefined,
+    plot: metadata.Plot || undefined,
+    tagline: metadata.Tagline || undefined,
+    genres: JSON.parse(metadata.Genres || '[]'),
+    contentRating: metadata.ContentRating || undefined,
+    runtime: metadata.Runtime || undefined,
+    directors: JSON.parse(metadata.Directors || '[]'),
+    actors: JSON.parse(metadata.Actors || '[]'),
+    studio: metadata.Studio || undefined,
+    showTitle: metadata.ShowTitle || undefined,
+    season: (metadata.Season === null) ? undefined : metadata.Season,
+    episode: (metadata.Episode === null) ? undefined : metadata.Episode,
+    aired: metadata.Aired || undefined,
+    imdbID: metadata.IMDbID || undefined,
+    source: metadata.Source
+  };
+}
+
+/**
+ * Format a Photos row for the API, width and height are those of the photo when it is shown upright
+ * @param {Object} photo Photos row from the database
+ * @returns {Object} Photo { taken, dateSource, camera: { make, model, lens }, width, height, orientation, location }
+ */
+function formatPhoto(photo) {
+  // Orientations 5 to 8 are turned a quarter, the stored width is the height that the photo is shown at
+  const sideways = photo.Orientation >= 5 && photo.Orientation <= 8;
+  return {
+    taken: photo.TakenAt,
+    dateSource: photo.DateSource,
+    camera: (photo.Make || photo.Model) ? { make: photo.Make || undefined, model: photo.Model || undefined, lens: photo.Lens || undefined } : undefined,
+    width: (sideways ? photo.Height : photo.Width) || undefined,
+    height: (sideways ? photo.Width : photo.Height) || undefined,
+    orientation: photo.Orientation || undefined,
+    location: (photo.Latitude === null || photo.Longitude === null) ? undefined : {
+      latitude: photo.Latitude,
+      longitude: photo.Longitude,
+      altitude: (photo.Altitude === null) ? undefined : photo.Altitude
+    }
+  };
+}
+
+/**
+ * Format a photo album row for the API. Albums are identified by a key, "YYYY-MM" for a month or
+ * "<library id>/<directory>" for a folder, the directory being relative to the library (empty for its top).
+ * @param {String} kind Kind of album, date or folder
+ * @param {Object} album Row from db.photos.albums()
+ * @returns {Object} Album { key, title, library, photos, first, last, cover }
+ */
+function formatPhotoAlbum(kind, album) {
+  let key = album.Month;
+  let title = album.Month;
+  if (kind === 'folder') {
+    const directory = path.relative(album.LibraryPath, album.Directory).split(path.sep).join('/');
+    key = `${album.LibraryID}/${directory}`;
+    title = (directory === '') ? album.Library : path.basename(album.Directory);
+  }
+  return {
+    key: key,
+    title: title,
+    library: album.Library,
+    photos: album.Photos,
+    first: album.FirstTaken,
+    last: album.LastTaken,
+    cover: `/api/media/${album.Cover}/thumb`
+  };
+}
+
+/**
+ * Read the key of a photo album (see formatPhotoAlbum)
+ * @param {String} kind Kind of album, date or folder
+ * @param {*} key Album key from the query string
+ * @returns {Object} { month } or { libraryID, directory } for db.photos.albumPhotos, undefined if the key is not valid
+ */
+async function photoAlbum(kind, key) {
+  if (typeof key !== 'string') return undefined;
+  if (kind === 'date') return /^\d{4}-\d{2}$/.test(key) ? { month: key } : undefined;
+  const separator = key.indexOf('/');
+  const library = (separator > 0) ? await db.libraries.get(Number(key.slice(0, separator))) : undefined;
+  if (!library) return undefined;
+  // The directory may not lead outside of the library
+  const directory = path.resolve(library.Path, key.slice(separator + 1));
+  const relative = path.relative(library.Path, directory);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return undefined;
+  return { libraryID: library.LibraryID, directory: directory };
+}
+
+/**
+ * Format a Logs row for the API
+ * @param {Object} entry Logs row from the database
+ * @returns {Object} Log entry { id, time, level, message } - time is an ISO date
+ */
+function formatLog(entry) {
+  return {
+    id: entry.UUID,
+    time: `${entry.DateTime.replace(' ', 'T')}Z`,
+    level: entry.Level.toLowerCase(),
+    message: entry.Message
+  };
+}
+
+/**
+ * Read and validate the log filters from the query string
+ * @param {Object} query Express request query object
+ * @returns {Object} { level, from, to, search } for db.logs.query (each undefined if not filtered on), or { error }
+ *                   describing the invalid filter
+ */
+function logFilter(query) {
+  if (query.level !== undefined && !logLevels.includes(query.level)) return { error: `Invalid level, expected one of ${logLevels.join(', ')}` };
+  let filter = { level: query.level };
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined) continue;
+    const date = new Date(String(query[key]));
+    if (Number.isNaN(date.getTime())) return { error: `Invalid ${key}, expected a date` };
+    // The same form as the DateTime of the Logs table (UTC)
+    filter[key] = date.toISOString().slice(0, 19).replace('T', ' ');
+  }
+  if (typeof query.q === 'string' && query.q.trim().length > 0) filter.search = query.q.trim();
+  return filter;
+}
+
+/**
+ * Read and validate what the browser plays from a playback request
+ * @param {Object} body Request body { containers, videoCodecs, audioCodecs, hls }
+ * @returns {Object} { support } for transcode.start() (undefined if the browser did not say), or { error } describing
+ *                   the invalid field
+ */
+function playbackSupport(body) {
+  const keys = ['containers', 'videoCodecs', 'audioCodecs'];
+  if (keys.every(key => body[key] === undefined)) return { support: undefined };
+  let support = { hls: Boolean(body.hls) };
+  for (const key of keys) {
+    const value = (body[key] === undefined) ? [] : body[key];
+    const valid = Array.isArray(value) && value.length <= MAX_DECLARED_FORMATS &&
+                  value.every(name => typeof name === 'string' && /^[a-z0-9]{1,16}$/.test(name));
+    if (!valid) return { error: `${key} must be a list of at most ${MAX_DECLARED_FORMATS} lowercase names` };
+    support[key] = value;
+  }
+  return { support: support };
+}
+
+/**
+ * Query the library and send a page of results
+ * @param {*} res Express response object
+ * @param {Object} options Options from listOptions(), plus the search terms if searching
+ */
+async function sendPage(res, options) {
+  const result = await db.media.query(options);
+  res.json(formatPage(options, result.total, { items: result.rows.map(formatMedia) }));
+}
+
+/**
+ * Validate a new password for an account
+ * @param {*} password Password from the request body
+ * @param {String} username Account name the password is for, it may not be used as the password
+ * @returns {String} Description of the problem with the password, undefined if it is valid
+ */
+function passwordProblem(password, username) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (password.length > 1024) return 'Password is too long';
+  if (password === username) return 'Password can not be the same as the username';
+}
+
+/**
+ * Format a Users row for the API
+ * @param {Object} account Users row from the database
+ * @returns {Object} User { id, username, displayName, isAdmin, isDisabled, created, lastLogin, libraries, types, maxRating },
+ *                   the grants (libraries, types, maxRating) are null when the account is not limited by them
+ */
+function formatUser(account) {
+  return {
+    id: account.AccountID,
+    username: account.AccountName,
+    displayName: account.DisplayName,
+    isAdmin: Boolean(account.IsAdmin),
+    isDisabled: Boolean(account.IsDisabled),
+    created: account.Created,
+    lastLogin: account.LastLogin,
+    libraries: account.Libraries ? JSON.parse(account.Libraries) : null,
+    types: account.MediaTypes ? JSON.parse(account.MediaTypes) : null,
+    maxRating: account.MaxRating || null,
+    twoFactor: Boolean(account.TotpEnabled)
+  };
+}
+
+/**
+ * Log an account out everywhere, its sessions and the transcodes that they were playing are ended
+ * @param {Object} account Users row of the account
+ */
+async function endSessions(account) {
+  const sessionIDs = await db.session.destroyAccount(account.AccountID);
+  for (const sessionID of sessionIDs) await transcode.stopSessions(sessionID);
+  if (sessionIDs.length > 0) db.log(`[API] Ended ${sessionIDs.length} sessions of the account "${account.AccountName}"`);
+}
+
+/**
+ * Read and validate the grants of an account from a request body, only the grants that are in the body are read
+ * @param {Object} body Express request body
+ * @returns {Object} { changes } for db.user.create/update, or { error } describing the invalid grant
+ */
+async function grantChanges(body) {
+  let changes = {};
+  if (body.libraries !== undefined) {
+    if (body.libraries !== null && (!Array.isArray(body.libraries) || !body.libraries.every(Number.isInteger))) return { error: 'libraries must be null (every library) or a list of library ids' };
+    if (body.libraries !== null) {
+      const libraryIDs = (await db.libraries.list()).map(library => library.LibraryID);
+      if (!body.libraries.every(id => libraryIDs.includes(id))) return { error: 'libraries contains a library that does not exist' };
+    }
+    changes.libraries = body.libraries && [...new Set(body.libraries)];
+  }
+  if (body.types !== undefined) {
+    if (body.types !== null && (!Array.isArray(body.types) || !body.types.every(type => mediaTypes.includes(type)))) return { error: `types must be null (every type) or a list of ${mediaTypes.join(', ')}` };
+    changes.types = body.types && [...new Set(body.types)];
+  }
+  if (body.maxRating !== undefined) {
+    const ratings = sidecar.CONTENT_RATINGS.map(level => level.name);
+    if (body.maxRating !== null && !ratings.includes(body.maxRating)) return { error: `maxRating must be null (no limit) or one of ${ratings.join(', ')}` };
+    changes.maxRating = body.maxRating;
+  }
+  return { changes: changes };
+}
+
+/**
+ * Format a Libraries row for the API
+ * @param {Object} library Libraries row from the database
+ * @param {Map} counts Item counts by LibraryID, from db.libraries.counts()
+ * @returns {Object} Library { id, name, path, type, include, exclude, enabled, items, size, scan, lastScan } - scan is
+ *                   the state of the current scan, lastScan the outcome of the last one that finished
+ */
+function formatLibrary(library, counts) {
+  const count = counts.get(library.LibraryID) || { items: 0, size: 0 };
+  return {
+    id: library.LibraryID,
+    name: library.Name,
+    path: library.Path,
+    type: library.Type,
+    include: JSON.parse(library.Include || '[]'),
+    exclude: JSON.parse(library.Exclude || '[]'),
+    enabled: Boolean(library.Enabled),
+    items: count.items,
+    size: count.size,
+    scan: librarian.scanStatus(library.LibraryID),
+    lastScan: library.LastScanned ? Object.assign({ finished: library.LastScanned }, JSON.parse(library.LastScanResult || '{}')) : undefined
+  };
+}
+
+/**
+ * Read and validate the fields of a library from a request body, only the fields that are in the body are read
+ * @param {Object} body Express request body
+ * @returns {Object} { changes } for db.libraries.create/update, or { error } describing the invalid field
+ */
+async function libraryChanges(body) {
+  let changes = {};
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0 || body.name.length > 100) return { error: 'Name must be 1 to 100 characters' };
+    changes.name = body.name.trim();
+  }
+  if (body.path !== undefined) {
+    if (typeof body.path !== 'string' || !path.isAbsolute(body.path)) return { error: 'Path must be an absolute path' };
+    let stats;
+    try { stats = await fs.promises.stat(body.path) } catch {}
+    if (!stats || !stats.isDirectory()) return { error: 'Path must be a directory that the server can read' };
+    changes.path = path.resolve(body.path);
+  }
+  if (body.type !== undefined) {
+    if (!mediaTypes.includes(body.type)) return { error: `Invalid type, expected one of ${mediaTypes.join(', ')}` };
+    changes.type = body.type;
+  }
+  for (const key of ['include', 'exclude']) {
+    if (body[key] === undefined) continue;
+    const valid = Array.isArray(body[key]) && body[key].length <= MAX_LIBRARY_PATTERNS &&
+                  body[key].every(pattern => typeof pattern === 'string' && pattern.length > 0 && pattern.length <= 256);
+    if (!valid) return { error: `${key} must be a list of at most ${MAX_LIBRARY_PATTERNS} glob patterns` };
+    changes[key] = body[key];
+  }
+  if (body.enabled !== undefined) changes.enabled = Boolean(body.enabled);
+  return { changes: changes };
+}
+
+/**
+ * Format a Lists row for the API
+ * @param {Object} list Lists row from the database, with the owner's OwnerName and OwnerDisplayName
+ * @param {Number} accountID AccountID of the logged in user
+ * @returns {Object} List { id, kind, name, description, shared, owner, mine, items, created, updated } - items is the
+ *                   number of items (when it was counted)
+ */
+function formatList(list, accountID) {
+  return {
+    id: list.ListID,
+    kind: list.Kind,
+    name: list.Name,
+    description: list.Description || undefined,
+    shared: Boolean(list.IsShared),
+    owner: list.OwnerDisplayName || list.OwnerName,
+    mine: list.AccountID === accountID,
+    items: list.Items,
+    created: list.Created,
+    updated: list.Updated
+  };
+}
+
+/**
+ * Check that media can be put in a list: it is in the library, the account may see it and the list holds its type
+ * @param {Array} hashes Hashes of the media
+ * @param {String} kind Kind of the list
+ * @param {Object} access What the logged in account may see (req.access)
+ * @returns {String} Description of the problem with the first media that can not be put in the list, undefined if
+ *                   they all can
+ */
+async function listItemsProblem(hashes, kind, access) {
+  for (const hash of hashes) {
+    const entries = (await db.media.get(hash, access)).filter(entry => entry.Enabled);
+    if (entries.length === 0) return `Media ${hash} not found`;
+    if (!listKinds[kind].includes(entries[0].Type)) return `A ${kind} can only hold ${listKinds[kind].join(', ')} media`;
+  }
+}
+
+/**
+ * Read and validate the fields of a list from a request body, only the fields that are in the body are read
+ * @param {Object} body Express request body
+ * @param {String} kind Kind of the list
+ * @param {Object} access What the logged in account may see (req.access)
+ * @returns {Object} { changes } for db.lists.create/update, or { error } describing the invalid field
+ */
+async function listChanges(body, kind, access) {
+  let changes = {};
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0 || body.name.trim().length > MAX_LIST_NAME) return { error: `Name must be 1 to ${MAX_LIST_NAME} characters` };
+    changes.name = body.name.trim();
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && (typeof body.description !== 'string' || body.description.length > MAX_LIST_DESCRIPTION)) return { error: `Description must be at most ${MAX_LIST_DESCRIPTION} characters` };
+    changes.description = body.description && body.description.trim();
+  }
+  if (body.shared !== undefined) changes.shared = Boolean(body.shared);
+  if (body.items !== undefined) {
+    if (!Array.isArray(body.items) || body.items.length > MAX_LIST_ITEMS || !body.items.every(hash => typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash))) return { error: `items must be a list of at most ${MAX_LIST_ITEMS} media hashes` };
+    changes.items = [...new Set(body.items)];
+    const problem = await listItemsProblem(changes.items, kind, access);
+    if (problem) return { error: problem };
+  }
+  return { changes: changes };
+}
+
+/**
+ * Get a list that the logged in user can see, or only one that they own
+ * @param {*} req Express request object
+ * @param {Boolean} owned Only the user's own lists, eg. to change them
+ * @returns {Object} { list } Lists row, or { status, error } if the list is not found or not the user's own
+ */
+async function findList(req, owned) {
+  const id = Number(req.params.id);
+  const list = Number.isInteger(id) ? await db.lists.get(id) : undefined;
+  if (!list || (list.AccountID !== req.session.accountID && !list.IsShared)) return { status: 404, error: 'List not found' };
+  if (owned && list.AccountID !== req.session.accountID) return { status: 403, error: 'Only the owner of a list can change it' };
+  return { list: list };
+}
+
+/**
+ * Read the media paths from an M3U/M3U8 playlist, the #EXTM3U directives and comments are skipped
+ * @param {String} text Contents of the playlist
+ * @returns {Array} Paths as they are written in the playlist (file:// URLs are turned in to paths), in order
+ */
+function readM3U(text) {
+  let entries = [];
+  for (let line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    line = line.trim();
+    if (line === '' || line.startsWith('#')) continue;
+    if (/^file:\/\//i.test(line)) {
+      try { line = decodeURIComponent(new URL(line).pathname) } catch { continue }
+    }
+    // Streams (http://) are not media in the library
+    if (/^[a-z][a-z0-9+.-]+:\/\//i.test(line)) continue;
+    entries.push(line);
+  }
+  return entries;
+}
+
+/**
+ * Find the media that an entry of an imported playlist is, by its path relative to one of the libraries (or its full
+ * path on the server)
+ * @param {String} entry Path from the playlist
+ * @param {Array} libraries Libraries rows
+ * @param {Object} access What the logged in account may see (req.access)
+ * @returns {Object} Media row that the account may see, undefined if there is none
+ */
+async function findM3UEntry(entry, libraries, access) {
+  // Playlists made on Windows use backslashes
+  const relative = entry.replace(/\\/g, '/');
+  let candidates = [];
+  if (path.isAbsolute(relative)) candidates.push(path.resolve(relative));
+  for (const library of libraries) {
+    const candidate = path.resolve(library.Path, relative.replace(/^\/+/, ''));
+    const inside = path.relative(library.Path, candidate);
+    if (inside !== '' && !inside.startsWith('..') && !path.isAbsolute(inside)) candidates.push(candidate);
+  }
+  for (const candidate of candidates) {
+    const media = await db.media.getByPath(candidate);
+    if (media && media.Enabled && (await db.media.get(media.Hash, access)).length > 0) return media;
+  }
+}
+
+// The media of a share link is sent without a login, the link is checked instead (shares.js)
+router.get('/media/:hash/stream', shares.allowShared({ download: true }), streamMedia);
+router.get('/media/:hash/thumb', shares.allowShared(), sendThumbnail);
+
+// Every other API endpoint requires a logged in account. Until the default password has been changed, changing it is the
+// only thing that is allowed.
+router.use(access.requireLogin({ json: true, passwordChange: ['/account/password'] }));
+
+// Admin only endpoints
+const adminOnly = access.requireLogin({ json: true, admin: true });
+
+// List the media in the library, optionally of a single type
+router.get('/media', async (req, res) => {
+  const options = listOptions(req.query);
+  if (options.error) return sendError(res, 400, options.error);
+  options.access = req.access;
+  try {
+    await sendPage(res, options);
+  } catch (err) {
+    db.log(`[API] Unable to list media: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to list media');
+  }
+});
+
+// Search the titles and paths of the media in the library
+router.get('/search', async (req, res) => {
+  if (typeof req.query.q !== 'string' || req.query.q.trim().length === 0) return sendError(res, 400, 'Missing search query (q)');
+  const options = listOptions(req.query);
+  if (options.error) return sendError(res, 400, options.error);
+  options.search = req.query.q.trim();
+  options.access = req.access;
+  try {
+    await sendPage(res, options);
+  } catch (err) {
+    db.log(`[API] Unable to search media: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to search media');
+  }
+});
+
+// Details of a single media item, including every place it is stored
+router.get('/media/:hash', async (req, res) => {
+  try {
+    const entries = (await db.media.get(req.params.hash, req.access)).filter(entry => entry.Enabled);
+    if (entries.length === 0) return sendError(res, 404, 'Media not found');
+    const described = await db.metadata.get(req.params.hash);
+    let item = formatMedia(Object.assign({}, entries[0], described.metadata ? { Title: described.metadata.Title, Year: described.metadata.Year } : {}));
+    item.paths = entries.map(entry => formatMedia(entry).path);
+    if (described.metadata) item.metadata = formatMetadata(described.metadata);
+    // Artwork and subtitles are served by their own endpoints
+    item.artwork = {};
+    for (const artwork of described.sidecars.filter(sidecar => sidecar.Kind !== 'subtitle')) {
+      if (!item.artwork[artwork.Kind]) item.artwork[artwork.Kind] = `/api/media/${req.params.hash}/artwork/${artwork.Kind}`;
+    }
+    item.subtitles = described.sidecars.filter(sidecar => sidecar.Kind === 'subtitle').map((subtitle, index) => ({
+      language: subtitle.Language || undefined,
+      forced: Boolean(subtitle.IsForced),
+      url: `/api/media/${req.params.hash}/subtitles/${index}`
+    }));
+    item.progress = formatProgress(await db.progress.get(req.session.accountID, req.params.hash));
+    if (item.type === 'photo') {
+      const photo = await db.photos.get(req.params.hash);
+      if (photo) item.photo = formatPhoto(photo);
+      item.display = `/api/media/${req.params.hash}/thumb?size=${PHOTO_DISPLAY_SIZE}`;
+    }
+    res.json({ code: 0, item: item });
+  } catch (err) {
+    db.log(`[API] Unable to get media "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get media');
+  }
+});
+
+// Thumbnail of a media item, generated the first time it is requested and served from the cache after that
+async function sendThumbnail(req, res) {
+  const size = (req.query.size === undefined) ? thumbnail.DEFAULT_THUMBNAIL_SIZE : Number(req.query.size);
+  if (!thumbnail.THUMBNAIL_SIZES.includes(size)) return sendError(res, 400, `Invalid size, expected one of ${thumbnail.THUMBNAIL_SIZES.join(', ')}`);
+  try {
+    // Only the thumbnails of media that can be served itself
+    if (!(await access.findMediaPath(req.params.hash, req.access))) return sendError(res, 404, 'Media not found');
+    const thumbnailPath = await thumbnail.getThumbnail(req.params.hash, size);
+    if (!thumbnailPath) return sendError(res, 404, 'Thumbnail not found');
+    res.set('Cache-Control', `private, max-age=${THUMBNAIL_MAX_AGE}`);
+    res.sendFile(thumbnailPath, { cacheControl: false }, (err) => {
+      if (err && !res.headersSent) sendError(res, err.status || 500, 'Unable to send thumbnail');
+    });
+  } catch (err) {
+    db.log(`[API] Unable to send the thumbnail of "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to send thumbnail');
+  }
+}
+router.get('/media/:hash/thumb', sendThumbnail);
+
+// Stream a media item by its hash, supporting range requests so that players can seek
+async function streamMedia(req, res) {
+  try {
+    const mediaPath = await access.findMediaPath(req.params.hash, req.access);
+    if (!mediaPath) return sendError(res, 404, 'Media not found');
+    // The content hash is a strong ETag, conditional and If-Range requests are handled by sendFile
+    res.set('ETag', `"${req.params.hash}"`);
+    res.set('Cache-Control', 'private, no-cache');
+    res.sendFile(mediaPath, {
+      acceptRanges: true,
+      cacheControl: false,
+      etag: false,
+      lastModified: true
+    }, (err) => {
+      // Errors after the headers were sent (eg. the client went away) can not be reported
+      if (err && !res.headersSent) sendError(res, err.status || 500, 'Unable to stream media');
+    });
+  } catch (err) {
+    db.log(`[API] Unable to stream "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to stream media');
+  }
+}
+router.get('/media/:hash/stream', streamMedia);
+
+// Decide how the browser plays a media item: the stream itself if it can play it, or a transcode (remuxed or converted
+// by ffmpeg) that starts at the given number of seconds into the item
+router.post('/media/:hash/playback', async (req, res) => {
+  const body = req.body || {};
+  const declared = playbackSupport(body);
+  if (declared.error) return sendError(res, 400, declared.error);
+  const start = (body.start === undefined) ? 0 : Number(body.start);
+  if (!Number.isFinite(start) || start < 0) return sendError(res, 400, 'Invalid start, expected a number of seconds');
+  try {
+    const entries = (await db.media.get(req.params.hash, req.access)).filter(entry => entry.Enabled);
+    const mediaPath = await access.findMediaPath(req.params.hash, req.access);
+    if (!mediaPath || entries.length === 0) return sendError(res, 404, 'Media not found');
+    if (!playableTypes.includes(entries[0].Type)) return sendError(res, 400, 'Media can not be played');
+    const playback = await transcode.start({
+      hash: req.params.hash,
+      path: mediaPath,
+      type: entries[0].Type,
+      accountID: req.session.accountID,
+      sessionID: req.sessionID,
+      support: declared.support,
+      start: start,
+      limit: (await db.settings.get()).TRANSCODE_LIMIT
+    });
+    if (playback.error) return sendError(res, 503, playback.error);
+    res.json({ code: 0, playback: playback });
+  } catch (err) {
+    db.log(`[API] Unable to play "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to play media');
+  }
+});
+
+// The HLS playlist, init segment and segments of a transcode, or its single MP4 stream
+router.get('/transcode/:id/:file', async (req, res) => {
+  try {
+    const session = transcode.get(req.params.id, req.session.accountID);
+    if (!session) return sendError(res, 404, 'Transcode not found');
+    if (req.params.file === 'stream.mp4' && session.format === 'mp4') return await transcode.streamMp4(session, res);
+    const filePath = await transcode.hlsFile(session, req.params.file);
+    if (!filePath) return session.failed ? sendError(res, 500, 'Unable to convert media') : sendError(res, 404, 'File not found');
+    // The playlist grows while ffmpeg writes it, the segments do not change
+    res.set('Cache-Control', req.params.file === 'index.m3u8' ? 'no-cache' : 'private, max-age=3600');
+    res.type(req.params.file === 'index.m3u8' ? 'application/vnd.apple.mpegurl' : 'video/mp4');
+    res.sendFile(filePath, { cacheControl: false }, (err) => {
+      if (err && !res.headersSent) sendError(res, err.status || 500, 'Unable to send file');
+    });
+  } catch (err) {
+    db.log(`[API] Unable to send "${req.params.file}" of transcode "${req.params.id}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to send file');
+  }
+});
+
+// End a transcode, the player no longer needs it
+router.delete('/transcode/:id', async (req, res) => {
+  try {
+    if (!transcode.get(req.params.id, req.session.accountID)) return sendError(res, 404, 'Transcode not found');
+    await transcode.stop(req.params.id);
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to end transcode "${req.params.id}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to end transcode');
+  }
+});
+
+// Artwork (poster, fanart or folder image) of a media item
+router.get('/media/:hash/artwork/:kind', async (req, res) => {
+  try {
+    // Only serve the artwork of media that can be served itself
+    if (!(await access.findMediaPath(req.params.hash, req.access))) return sendError(res, 404, 'Media not found');
+    const artwork = (await db.metadata.get(req.params.hash)).sidecars.find(sidecar => sidecar.Kind !== 'subtitle' && sidecar.Kind === req.params.kind);
+    if (!artwork || !(await access.isInLibrary(artwork.Path))) return sendError(res, 404, 'Artwork not found');
+    res.sendFile(artwork.Path, { maxAge: '1d' }, (err) => {
+      if (err && !res.headersSent) sendError(res, err.status || 500, 'Unable to send artwork');
+    });
+  } catch (err) {
+    db.log(`[API] Unable to send artwork of "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to send artwork');
+  }
+});
+
+// Subtitles of a media item, SubRip subtitles are converted to WebVTT for the browser
+router.get('/media/:hash/subtitles/:index', async (req, res) => {
+  try {
+    if (!(await access.findMediaPath(req.params.hash, req.access))) return sendError(res, 404, 'Media not found');
+    const subtitles = (await db.metadata.get(req.params.hash)).sidecars.filter(sidecar => sidecar.Kind === 'subtitle');
+    const subtitle = subtitles[Number(req.params.index)];
+    if (!subtitle || !(await access.isInLibrary(subtitle.Path))) return sendError(res, 404, 'Subtitles not found');
+    const contents = await fs.promises.readFile(subtitle.Path, 'utf8');
+    res.type('text/vtt');
+    res.send(subtitle.Path.toLowerCase().endsWith('.srt') ? sidecar.srtToVtt(contents) : contents);
+  } catch (err) {
+    db.log(`[API] Unable to send subtitles of "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to send subtitles');
+  }
+});
+
+// Embedded cover art of a music track
+router.get('/media/:hash/cover', async (req, res) => {
+  try {
+    const mediaPath = await access.findMediaPath(req.params.hash, req.access);
+    if (!mediaPath) return sendError(res, 404, 'Media not found');
+    const cover = await tags.readCover(mediaPath);
+    if (!cover) return sendError(res, 404, 'Cover not found');
+    // The cover is part of the file contents, so it does not change as long as the hash does not
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.set('ETag', `"${req.params.hash}-cover"`);
+    res.type(cover.format || 'image/jpeg');
+    res.send(cover.data);
+  } catch (err) {
+    db.log(`[API] Unable to send the cover of "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to send cover');
+  }
+});
+
+// Browse the music by artist
+router.get('/music/artists', async (req, res) => {
+  const options = pageOptions(req.query);
+  if (options.error) return sendError(res, 400, options.error);
+  try {
+    options.access = req.access;
+    const result = await db.music.artists(options);
+    res.json(formatPage(options, result.total, {
+      artists: result.rows.map(artist => ({ id: artist.ArtistID, name: artist.Name, albums: artist.Albums, tracks: artist.Tracks }))
+    }));
+  } catch (err) {
+    db.log(`[API] Unable to list artists: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to list artists');
+  }
+});
+
+// An artist, their albums, and their tracks that are on other albums (or none)
+router.get('/music/artists/:id', async (req, res) => {
+  try {
+    const artist = await db.music.artist(Number(req.params.id));
+    if (!artist) return sendError(res, 404, 'Artist not found');
+    const albums = await db.music.albums({ artistID: artist.ArtistID, limit: -1, offset: 0, access: req.access });
+    const tracks = await db.music.artistTracks(artist.ArtistID, req.access);
+    if (albums.rows.length === 0 && tracks.length === 0) return sendError(res, 404, 'Artist not found');
+    res.json({
+      code: 0,
+      artist: { id: artist.ArtistID, name: artist.Name },
+      albums: albums.rows.map(formatAlbum),
+      tracks: tracks.map(formatTrack)
+    });
+  } catch (err) {
+    db.log(`[API] Unable to get artist: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get artist');
+  }
+});
+
+// Browse the music by album, optionally only the albums of one artist
+router.get('/music/albums', async (req, res) => {
+  const options = pageOptions(req.query);
+  if (options.error) return sendError(res, 400, options.error);
+  if (req.query.artist !== undefined) {
+    options.artistID = Number(req.query.artist);
+    if (!Number.isInteger(options.artistID)) return sendError(res, 400, 'Invalid artist, expected an artist id');
+  }
+  options.access = req.access;
+  try {
+    const result = await db.music.albums(options);
+    res.json(formatPage(options, result.total, { albums: result.rows.map(formatAlbum) }));
+  } catch (err) {
+    db.log(`[API] Unable to list albums: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to list albums');
+  }
+});
+
+// An album and its tracks, in disc and track order
+router.get('/music/albums/:id', async (req, res) => {
+  try {
+    const result = await db.music.album(Number(req.params.id), req.access);
+    if (!result.album || result.tracks.length === 0) return sendError(res, 404, 'Album not found');
+    const coverTrack = result.tracks.find(track => track.HasCover);
+    result.album.Tracks = result.tracks.length;
+    result.album.CoverHash = coverTrack ? coverTrack.Hash : null;
+    res.json({
+      code: 0,
+      album: formatAlbum(result.album),
+      tracks: result.tracks.map(track => formatTrack(Object.assign({ Album: result.album.Title }, track)))
+    });
+  } catch (err) {
+    db.log(`[API] Unable to get album: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get album');
+  }
+});
+
+// Browse the TV series
+router.get('/tv/series', async (req, res) => {
+  const options = pageOptions(req.query);
+  if (options.error) return sendError(res, 400, options.error);
+  try {
+    options.access = req.access;
+    const result = await db.tv.listSeries(options);
+    res.json(formatPage(options, result.total, {
+      series: result.rows.map(series => ({ id: series.SeriesID, title: series.Title, seasons: series.Seasons, episodes: series.Episodes }))
+    }));
+  } catch (err) {
+    db.log(`[API] Unable to list series: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to list series');
+  }
+});
+
+// A series, its seasons and the episode that the logged in user would watch next
+router.get('/tv/series/:id', async (req, res) => {
+  try {
+    const series = await db.tv.getSeries(Number(req.params.id));
+    if (!series) return sendError(res, 404, 'Series not found');
+    const episodes = await db.tv.episodes(series.SeriesID, req.session.accountID, undefined, req.access);
+    if (episodes.length === 0) return sendError(res, 404, 'Series not found');
+    let seasons = [];
+    for (const row of episodes) {
+      const season = (row.Season === null) ? undefined : row.Season;
+      if (seasons.length === 0 || seasons[seasons.length - 1].season !== season) seasons.push({ season: season, episodes: 0, watched: 0 });
+      seasons[seasons.length - 1].episodes++;
+      if (row.Completed) seasons[seasons.length - 1].watched++;
+    }
+    const next = upNext(episodes);
+    res.json({
+      code: 0,
+      series: { id: series.SeriesID, title: series.Title },
+      seasons: seasons,
+      upNext: next ? formatEpisode(next) : null
+    });
+  } catch (err) {
+    db.log(`[API] Unable to get series: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get series');
+  }
+});
+
+// The episodes of a season in viewing order, season 0 is the specials
+router.get('/tv/series/:id/seasons/:season', async (req, res) => {
+  const season = Number(req.params.season);
+  if (!Number.isInteger(season) || season < 0) return sendError(res, 400, 'Invalid season, expected a season number');
+  try {
+    const series = await db.tv.getSeries(Number(req.params.id));
+    if (!series) return sendError(res, 404, 'Series not found');
+    const episodes = await db.tv.episodes(series.SeriesID, req.session.accountID, season, req.access);
+    if (episodes.length === 0) return sendError(res, 404, 'Season not found');
+    res.json({
+      code: 0,
+      series: { id: series.SeriesID, title: series.Title },
+      season: season,
+      episodes: episodes.map(formatEpisode)
+    });
+  } catch (err) {
+    db.log(`[API] Unable to get season: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get season');
+  }
+});
+
+// The episode after an episode, so that players can continue with the next one
+router.get('/tv/episodes/:hash/next', async (req, res) => {
+  try {
+    const current = await db.tv.getEpisode(req.params.hash);
+    if (!current || current.SeriesID === null) return sendError(res, 404, 'Episode not found');
+    const episodes = await db.tv.episodes(current.SeriesID, req.session.accountID, undefined, req.access);
+    const index = episodes.findIndex(row => row.Hash === current.Hash);
+    // Other copies of the same episode (eg. another quality) are skipped
+    const next = episodes.slice(index + 1).find(row => row.Season !== current.Season || row.Episode === null || row.Episode > (current.EpisodeEnd || current.Episode));
+    res.json({ code: 0, episode: (index === -1 || !next) ? null : formatEpisode(next) });
+  } catch (err) {
+    db.log(`[API] Unable to get the next episode: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get the next episode');
+  }
+});
+
+// Browse the photo albums, the months that photos were taken in (latest first) or the folders they are in
+router.get('/photos/albums/:kind', async (req, res) => {
+  if (!['date', 'folder'].includes(req.params.kind)) return sendError(res, 400, 'Invalid album kind, expected date or folder');
+  const options = pageOptions(req.query);
+  if (options.error) return sendError(res, 400, options.error);
+  try {
+    options.access = req.access;
+    const result = await db.photos.albums(req.params.kind, options);
+    res.json(formatPage(options, result.total, { albums: result.rows.map(album => formatPhotoAlbum(req.params.kind, album)) }));
+  } catch (err) {
+    db.log(`[API] Unable to list photo albums: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to list photo albums');
+  }
+});
+
+// The photos of an album in the order they were taken, paged so that a slideshow can move through a large album
+router.get('/photos/albums/:kind/photos', async (req, res) => {
+  if (!['date', 'folder'].includes(req.params.kind)) return sendError(res, 400, 'Invalid album kind, expected date or folder');
+  const options = pageOptions(req.query);
+  if (options.error) return sendError(res, 400, options.error);
+  try {
+    const album = await photoAlbum(req.params.kind, req.query.key);
+    if (!album) return sendError(res, 400, 'Invalid album key');
+    options.access = req.access;
+    const result = await db.photos.albumPhotos(album, options);
+    if (result.total === 0) return sendError(res, 404, 'Album not found');
+    res.json(formatPage(options, result.total, {
+      photos: result.rows.map(row => Object.assign(formatMedia(row), {
+        photo: formatPhoto(row),
+        stream: `/api/media/${row.Hash}/stream`,
+        display: `/api/media/${row.Hash}/thumb?size=${PHOTO_DISPLAY_SIZE}`,
+        thumb: `/api/media/${row.Hash}/thumb`
+      }))
+    }));
+  } catch (err) {
+    db.log(`[API] Unable to list the photos of an album: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to list the photos of an album');
+  }
+});
+
+/**
+ * Find an ebook that can be served
+ * @param {String} hash Hash of the ebook
+ * @param {Object} grants What the logged in account may see (req.access)
+ * @returns {Object} { book, mediaPath } - Books row and full path of the file, undefined if it can not be served
+ */
+async function findBook(hash, grants) {
+  const book = await db.books.get(hash);
+  if (!book) return undefined;
+  const mediaPath = await access.findMediaPath(hash, grants);
+  if (!mediaPath) return undefined;
+  return { book: book, mediaPath: mediaPath };
+}
+
+// An ebook, with its reading order, table of contents and where the logged in user is in it
+router.get('/books/:hash', async (req, res) => {
+  try {
+    const found = await findBook(req.params.hash, req.access);
+    if (!found) return sendError(res, 404, 'Book not found');
+    res.json({
+      code: 0,
+      book: formatBook(found.book),
+      position: formatPosition(await db.books.getPosition(req.session.accountID, req.params.hash))
+    });
+  } catch (err) {
+    db.log(`[API] Unable to get book "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get book');
+  }
+});
+
+// A file within an EPUB, read from the book without extracting it
+router.get('/books/:hash/files/*', async (req, res) => {
+  try {
+    const found = await findBook(req.params.hash, req.access);
+    if (!found || found.book.Format !== 'epub') return sendError(res, 404, 'Book not found');
+    const contents = await ebook.readEpubFile(found.mediaPath, req.params[0]);
+    if (!contents) return sendError(res, 404, 'File not found');
+    // Books are displayed on the site itself, scripts within them are never run
+    res.set('Content-Security-Policy', "script-src 'none'; object-src 'none'");
+    res.set('X-Content-Type-Options', 'nosniff');
+    // The files are part of the book, so they do not change as long as the hash does not
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type(path.extname(req.params[0]) || 'application/octet-stream');
+    res.send(contents);
+  } catch (err) {
+    db.log(`[API] Unable to send a file of the book "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to send file');
+  }
+});
+
+// Cover image of an EPUB
+router.get('/books/:hash/cover', async (req, res) => {
+  try {
+    const found = await findBook(req.params.hash, req.access);
+    if (!found) return sendError(res, 404, 'Book not found');
+    const contents = found.book.CoverPath ? await ebook.readEpubFile(found.mediaPath, found.book.CoverPath) : undefined;
+    if (!contents) return sendError(res, 404, 'Cover not found');
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.set('ETag', `"${req.params.hash}-cover"`);
+    res.type(path.extname(found.book.CoverPath));
+    res.send(contents);
+  } catch (err) {
+    db.log(`[API] Unable to send the cover of "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to send cover');
+  }
+});
+
+// Where the logged in user is in an ebook
+router.get('/books/:hash/position', async (req, res) => {
+  try {
+    if (!await findBook(req.params.hash, req.access)) return sendError(res, 404, 'Book not found');
+    const position = await db.books.getPosition(req.session.accountID, req.params.hash);
+    res.json({ code: 0, position: formatPosition(position) });
+  } catch (err) {
+    db.log(`[API] Unable to get the reading position of "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get reading position');
+  }
+});
+
+// Save where the logged in user is in an ebook, an EPUB CFI for EPUBs and the page number for PDFs
+router.put('/books/:hash/position', async (req, res) => {
+  const body = req.body || {};
+  if (body.progress !== undefined && (typeof body.progress !== 'number' || !(body.progress >= 0 && body.progress <= 1))) return sendError(res, 400, 'Invalid progress, expected a number from 0 to 1');
+  try {
+    const found = await findBook(req.params.hash, req.access);
+    if (!found) return sendError(res, 404, 'Book not found');
+    let location = body.location;
+    let progress = body.progress;
+    if (found.book.Format === 'pdf') {
+      location = Number(location);
+      if (!Number.isInteger(location) || location < 1 || (found.book.Pages && location > found.book.Pages)) return sendError(res, 400, 'Invalid location, expected a page number');
+      if (progress === undefined && found.book.Pages) progress = location / found.book.Pages;
+    } else if (typeof location !== 'string' || location.length > 1024 || !/^epubcfi\(\/6\/\d+.*\)$/.test(location)) {
+      return sendError(res, 400, 'Invalid location, expected an EPUB CFI');
+    }
+    await db.books.savePosition(req.session.accountID, req.params.hash, String(location), progress);
+    res.json({ code: 0, position: formatPosition(await db.books.getPosition(req.session.accountID, req.params.hash)) });
+  } catch (err) {
+    db.log(`[API] Unable to save the reading position of "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to save reading position');
+  }
+});
+
+// How far the logged in user is through a media item
+router.get('/progress/:hash', async (req, res) => {
+  try {
+    res.json({ code: 0, progress: formatProgress(await db.progress.get(req.session.accountID, req.params.hash)) });
+  } catch (err) {
+    db.log(`[API] Unable to get the progress of "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get progress');
+  }
+});
+
+// Save how far the logged in user is through a media item, players send this as the media plays
+router.put('/progress/:hash', async (req, res) => {
+  const body = req.body || {};
+  if (typeof body.position !== 'number' || !(body.position >= 0)) return sendError(res, 400, 'Invalid position, expected a number of seconds');
+  if (body.duration !== undefined && (typeof body.duration !== 'number' || !(body.duration > 0))) return sendError(res, 400, 'Invalid duration, expected a number of seconds');
+  if (body.completed !== undefined && typeof body.completed !== 'boolean') return sendError(res, 400, 'Invalid completed, expected true or false');
+  try {
+    if ((await db.media.get(req.params.hash, req.access)).length === 0) return sendError(res, 404, 'Media not found');
+    // Players may leave out completed, it is then decided by how much has been played
+    let completed = body.completed;
+    if (completed === undefined) completed = Boolean(body.duration && body.position >= body.duration * COMPLETED_THRESHOLD);
+    await db.progress.save(req.session.accountID, req.params.hash, {
+      position: body.position,
+      duration: body.duration,
+      completed: completed
+    });
+    res.json({ code: 0, progress: formatProgress(await db.progress.get(req.session.accountID, req.params.hash)) });
+  } catch (err) {
+    db.log(`[API] Unable to save the progress of "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to save progress');
+  }
+});
+
+// Forget the progress of the logged in user through a media item (mark it as unplayed)
+router.delete('/progress/:hash', async (req, res) => {
+  try {
+    await db.progress.delete(req.session.accountID, req.params.hash);
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to delete the progress of "${req.params.hash}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to delete progress');
+  }
+});
+
+// What the logged in user has played, most recently played first
+router.get('/history', async (req, res) => {
+  if (req.query.type !== undefined && !mediaTypes.includes(req.query.type)) return sendError(res, 400, `Invalid type, expected one of ${mediaTypes.join(', ')}`);
+  const options = pageOptions(req.query);
+  if (options.error) return sendError(res, 400, options.error);
+  options.type = req.query.type;
+  options.access = req.access;
+  try {
+    const result = await db.progress.history(req.session.accountID, options);
+    res.json(formatPage(options, result.total, {
+      items: result.rows.map(row => Object.assign(formatMedia(row), { progress: formatProgress(row) }))
+    }));
+  } catch (err) {
+    db.log(`[API] Unable to get history: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get history');
+  }
+});
+
+// The shelves of the home page, what the logged in user is part way through and what is new in the library
+router.get('/shelves', async (req, res) => {
+  try {
+    const unfinished = async (type) => (await db.progress.history(req.session.accountID, { type: type, unfinished: true, limit: SHELF_SIZE, offset: 0, access: req.access }))
+      .rows.map(row => Object.assign(formatMedia(row), { progress: formatProgress(row) }));
+    const recentlyAdded = await db.media.query({ sort: 'added', order: 'desc', limit: SHELF_SIZE, offset: 0, access: req.access });
+    res.json({
+      code: 0,
+      continueWatching: await unfinished(['movie', 'tv']),
+      continueListening: await unfinished('music'),
+      continueReading: (await db.books.reading(req.session.accountID, SHELF_SIZE, req.access))
+        .map(row => Object.assign(formatMedia(row), { position: formatPosition(row) })),
+      recentlyAdded: recentlyAdded.rows.map(formatMedia)
+    });
+  } catch (err) {
+    db.log(`[API] Unable to get shelves: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get shelves');
+  }
+});
+
+// List the playlists and collections that the logged in user can see, their own and the shared ones
+router.get('/lists', async (req, res) => {
+  if (req.query.kind !== undefined && !listKinds[req.query.kind]) return sendError(res, 400, `Invalid kind, expected one of ${Object.keys(listKinds).join(', ')}`);
+  const options = pageOptions(req.query);
+  if (options.error) return sendError(res, 400, options.error);
+  try {
+    const result = await db.lists.query(req.session.accountID, Object.assign({ kind: req.query.kind, access: req.access }, options));
+    res.json(formatPage(options, result.total, { lists: result.rows.map(list => formatList(list, req.session.accountID)) }));
+  } catch (err) {
+    db.log(`[API] Unable to list lists: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to list lists');
+  }
+});
+
+// Create a playlist or collection, optionally with its items
+router.post('/lists', async (req, res) => {
+  const body = req.body || {};
+  if (!listKinds[body.kind]) return sendError(res, 400, `Invalid kind, expected one of ${Object.keys(listKinds).join(', ')}`);
+  if (body.name === undefined) return sendError(res, 400, 'Missing name');
+  try {
+    const list = await listChanges(body, body.kind, req.access);
+    if (list.error) return sendError(res, 400, list.error);
+    const id = await db.lists.create(Object.assign({ accountID: req.session.accountID, kind: body.kind }, list.changes));
+    res.json({ code: 0, list: formatList(await db.lists.get(id), req.session.accountID) });
+  } catch (err) {
+    db.log(`[API] Unable to create list: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to create list');
+  }
+});
+
+// Import an M3U/M3U8 playlist, the entries are found by their path relative to a library. The entries that are not in
+// the library (or that the user may not see) are left out and returned as missing.
+router.post('/lists/import', express.text({ type: M3U_TYPES, limit: MAX_M3U_SIZE }), async (req, res) => {
+  if (typeof req.body !== 'string') return sendError(res, 400, 'Expected the M3U playlist as the request body');
+  const name = (typeof req.query.name === 'string') ? req.query.name.trim() : '';
+  if (name.length === 0 || name.length > MAX_LIST_NAME) return sendError(res, 400, `Name must be 1 to ${MAX_LIST_NAME} characters`);
+  const entries = readM3U(req.body);
+  if (entries.length > MAX_LIST_ITEMS) return sendError(res, 400, `A playlist can hold at most ${MAX_LIST_ITEMS} items`);
+  try {
+    const libraries = (await db.libraries.list()).filter(library => library.Enabled);
+    let hashes = [];
+    let missing = [];
+    for (const entry of entries) {
+      const media = await findM3UEntry(entry, libraries, req.access);
+      if (media && listKinds.playlist.includes(media.Type)) hashes.push(media.Hash);
+      else missing.push(entry);
+    }
+    const id = await db.lists.create({
+      accountID: req.session.accountID,
+      kind: 'playlist',
+      name: name,
+      shared: req.query.shared === 'true',
+      items: [...new Set(hashes)]
+    });
+    db.log(`[API] "${req.session.username}" imported the playlist "${name}" (${hashes.length} of ${entries.length} entries found)`);
+    res.json({ code: 0, list: formatList(await db.lists.get(id), req.session.accountID), imported: hashes.length, missing: missing });
+  } catch (err) {
+    db.log(`[API] Unable to import playlist: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to import playlist');
+  }
+});
+
+// A list and its items, the media that the logged in user may not see is left out
+router.get('/lists/:id', async (req, res) => {
+  try {
+    const found = await findList(req);
+    if (found.error) return sendError(res, found.status, found.error);
+    const items = await db.lists.items(found.list, req.access);
+    let list = formatList(found.list, req.session.accountID);
+    list.items = items.length;
+    res.json({ code: 0, list: list, items: items.map(formatMedia) });
+  } catch (err) {
+    db.log(`[API] Unable to get list "${req.params.id}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get list');
+  }
+});
+
+// Change a list, { items } replaces its items (in their new order)
+router.patch('/lists/:id', async (req, res) => {
+  try {
+    const found = await findList(req, true);
+    if (found.error) return sendError(res, found.status, found.error);
+    const list = await listChanges(req.body || {}, found.list.Kind, req.access);
+    if (list.error) return sendError(res, 400, list.error);
+    await db.lists.update(found.list.ListID, list.changes);
+    res.json({ code: 0, list: formatList(await db.lists.get(found.list.ListID), req.session.accountID) });
+  } catch (err) {
+    db.log(`[API] Unable to change list "${req.params.id}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to change list');
+  }
+});
+
+// Delete a list, the media itself is untouched
+router.delete('/lists/:id', async (req, res) => {
+  try {
+    const found = await findList(req, true);
+    if (found.error) return sendError(res, found.status, found.error);
+    await db.lists.delete(found.list.ListID);
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to delete list "${req.params.id}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to delete list');
+  }
+});
+
+// Add media to the end of a list, { hashes }
+router.post('/lists/:id/items', async (req, res) => {
+  const hashes = (req.body || {}).hashes;
+  if (!Array.isArray(hashes) || hashes.length === 0 || !hashes.every(hash => typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash))) return sendError(res, 400, 'hashes must be a list of media hashes');
+  try {
+    const found = await findList(req, true);
+    if (found.error) return sendError(res, found.status, found.error);
+    if ((await db.lists.countItems(found.list.ListID)) + hashes.length > MAX_LIST_ITEMS) return sendError(res, 400, `A list can hold at most ${MAX_LIST_ITEMS} items`);
+    const problem = await listItemsProblem(hashes, found.list.Kind, req.access);
+    if (problem) return sendError(res, 400, problem);
+    await db.lists.addItems(found.list.ListID, hashes);
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to add to list "${req.params.id}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to add to list');
+  }
+});
+
+// Remove media from a list
+router.delete('/lists/:id/items/:hash', async (req, res) => {
+  try {
+    const found = await findList(req, true);
+    if (found.error) return sendError(res, found.status, found.error);
+    if (!(await db.lists.removeItem(found.list.ListID, req.params.hash))) return sendError(res, 404, 'Media is not in the list');
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to remove from list "${req.params.id}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to remove from list');
+  }
+});
+
+// Export a playlist as M3U8, each path is relative to the library the media is in
+router.get('/lists/:id/m3u', async (req, res) => {
+  try {
+    const found = await findList(req);
+    if (found.error) return sendError(res, found.status, found.error);
+    if (found.list.Kind !== 'playlist') return sendError(res, 400, 'Only playlists can be exported');
+    let lines = ['#EXTM3U', `#PLAYLIST:${found.list.Name}`];
+    for (const row of await db.lists.items(found.list, req.access)) {
+      const item = formatMedia(row);
+      lines.push(`#EXTINF:${row.Duration ? Math.round(row.Duration) : -1},${item.title}`, item.path.split(path.sep).join('/'));
+    }
+    res.attachment(`${found.list.Name.replace(/[\\/:*?"<>|]/g, '_')}.m3u8`);
+    res.set('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+    res.send(lines.join('\n') + '\n');
+  } catch (err) {
+    db.log(`[API] Unable to export list "${req.params.id}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to export list');
+  }
+});
+
+/**
+ * Format a Shares row for the API
+ * @param {Object} share Shares row from the database
+ * @returns {Object} Share link { id, title, owner, url, items, password, expires, downloads, maxDownloads, created, lastUsed }
+ */
+async function formatShare(share) {
+  return {
+    id: share.ShareID,
+    title: share.Title,
+    owner: share.OwnerName,
+    url: `/share/${await shares.shareToken(share)}`,
+    items: JSON.parse(share.Hashes || '[]').length,
+    password: Boolean(share.Password),
+    expires: new Date(share.Expires).toISOString(),
+    downloads: share.Downloads,
+    maxDownloads: (share.MaxDownloads === null) ? undefined : share.MaxDownloads,
+    created: `${share.Created.replace(' ', 'T')}Z`,
+    lastUsed: share.LastUsed ? `${share.LastUsed.replace(' ', 'T')}Z` : undefined
+  };
+}
+
+/**
+ * Find the media that a share link is made for: a media item ({ hash }), a list ({ list }) or a photo album ({ album:
+ * { kind, key } }) that the logged in user can see
+ * @param {*} req Express request, with the request body
+ * @returns {Object} { hashes, title } - the media and the name of what is shared, or { status, error }
+ */
+async function shareTarget(req) {
+  const body = req.body || {};
+  const targets = ['hash', 'list', 'album'].filter(target => body[target] !== undefined);
+  if (targets.length !== 1) return { status: 400, error: 'Expected one of hash, list or album' };
+  if (body.hash !== undefined) {
+    if (typeof body.hash !== 'string' || !/^[0-9a-f]{64}$/.test(body.hash)) return { status: 400, error: 'Invalid hash' };
+    const mediaPath = await access.findMediaPath(body.hash, req.access);
+    if (!mediaPath) return { status: 404, error: 'Media not found' };
+    const described = await db.metadata.get(body.hash);
+    return { hashes: [body.hash], title: (described.metadata && described.metadata.Title) || path.parse(mediaPath).name };
+  }
+  if (body.list !== undefined) {
+    // The user's own lists and the shared ones, like findList()
+    const list = Number.isInteger(body.list) ? await db.lists.get(body.list) : undefined;
+    if (!list || (list.AccountID !== req.session.accountID && !list.IsShared)) return { status: 404, error: 'List not found' };
+    const items = await db.lists.items(list, req.access);
+    if (items.length === 0) return { status: 400, error: 'The list is empty' };
+    return { hashes: items.slice(0, MAX_SHARE_ITEMS).map(item => item.Hash), title: list.Name };
+  }
+  if (typeof body.album !== 'object' || body.album === null || !['date', 'folder'].includes(body.album.kind)) return { status: 400, error: 'album must be { kind, key }, the kind is date or folder' };
+  const album = await photoAlbum(body.album.kind, body.album.key);
+  if (!album) return { status: 400, error: 'Invalid album key' };
+  const photos = await db.photos.albumPhotos(album, { limit: MAX_SHARE_ITEMS, offset: 0, access: req.access });
+  if (photos.total === 0) return { status: 404, error: 'Album not found' };
+  return { hashes: photos.rows.map(photo => photo.Hash), title: album.month || path.basename(album.directory) };
+}
+
+// List the share links that still work, an admin sees the links of every user
+router.get('/shares', async (req, res) => {
+  const options = pageOptions(req.query);
+  if (options.error) return sendError(res, 400, options.error);
+  try {
+    if (!req.account.IsAdmin) options.accountID = req.session.accountID;
+    const result = await db.shares.query(options);
+    res.json(formatPage(options, result.total, { shares: await Promise.all(result.rows.map(formatShare)) }));
+  } catch (err) {
+    db.log(`[API] Unable to list share links: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to list share links');
+  }
+});
+
+// Share a media item, list or photo album with a link that works without an account, { hash | list | album, title,
+// hours (until the link expires), password, maxDownloads }
+router.post('/shares', async (req, res) => {
+  const body = req.body || {};
+  if (!Number.isInteger(body.hours) || body.hours < 1 || body.hours > MAX_SHARE_HOURS) return sendError(res, 400, `hours must be a whole number from 1 to ${MAX_SHARE_HOURS}`);
+  if (body.title !== undefined && (typeof body.title !== 'string' || body.title.trim().length === 0 || body.title.length > MAX_SHARE_TITLE)) return sendError(res, 400, `title must be 1 to ${MAX_SHARE_TITLE} characters`);
+  if (body.password !== undefined && body.password !== null && body.password !== '' && (typeof body.password !== 'string' || body.password.length > MAX_SHARE_PASSWORD)) return sendError(res, 400, `password must be at most ${MAX_SHARE_PASSWORD} characters`);
+  if (body.maxDownloads !== undefined && body.maxDownloads !== null && (!Number.isInteger(body.maxDownloads) || body.maxDownloads < 1 || body.maxDownloads > MAX_SHARE_DOWNLOADS)) return sendError(res, 400, `maxDownloads must be a whole number from 1 to ${MAX_SHARE_DOWNLOADS}`);
+  try {
+    const target = await shareTarget(req);
+    if (target.error) return sendError(res, target.status, target.error);
+    const id = await db.shares.create({
+      accountID: req.session.accountID,
+      title: body.title ? body.title.trim() : target.title,
+      hashes: target.hashes,
+      password: body.password || undefined,
+      expires: Date.now() + body.hours * 60 * 60 * 1000,
+      maxDownloads: body.maxDownloads || undefined
+    });
+    const share = await db.shares.get(id);
+    db.log(`[API] "${req.session.username}" shared "${share.Title}" (${target.hashes.length} items) with link ${id}, expiring ${new Date(share.Expires).toISOString()}`);
+    res.json({ code: 0, share: await formatShare(share) });
+  } catch (err) {
+    db.log(`[API] Unable to create a share link: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to create share link');
+  }
+});
+
+// Revoke a share link, it stops working straight away
+router.delete('/shares/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const share = Number.isInteger(id) ? await db.shares.get(id) : undefined;
+    if (!share || (share.AccountID !== req.session.accountID && !req.account.IsAdmin)) return sendError(res, 404, 'Share link not found');
+    await db.shares.revoke(id);
+    db.log(`[API] "${req.session.username}" revoked share link ${id} ("${share.Title}")`);
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to revoke share link "${req.params.id}": ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to revoke share link');
+  }
+});
+
+// Change the password of the logged in user, the current password must be confirmed
+router.post('/account/password', async (req, res) => {
+  const body = req.body || {};
+  try {
+    if (!(await db.user.checkPassword(req.session.accountID, String(body.currentPassword)))) return sendError(res, 403, 'Current password is incorrect');
+    const problem = passwordProblem(body.newPassword, req.session.username);
+    if (problem) return sendError(res, 400, problem);
+    if (body.newPassword === body.currentPassword) return sendError(res, 400, 'New password must be different from the current password');
+    await db.user.update(req.session.accountID, { password: body.newPassword });
+    req.session.mustChangePassword = false;
+    db.log(`[API] "${req.session.username}" changed their password`);
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to change password: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to change password');
+  }
+});
+
+// Get the logged in user's account and whether it has two-factor logins
+router.get('/account', async (req, res) => {
+  try {
+    res.json({
+      code: 0,
+      account: {
+        username: req.account.AccountName,
+        displayName: req.account.DisplayName,
+        twoFactor: Boolean(req.account.TotpEnabled),
+        recoveryCodes: req.account.TotpEnabled ? JSON.parse(req.account.RecoveryCodes || '[]').length : 0
+      }
+    });
+  } catch (err) {
+    db.log(`[API] Unable to get account: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get account');
+  }
+});
+
+// Start enrolling the logged in user in two-factor logins, { password }. The secret is saved but not used until a code
+// from the authenticator app is confirmed.
+router.post('/account/totp', async (req, res) => {
+  const body = req.body || {};
+  try {
+    if (req.account.TotpEnabled) return sendError(res, 409, 'Two-factor logins are already enabled');
+    if (!(await db.user.checkPassword(req.account.AccountID, String(body.password)))) return sendError(res, 403, 'Password is incorrect');
+    const secret = totp.generateSecret();
+    await db.user.update(req.account.AccountID, { totpSecret: secret });
+    res.json({ code: 0, secret: secret, url: totp.otpauthURL(secret, req.account.AccountName) });
+  } catch (err) {
+    db.log(`[API] Unable to start two-factor enrollment: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to start two-factor enrollment');
+  }
+});
+
+// Finish enrolling in two-factor logins with a code from the authenticator app, { code }. The recovery codes are only
+// ever sent in this response (and when they are replaced).
+router.post('/account/totp/confirm', async (req, res) => {
+  const body = req.body || {};
+  try {
+    if (req.account.TotpEnabled) return sendError(res, 409, 'Two-factor logins are already enabled');
+    if (!req.account.TotpSecret) return sendError(res, 400, 'Two-factor enrollment has not been started');
+    const step = totp.verify(req.account.TotpSecret, String(body.code));
+    if (step === undefined || !(await db.user.useTotpStep(req.account.AccountID, step))) return sendError(res, 400, 'The code is incorrect, check the time of the device with the app');
+    const recovery = totp.generateRecoveryCodes();
+    await db.user.update(req.account.AccountID, { totpEnabled: true, recoveryCodes: recovery.hashes });
+    db.log(`[API] "${req.session.username}" enabled two-factor logins`);
+    res.json({ code: 0, recoveryCodes: recovery.codes });
+  } catch (err) {
+    db.log(`[API] Unable to enable two-factor logins: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to enable two-factor logins');
+  }
+});
+
+// Replace the recovery codes of the logged in user, { password }
+router.post('/account/totp/recovery', async (req, res) => {
+  const body = req.body || {};
+  try {
+    if (!req.account.TotpEnabled) return sendError(res, 409, 'Two-factor logins are not enabled');
+    if (!(await db.user.checkPassword(req.account.AccountID, String(body.password)))) return sendError(res, 403, 'Password is incorrect');
+    const recovery = totp.generateRecoveryCodes();
+    await db.user.update(req.account.AccountID, { recoveryCodes: recovery.hashes });
+    db.log(`[API] "${req.session.username}" replaced their recovery codes`);
+    res.json({ code: 0, recoveryCodes: recovery.codes });
+  } catch (err) {
+    db.log(`[API] Unable to replace recovery codes: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to replace recovery codes');
+  }
+});
+
+// Turn off two-factor logins for the logged in user, { password }
+router.delete('/account/totp', async (req, res) => {
+  const body = req.body || {};
+  try {
+    if (!(await db.user.checkPassword(req.account.AccountID, String(body.password)))) return sendError(res, 403, 'Password is incorrect');
+    await db.user.update(req.account.AccountID, { totpEnabled: false, totpSecret: null, recoveryCodes: null });
+    if (req.account.TotpEnabled) db.log(`[API] "${req.session.username}" disabled two-factor logins`, 'warning');
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to disable two-factor logins: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to disable two-factor logins');
+  }
+});
+
+// List the user accounts
+router.get('/users', adminOnly, async (req, res) => {
+  try {
+    // The ratings that an account's maxRating can be, from the most to the least suitable for children
+    res.json({ code: 0, users: (await db.user.list()).map(formatUser), contentRatings: sidecar.CONTENT_RATINGS.map(level => level.name) });
+  } catch (err) {
+    db.log(`[API] Unable to list users: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to list users');
+  }
+});
+
+// Create a user account
+router.post('/users', adminOnly, async (req, res) => {
+  const body = req.body || {};
+  if (typeof body.username !== 'string' || !USERNAME_PATTERN.test(body.username)) return sendError(res, 400, 'Username must be 1 to 50 letters, numbers, dots, dashes or underscores');
+  const problem = passwordProblem(body.password, body.username);
+  if (problem) return sendError(res, 400, problem);
+  if (body.displayName !== undefined && (typeof body.displayName !== 'string' || body.displayName.length > 50)) return sendError(res, 400, 'Display name must be at most 50 characters');
+  try {
+    const grants = await grantChanges(body);
+    if (grants.error) return sendError(res, 400, grants.error);
+    if (await db.user.get(body.username)) return sendError(res, 409, 'An account with that username already exists');
+    const accountID = await db.user.create(Object.assign({
+      username: body.username,
+      password: body.password,
+      displayName: body.displayName,
+      isAdmin: Boolean(body.isAdmin)
+    }, grants.changes));
+    db.log(`[API] "${req.session.username}" created the account "${body.username}"`);
+    res.json({ code: 0, user: formatUser(await db.user.getByID(accountID)) });
+  } catch (err) {
+    db.log(`[API] Unable to create user: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to create user');
+  }
+});
+
+// Update a user account, change the display name, password or grants, or toggle admin/disabled
+router.patch('/users/:id', adminOnly, async (req, res) => {
+  const body = req.body || {};
+  const accountID = Number(req.params.id);
+  try {
+    const account = await db.user.getByID(accountID);
+    if (!account) return sendError(res, 404, 'User not found');
+    const grants = await grantChanges(body);
+    if (grants.error) return sendError(res, 400, grants.error);
+    let changes = grants.changes;
+    if (body.displayName !== undefined) {
+      if (typeof body.displayName !== 'string' || body.displayName.length === 0 || body.displayName.length > 50) return sendError(res, 400, 'Display name must be 1 to 50 characters');
+      changes.displayName = body.displayName;
+    }
+    if (body.password !== undefined) {
+      const problem = passwordProblem(body.password, account.AccountName);
+      if (problem) return sendError(res, 400, problem);
+      changes.password = body.password;
+    }
+    if (body.isAdmin !== undefined) changes.isAdmin = Boolean(body.isAdmin);
+    if (body.isDisabled !== undefined) changes.isDisabled = Boolean(body.isDisabled);
+    // Admins can turn off the two-factor logins of a user who lost their authenticator app and recovery codes, only the
+    // user can turn them on
+    if (body.twoFactor !== undefined) {
+      if (body.twoFactor !== false) return sendError(res, 400, 'Two-factor logins can only be turned off, users turn them on themselves');
+      Object.assign(changes, { totpEnabled: false, totpSecret: null, recoveryCodes: null });
+    }
+    // Admins can not lock themselves out
+    if (accountID === req.session.accountID && (changes.isAdmin === false || changes.isDisabled === true)) return sendError(res, 400, 'You can not remove admin access from or disable your own account');
+    await db.user.update(accountID, changes);
+    db.log(`[API] "${req.session.username}" updated the account "${account.AccountName}" (${Object.keys(changes).join(', ')})`);
+    // A disabled account is logged out everywhere straight away, not only refused its next login
+    if (changes.isDisabled === true) await endSessions(account);
+    res.json({ code: 0, user: formatUser(await db.user.getByID(accountID)) });
+  } catch (err) {
+    db.log(`[API] Unable to update user: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to update user');
+  }
+});
+
+// Delete a user account
+router.delete('/users/:id', adminOnly, async (req, res) => {
+  const accountID = Number(req.params.id);
+  if (accountID === req.session.accountID) return sendError(res, 400, 'You can not delete your own account');
+  try {
+    const account = await db.user.getByID(accountID);
+    if (!account) return sendError(res, 404, 'User not found');
+    await db.user.delete(accountID);
+    db.log(`[API] "${req.session.username}" deleted the account "${account.AccountName}"`);
+    await endSessions(account);
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to delete user: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to delete user');
+  }
+});
+
+// Get the settings that can be changed through the API
+router.get('/settings', adminOnly, async (req, res) => {
+  try {
+    const settings = await db.settings.get();
+    let editable = {};
+    for (const key of Object.keys(editableSettings)) editable[key] = settings[key];
+    res.json({ code: 0, settings: editable });
+  } catch (err) {
+    db.log(`[API] Unable to get settings: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get settings');
+  }
+});
+
+// Change settings, all of the provided settings are validated before any of them are saved
+router.patch('/settings', adminOnly, async (req, res) => {
+  const body = req.body || {};
+  for (const [key, value] of Object.entries(body)) {
+    if (!editableSettings[key]) return sendError(res, 400, `Unknown setting ${key}`);
+    if (!editableSettings[key](value)) return sendError(res, 400, `Invalid value for ${key}`);
+  }
+  try {
+    await db.settings.save(body);
+    db.log(`[API] "${req.session.username}" changed the settings (${Object.keys(body).join(', ')})`);
+    // Let main.js apply the changes (session cookie, library schedule)
+    req.app.emit('settingsChanged');
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to save settings: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to save settings');
+  }
+});
+
+// List the libraries with their item counts and scan status
+router.get('/libraries', adminOnly, async (req, res) => {
+  try {
+    const counts = await db.libraries.counts();
+    res.json({ code: 0, libraries: (await db.libraries.list()).map(library => formatLibrary(library, counts)) });
+  } catch (err) {
+    db.log(`[API] Unable to list libraries: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to list libraries');
+  }
+});
+
+// Create a library, it is scanned straight away
+router.post('/libraries', adminOnly, async (req, res) => {
+  const body = req.body || {};
+  if (body.name === undefined || body.path === undefined || body.type === undefined) return sendError(res, 400, 'A library needs a name, path and type');
+  try {
+    const library = await libraryChanges(body);
+    if (library.error) return sendError(res, 400, library.error);
+    if (await db.libraries.getByName(library.changes.name)) return sendError(res, 409, 'A library with that name already exists');
+    const libraryID = await db.libraries.create(library.changes);
+    db.log(`[API] "${req.session.username}" created the ${library.changes.type} library "${library.changes.name}" (${library.changes.path})`);
+    if (library.changes.enabled !== false) librarian.scanLibrary(libraryID);
+    // Let main.js watch the new library
+    req.app.emit('librariesChanged');
+    res.json({ code: 0, library: formatLibrary(await db.libraries.get(libraryID), await db.libraries.counts()) });
+  } catch (err) {
+    db.log(`[API] Unable to create library: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to create library');
+  }
+});
+
+// Get a library with its item count and scan status
+router.get('/libraries/:id', adminOnly, async (req, res) => {
+  try {
+    const library = await db.libraries.get(Number(req.params.id));
+    if (!library) return sendError(res, 404, 'Library not found');
+    res.json({ code: 0, library: formatLibrary(library, await db.libraries.counts()) });
+  } catch (err) {
+    db.log(`[API] Unable to get library: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to get library');
+  }
+});
+
+// Update a library, it is scanned again if what it contains may have changed
+router.patch('/libraries/:id', adminOnly, async (req, res) => {
+  const libraryID = Number(req.params.id);
+  try {
+    const library = await db.libraries.get(libraryID);
+    if (!library) return sendError(res, 404, 'Library not found');
+    const update = await libraryChanges(req.body || {});
+    if (update.error) return sendError(res, 400, update.error);
+    const changes = update.changes;
+    if (changes.name !== undefined) {
+      const named = await db.libraries.getByName(changes.name);
+      if (named && named.LibraryID !== libraryID) return sendError(res, 409, 'A library with that name already exists');
+    }
+    await db.libraries.update(libraryID, changes);
+    db.log(`[API] "${req.session.username}" updated the library "${library.Name}" (${Object.keys(changes).join(', ')})`);
+    // New paths, types or patterns add and remove media, and a library that is enabled again has to be found again
+    const rescan = ['path', 'type', 'include', 'exclude'].some(key => changes[key] !== undefined) || (changes.enabled && !library.Enabled);
+    const enabled = (changes.enabled === undefined) ? Boolean(library.Enabled) : changes.enabled;
+    if (rescan && enabled) librarian.scanLibrary(libraryID);
+    req.app.emit('librariesChanged');
+    res.json({ code: 0, library: formatLibrary(await db.libraries.get(libraryID), await db.libraries.counts()) });
+  } catch (err) {
+    db.log(`[API] Unable to update library: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to update library');
+  }
+});
+
+// Delete a library, its media is no longer served (the files are untouched)
+router.delete('/libraries/:id', adminOnly, async (req, res) => {
+  const libraryID = Number(req.params.id);
+  try {
+    const library = await db.libraries.get(libraryID);
+    if (!library) return sendError(res, 404, 'Library not found');
+    // A scan would add the media of the library back
+    if (librarian.scanStatus(libraryID).state !== 'idle') return sendError(res, 409, 'The library is being scanned, try again once the scan has finished');
+    await db.libraries.delete(libraryID);
+    db.log(`[API] "${req.session.username}" deleted the library "${library.Name}"`);
+    req.app.emit('librariesChanged');
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to delete library: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to delete library');
+  }
+});
+
+// Scan a library now, only the files that changed unless a full scan (re-hashing every file) is requested
+router.post('/libraries/:id/scan', adminOnly, async (req, res) => {
+  const libraryID = Number(req.params.id);
+  const full = Boolean((req.body || {}).full);
+  try {
+    const library = await db.libraries.get(libraryID);
+    if (!library) return sendError(res, 404, 'Library not found');
+    if (!library.Enabled) return sendError(res, 400, 'The library is disabled');
+    if (!librarian.scanLibrary(libraryID, { full: full })) return sendError(res, 409, 'The library is already being scanned');
+    db.log(`[API] "${req.session.username}" started a ${full ? 'full' : 'incremental'} scan of the library "${library.Name}"`);
+    res.json({ code: 0, library: formatLibrary(library, await db.libraries.counts()) });
+  } catch (err) {
+    db.log(`[API] Unable to scan library: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to scan library');
+  }
+});
+
+/**
+ * Format a Media row of the integrity report, with the full path (the report is only for admins, who fix what it finds)
+ * @param {Object} row Media row from the database, with the Library name
+ * @returns {Object} Entry { hash, type, library, path, size, modified }
+ */
+function formatIntegrityEntry(row) {
+  return {
+    hash: row.Hash,
+    type: row.Type,
+    library: row.Library || null,
+    path: row.Path,
+    size: row.Size,
+    modified: new Date(row.MTime).toISOString()
+  };
+}
+
+/**
+ * Format the integrity report of the librarian for the API
+ * @param {Object} report Report from librarian.integrityReport()
+ * @returns {Object} { generated, duplicates, hashChanges, disabled, missing } - each duplicate is { hash, type, size,
+ *                   wasted (bytes taken by the extra copies), copies }
+ */
+function formatIntegrityReport(report) {
+  return {
+    generated: new Date().toISOString(),
+    duplicates: report.duplicates.map(group => ({
+      hash: group.hash,
+      type: group.type,
+      size: group.size,
+      wasted: group.size * (group.copies.length - 1),
+      copies: group.copies.map(formatIntegrityEntry)
+    })),
+    hashChanges: report.hashChanges.map(change => ({
+      id: change.ChangeID,
+      library: change.Library || null,
+      path: change.Path,
+      oldHash: change.OldHash,
+      newHash: change.NewHash,
+      oldSize: change.OldSize,
+      newSize: change.NewSize,
+      modified: new Date(change.MTime).toISOString(),
+      detected: `${change.Detected.replace(' ', 'T')}Z`
+    })),
+    disabled: report.disabled.map(formatIntegrityEntry),
+    missing: report.missing.map(formatIntegrityEntry)
+  };
+}
+
+/**
+ * Quote a CSV field if it needs to be (RFC 4180). Text that spreadsheets would run as a formula is prefixed with '.
+ * @param {*} value Value of the field
+ * @returns {String} CSV field
+ */
+function csvField(value) {
+  let text = (value === null || value === undefined) ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten the integrity report in to CSV, one row per file and problem
+ * @param {Object} report Report from formatIntegrityReport()
+ * @returns {String} CSV with a header row (problem, hash, type, library, path, size, modified, detail)
+ */
+function integrityCSV(report) {
+  let rows = [['problem', 'hash', 'type', 'library', 'path', 'size', 'modified', 'detail']];
+  for (const group of report.duplicates) {
+    for (const copy of group.copies) rows.push(['duplicate', copy.hash, copy.type, copy.library, copy.path, copy.size, copy.modified, `${group.copies.length} copies`]);
+  }
+  for (const change of report.hashChanges) {
+    rows.push(['hash changed', change.newHash, '', change.library, change.path, change.newSize, change.modified, `was ${change.oldHash} (${change.oldSize} bytes), found ${change.detected}`]);
+  }
+  for (const entry of report.disabled) rows.push(['disabled', entry.hash, entry.type, entry.library, entry.path, entry.size, entry.modified, '']);
+  for (const entry of report.missing) rows.push(['missing', entry.hash, entry.type, entry.library, entry.path, entry.size, entry.modified, '']);
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Integrity report of the libraries: duplicate files, contents that changed without their modification time changing,
+// and disabled or missing entries. ?export=json or csv sends it as a file to download.
+router.get('/reports/integrity', adminOnly, async (req, res) => {
+  const format = req.query.export;
+  if (format !== undefined && !['json', 'csv'].includes(format)) return sendError(res, 400, 'export must be json or csv');
+  try {
+    const report = formatIntegrityReport(await librarian.integrityReport());
+    if (format === undefined) return res.json(Object.assign({ code: 0 }, report));
+    res.attachment(`nelfe-integrity-${report.generated.slice(0, 10)}.${format}`);
+    if (format === 'csv') return res.type('text/csv; charset=utf-8').send(integrityCSV(report));
+    res.type('application/json').send(JSON.stringify(report, null, 2));
+  } catch (err) {
+    db.log(`[API] Unable to make the integrity report: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to make the integrity report');
+  }
+});
+
+// Dismiss a change of contents from the integrity report, eg. once the file was restored or the change was expected
+router.delete('/reports/integrity/changes/:id', adminOnly, async (req, res) => {
+  try {
+    if (!(await db.media.dismissHashChange(Number(req.params.id)))) return sendError(res, 404, 'Change not found');
+    db.log(`[API] "${req.session.username}" dismissed the content change ${req.params.id} from the integrity report`);
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[API] Unable to dismiss content change: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to dismiss content change');
+  }
+});
+
+// Search the log, latest first
+router.get('/logs', adminOnly, async (req, res) => {
+  const filter = logFilter(req.query);
+  if (filter.error) return sendError(res, 400, filter.error);
+  const options = pageOptions(req.query);
+  if (options.error) return sendError(res, 400, options.error);
+  try {
+    const result = await db.logs.query(Object.assign(filter, options));
+    res.json(formatPage(options, result.total, { entries: result.rows.map(formatLog) }));
+  } catch (err) {
+    db.log(`[API] Unable to search the log: ${err.message}`, 'error');
+    sendError(res, 500, 'Unable to search the log');
+  }
+});
+
+// Follow the log live. Every new entry that matches the level and text is sent as an event, its data is the entry.
+router.get('/logs/stream', adminOnly, (req, res) => {
+  const filter = logFilter(req.query);
+  if (filter.error) return sendError(res, 400, filter.error);
+  const minimum = filter.level ? logLevels.indexOf(filter.level) : 0;
+  const search = filter.search ? filter.search.toLowerCase() : undefined;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    // Proxies (nginx) would otherwise hold the events back
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${LOG_STREAM_RETRY}\n\n`);
+  const send = (entry) => {
+    if (logLevels.indexOf(entry.Level.toLowerCase()) < minimum) return;
+    if (search && !entry.Message.toLowerCase().includes(search)) return;
+    res.write(`id: ${entry.UUID}\ndata: ${JSON.stringify(formatLog(entry))}\n\n`);
+  };
+  const stop = () => {
+    clearInterval(heartbeat);
+    db.logEvents.off('log', send);
+    res.end();
+  };
+  // A comment keeps the connection open, and the stream ends if the account is no longer an admin
+  const heartbeat = setInterval(async () => {
+    try {
+      const account = await db.user.getByID(req.session.accountID);
+      if (!account || !account.IsAdmin || account.IsDisabled) return stop();
+      res.write(': heartbeat\n\n');
+    } catch {
+      stop();
+    }
+  }, LOG_STREAM_HEARTBEAT);
+  db.logEvents.on('log', send);
+  req.on('close', stop);
+});
+
+module.exports = router;
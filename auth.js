@@ -8,26 +8,106 @@
  * auth.js - Authentication handler/router.
  */
 
-const e = require('express');
 const express = require('express');
+const path = require('path');
+const db = require(path.join(__dirname, 'db.js'));
+const transcode = require(path.join(__dirname, 'transcode.js'));
+const throttle = require(path.join(__dirname, 'throttle.js'));
+const totp = require(path.join(__dirname, 'totp.js'));
+const { DEFAULT_USERNAME, DEFAULT_PASSWORD } = require(path.join(__dirname, 'access.js'));
 const router = express.Router();
 
 // Login front end
-router.get('/', (req, res) => {
-  if (req.session.username) req.redirect('/');
+router.get('/', async (req, res) => {
+  // Users that are already logged in go straight to the library, unless they have to change their password
+  if (req.session.username && !req.session.mustChangePassword) return res.redirect('/');
+  try {
+    const settings = await db.settings.get();
+    res.render('login.html', {
+      changePassword: Boolean(req.session.mustChangePassword),
+      rememberMe: settings.SESSION_REMEMBER_ME
+    });
+  } catch (err) {
+    db.log(`[AUTH] Unable to show the login page: ${err.message}`, 'error');
+    res.status(500).send('Unable to show the login page');
+  }
 });
 
 // Login server actions
+// Response codes: 0 - Success, 1 - Account does not exist, 2 - Incorrect password, 3 - Account is disabled,
+//                 4 - Two-factor code required, 5 - Incorrect two-factor code, 400 - Username or password missing,
+//                 429 - Too many failed logins (retryAfter: seconds to wait), 500 - Server error
 router.post('/login', async (req, res) => {
   let response = { code: 500 };
+  try {
+    const username = req.body ? req.body.username : undefined;
+    const password = req.body ? req.body.password : undefined;
+    if (typeof username !== 'string' || typeof password !== 'string' || username.length === 0) {
+      response.code = 400;
+      return res.send(JSON.stringify(response));
+    }
+    // After too many failed logins the password is not even checked, until the delay or lockout is over
+    const login = { account: username, address: req.ip };
+    const retryAfter = throttle.check(login);
+    if (retryAfter > 0) {
+      response.code = 429;
+      response.retryAfter = retryAfter;
+      db.log(`[AUTH] Throttled login for "${username}" from ${req.ip}`, 'debug');
+      res.set('Retry-After', String(retryAfter));
+      return res.send(JSON.stringify(response));
+    }
+    response.code = await db.user.authenticate(username, password);
+    let account;
+    if (response.code === 0) {
+      account = await db.user.get(username);
+      // Accounts with two-factor logins also need a code from their authenticator app, or a recovery code
+      if (account.TotpEnabled) {
+        const code = req.body.code;
+        if (typeof code !== 'string' || code.trim().length === 0) {
+          response.code = 4;
+          return res.send(JSON.stringify(response));
+        }
+        const method = await totp.checkLogin(account, code);
+        if (!method) response.code = 5;
+        else if (method === 'recovery') db.log(`[AUTH] "${account.AccountName}" used a recovery code to log in from ${req.ip}`, 'warning');
+      }
+    }
+    if (response.code === 0) {
+      throttle.succeeded(login);
+      // Start a new session on login so that an existing session ID can not be reused (session fixation)
+      await new Promise((resolve, reject) => req.session.regenerate(err => err ? reject(err) : resolve()));
+      req.session.accountID = account.AccountID;
+      req.session.username = account.AccountName;
+      req.session.displayName = account.DisplayName;
+      req.session.isAdmin = Boolean(account.IsAdmin);
+      // "Remember me" logins last SESSION_LIFETIME hours, others end with the browser session
+      const settings = await db.settings.get();
+      if (settings.SESSION_REMEMBER_ME && req.body.remember === true) req.session.cookie.maxAge = settings.SESSION_LIFETIME * 60 * 60 * 1000;
+      // Logging in with the default credentials requires the password to be changed before anything else
+      if (username === DEFAULT_USERNAME && password === DEFAULT_PASSWORD) {
+        req.session.mustChangePassword = true;
+        response.changePassword = true;
+      }
+      db.log(`[AUTH] "${account.AccountName}" logged in from ${req.ip}`);
+    } else {
+      db.log(`[AUTH] Failed login (code ${response.code}) for "${username}" from ${req.ip}`, 'warning');
+      // Disabled accounts had the right password, that is not guessing
+      if (response.code !== 3) await throttle.failed(login);
+    }
+  } catch (err) {
+    response.code = 500;
+    db.log(`[AUTH] Login error: ${err.message}`, 'error');
+  }
   res.send(JSON.stringify(response));
 });
 
 // Logout
-router.get('/logout', (req, res) => {
-  // Destroy the req.session object and then redirect the user back to the root
+router.get('/logout', async (req, res) => {
+  // The transcodes of the session are no longer needed
+  await transcode.stopSessions(req.sessionID);
+  // Destroy the req.session object and then redirect the user back to the login page
   req.session.destroy(function(err) {
-    req.redirect('/');
+    res.redirect('/auth');
   });
 });
 
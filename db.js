@@ -10,13 +10,28 @@
 
 // Require dependencies
 const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const { EventEmitter } = require('events');
+const sidecar = require(path.join(__dirname, 'sidecar.js'));
 
 // DB namespace
 let db = {};
 db['user'] = {};
 db['settings'] = {};
+db['media'] = {};
+db['session'] = {};
+db['metadata'] = {};
+db['music'] = {};
+db['books'] = {};
+db['progress'] = {};
+db['tv'] = {};
+db['libraries'] = {};
+db['photos'] = {};
+db['logs'] = {};
+db['lists'] = {};
+db['shares'] = {};
 
 /**
  * Database connection function, accepts the database path as a string and returns an sqlite3 database object
@@ -37,11 +52,13 @@ function dbConnect(databasePath) {
  * Execute SQL query on the connection object that is provided.
  * @param {*} database sqlite3 database/connection object
  * @param {*} query SQL to be executed
+ * @param {Array} params Optional values bound to the ? placeholders in the query
  * @returns A new promise
  */
-function dbPromiseExecSQL(database, query) {
+function dbPromiseExecSQL(database, query, params) {
   return new Promise((resolve, reject) => { database.all(
     query, // Run the SQL query
+    params || [], // Bind the parameters (if any)
     function (err, rows) {
       if (err) reject(err); // Reject promise if there is an error
       else resolve(rows); // Fulfill promise with data if there is no error
@@ -74,45 +91,14 @@ function comparePassword(password, hashed) {
   return new Promise(function(resolve, reject) {
       bcrypt.compare(password, hashed, function(err, res) {
           if (err) {
-               reject(false);
+               resolve(false);
           } else {
-               resolve(true);
+               resolve(res);
           }
       });
   });
 }
 
-/**
- * Escapes potentiall dangerous characters with backslashes, to be used in SQL statements.
- * @param {String} str Input string
- * @returns String with all characters that are potentially dangerous to SQL escaped with backslashes
- */
-function mysql_real_escape_string (str) {
-  if (typeof str != 'string') return str; // If the inputted value is not a string, just return that value
-  return str.replace(/[\0\x08\x09\x1a\n\r"'\\\%]/g, function (char) {
-      switch (char) {
-          case "\0":
-              return "\\0";
-          case "\x08":
-              return "\\b";
-          case "\x09":
-              return "\\t";
-          case "\x1a":
-              return "\\z";
-          case "\n":
-              return "\\n";
-          case "\r":
-              return "\\r";
-          case "\"": // Fall through to case "%"
-          case "'":  // Fall through to case "%"
-          case "\\": // Fall through to case "%"
-          case "%":  // Fall through to case "%"
-              return "\\" + char; // prepends a backslash to backslash, percent,
-                                  // and double/single quotes
-      }
-  });
-}
-
 /**
  * Format a JavaScript date object as an SQL DATE or DATETIME
  * @param {Date} date Input JavaScript Date object/class
@@ -125,100 +111,490 @@ function formatDateSQL(date, isDATETIME) {
 }
 
 /**
- * This function creates tables in the database for user accounts, settings, etc. and populates them with default values for a fresh installation.
+ * Ordered schema migrations. Each migration is applied once, in order, and recorded in the
+ * SchemaVersion table so that existing nelfe.db files are brought up to date on startup.
+ * Never change or reorder a migration once it has been released, add a new one to the end.
+ * 
+ * Migrations 1 and 2 also adopt databases created before migrations existed, which already have
+ * some of their tables.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Users, Settings and Logs tables, default admin account',
+    up: async function(conn) {
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE if not exists Users (AccountID INT,
+                                           AccountName VARCHAR(50),
+                                           Password VARCHAR(4096),
+                                           DisplayName VARCHAR(50),
+                                           IsAdmin BOOL,
+                                           IsDisabled BOOL,
+                                           Created DATE,
+                                           LastLogin DATETIME);`
+      );
+      // Populate the table with a generic admin user account, unless there are accounts already
+      if ((await dbPromiseExecSQL(conn, `SELECT COUNT(*) AS Accounts FROM Users;`))[0].Accounts === 0) {
+        console.log('Creating the initial admin user used for access...');
+        console.log('   Username:Password - admin:admin');
+        await dbPromiseExecSQL(
+          conn,
+          `INSERT INTO Users (AccountID, AccountName, Password, DisplayName, IsAdmin, IsDisabled, Created, LastLogin)
+                      VALUES (0, 'admin', ?, 'Admin', TRUE, FALSE, ?, ?);`,
+          [await hashPassword('admin'), formatDateSQL(new Date(), false), formatDateSQL(new Date(0), true)]
+        );
+      }
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE if not exists Settings (Key VARCHAR(50),
+                                              Value VARCHAR(4096),
+                                              Type VARCHAR(16));`
+      );
+      await dbPromiseExecSQL(
+        conn,
+        `INSERT INTO Settings (Key, Value, Type) SELECT 'LISTEN_PORT', '3080', 'number'
+           WHERE NOT EXISTS (SELECT 1 FROM Settings WHERE Key='LISTEN_PORT');`
+      );
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE if not exists Logs (UUID VARCHAR(128),
+                                          DateTime DATETIME,
+                                          Level VARCHAR(16),
+                                          Message VARCHAR(4096));`
+      );
+    }
+  },
+  {
+    version: 2,
+    description: 'Media table',
+    up: async function(conn) {
+      // Path is unique since the same file (same hash) may be stored in more than one place
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE if not exists Media (Hash VARCHAR(64),
+                                           Type VARCHAR(16),
+                                           Path VARCHAR(4096) UNIQUE,
+                                           Size INTEGER,
+                                           MTime INTEGER,
+                                           Enabled BOOL);`
+      );
+      await dbPromiseExecSQL(conn, `CREATE INDEX if not exists MediaHash ON Media (Hash);`);
+    }
+  },
+  {
+    version: 3,
+    description: 'Unique settings keys and account IDs/names',
+    up: async function(conn) {
+      // Settings were saved with REPLACE INTO without a unique key, so every save added a row. Keep the latest.
+      await dbPromiseExecSQL(conn, `DELETE FROM Settings WHERE rowid NOT IN (SELECT MAX(rowid) FROM Settings GROUP BY Key);`);
+      await dbPromiseExecSQL(conn, `CREATE UNIQUE INDEX SettingsKey ON Settings (Key);`);
+      await dbPromiseExecSQL(conn, `CREATE UNIQUE INDEX UsersAccountID ON Users (AccountID);`);
+      await dbPromiseExecSQL(conn, `CREATE UNIQUE INDEX UsersAccountName ON Users (AccountName);`);
+      await dbPromiseExecSQL(conn, `CREATE INDEX LogsDateTime ON Logs (DateTime);`);
+    }
+  },
+  {
+    version: 4,
+    description: 'Sessions table',
+    up: async function(conn) {
+      // Expires is in milliseconds since the epoch
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Sessions (SID VARCHAR(128) PRIMARY KEY,
+                                Session TEXT,
+                                Expires INTEGER);`
+      );
+      await dbPromiseExecSQL(conn, `CREATE INDEX SessionsExpires ON Sessions (Expires);`);
+    }
+  },
+  {
+    version: 5,
+    description: 'Metadata and Sidecars tables',
+    up: async function(conn) {
+      // Genres, Directors and Actors are JSON arrays. Signature identifies the sidecar files (paths and
+      // modification times) the metadata was read from, so that it is only read again when they change.
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Metadata (Hash VARCHAR(64) PRIMARY KEY,
+                                Title VARCHAR(512),
+                                OriginalTitle VARCHAR(512),
+                                SortTitle VARCHAR(512),
+                                Year INTEGER,
+                                Plot TEXT,
+                                Tagline VARCHAR(1024),
+                                Genres TEXT,
+                                ContentRating VARCHAR(32),
+                                Runtime INTEGER,
+                                Directors TEXT,
+                                Actors TEXT,
+                                Studio VARCHAR(256),
+                                ShowTitle VARCHAR(512),
+                                Season INTEGER,
+                                Episode INTEGER,
+                                Aired VARCHAR(32),
+                                IMDbID VARCHAR(32),
+                                Source VARCHAR(16),
+                                Signature TEXT);`
+      );
+      // Kind is poster, fanart, folder or subtitle
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Sidecars (Hash VARCHAR(64),
+                                Kind VARCHAR(16),
+                                Path VARCHAR(4096),
+                                Language VARCHAR(16),
+                                IsForced BOOL);`
+      );
+      await dbPromiseExecSQL(conn, `CREATE INDEX SidecarsHash ON Sidecars (Hash);`);
+    }
+  },
+  {
+    version: 6,
+    description: 'Artists, Albums and Tracks tables',
+    up: async function(conn) {
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Artists (ArtistID INTEGER PRIMARY KEY,
+                               Name VARCHAR(512) UNIQUE COLLATE NOCASE);`
+      );
+      // Albums are identified by their title and album artist, ArtistID is the album artist
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Albums (AlbumID INTEGER PRIMARY KEY,
+                              Title VARCHAR(512) COLLATE NOCASE,
+                              ArtistID INTEGER,
+                              Year INTEGER,
+                              UNIQUE (Title, ArtistID));`
+      );
+      // Duration is in seconds
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Tracks (Hash VARCHAR(64) PRIMARY KEY,
+                              Title VARCHAR(512),
+                              ArtistID INTEGER,
+                              AlbumID INTEGER,
+                              TrackNumber INTEGER,
+                              TrackTotal INTEGER,
+                              DiscNumber INTEGER,
+                              DiscTotal INTEGER,
+                              Year INTEGER,
+                              Genre VARCHAR(128),
+                              Duration REAL,
+                              HasCover BOOL);`
+      );
+      await dbPromiseExecSQL(conn, `CREATE INDEX TracksArtistID ON Tracks (ArtistID);`);
+      await dbPromiseExecSQL(conn, `CREATE INDEX TracksAlbumID ON Tracks (AlbumID);`);
+    }
+  },
+  {
+    version: 7,
+    description: 'Books and ReadingPositions tables',
+    up: async function(conn) {
+      // Creators, Spine and Toc are JSON, CoverPath is the file name of the cover image within an EPUB
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Books (Hash VARCHAR(64) PRIMARY KEY,
+                             Format VARCHAR(8),
+                             Title VARCHAR(512),
+                             Creators TEXT,
+                             Series VARCHAR(512),
+                             SeriesIndex REAL,
+                             Language VARCHAR(32),
+                             Publisher VARCHAR(256),
+                             Pages INTEGER,
+                             CoverPath VARCHAR(1024),
+                             Spine TEXT,
+                             Toc TEXT);`
+      );
+      // Location is an EPUB CFI or a PDF page number, Progress is how much of the book has been read (0 to 1)
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE ReadingPositions (AccountID INTEGER,
+                                        Hash VARCHAR(64),
+                                        Location VARCHAR(1024),
+                                        Progress REAL,
+                                        Updated DATETIME,
+                                        PRIMARY KEY (AccountID, Hash));`
+      );
+    }
+  },
+  {
+    version: 8,
+    description: 'Progress table, time media was added',
+    up: async function(conn) {
+      // Added is in milliseconds since the epoch like MTime, the media that is already indexed was added when it was modified
+      await dbPromiseExecSQL(conn, `ALTER TABLE Media ADD COLUMN Added INTEGER;`);
+      await dbPromiseExecSQL(conn, `UPDATE Media SET Added=MTime;`);
+      // Position and Duration are in seconds
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Progress (AccountID INTEGER,
+                                Hash VARCHAR(64),
+                                Position REAL,
+                                Duration REAL,
+                                Completed BOOL,
+                                LastPlayed DATETIME,
+                                PRIMARY KEY (AccountID, Hash));`
+      );
+      await dbPromiseExecSQL(conn, `CREATE INDEX ProgressLastPlayed ON Progress (AccountID, LastPlayed);`);
+    }
+  },
+  {
+    version: 9,
+    description: 'Series and Episodes tables',
+    up: async function(conn) {
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Series (SeriesID INTEGER PRIMARY KEY,
+                              Title VARCHAR(512) UNIQUE COLLATE NOCASE);`
+      );
+      // Season 0 is the specials, EpisodeEnd is the last episode of a multi-episode file
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Episodes (Hash VARCHAR(64) PRIMARY KEY,
+                                SeriesID INTEGER,
+                                Season INTEGER,
+                                Episode INTEGER,
+                                EpisodeEnd INTEGER,
+                                Title VARCHAR(512));`
+      );
+      await dbPromiseExecSQL(conn, `CREATE INDEX EpisodesSeriesID ON Episodes (SeriesID, Season, Episode);`);
+    }
+  },
+  {
+    version: 10,
+    description: 'Libraries table, library of each media entry',
+    up: async function(conn) {
+      // Include and Exclude are JSON arrays of glob patterns, matched against paths relative to the library path.
+      // LastScanResult is the JSON summary of the last scan (librarian.js).
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Libraries (LibraryID INTEGER PRIMARY KEY,
+                                 Name VARCHAR(100) UNIQUE COLLATE NOCASE,
+                                 Path VARCHAR(4096),
+                                 Type VARCHAR(16),
+                                 Include TEXT,
+                                 Exclude TEXT,
+                                 Enabled BOOL,
+                                 Created DATETIME,
+                                 LastScanned DATETIME,
+                                 LastScanResult TEXT);`
+      );
+      // The media that is already indexed is assigned to a library the next time it is scanned
+      await dbPromiseExecSQL(conn, `ALTER TABLE Media ADD COLUMN LibraryID INTEGER;`);
+      await dbPromiseExecSQL(conn, `CREATE INDEX MediaLibraryID ON Media (LibraryID);`);
+    }
+  },
+  {
+    version: 11,
+    description: 'Photos table, directory of each media entry',
+    up: async function(conn) {
+      // TakenAt is the local time "YYYY-MM-DD HH:MM:SS" from the EXIF data (DateSource exif) or the file (DateSource file)
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Photos (Hash VARCHAR(64) PRIMARY KEY,
+                              TakenAt VARCHAR(19),
+                              DateSource VARCHAR(8),
+                              Make VARCHAR(256),
+                              Model VARCHAR(256),
+                              Lens VARCHAR(256),
+                              Width INTEGER,
+                              Height INTEGER,
+                              Orientation INTEGER,
+                              Latitude REAL,
+                              Longitude REAL,
+                              Altitude REAL);`
+      );
+      await dbPromiseExecSQL(conn, `CREATE INDEX PhotosTakenAt ON Photos (TakenAt);`);
+      // The directory of each entry, photos are grouped in to albums by it
+      await dbPromiseExecSQL(conn, `ALTER TABLE Media ADD COLUMN Directory VARCHAR(4096);`);
+      for (const entry of await dbPromiseExecSQL(conn, `SELECT Path FROM Media;`)) {
+        await dbPromiseExecSQL(conn, `UPDATE Media SET Directory=? WHERE Path=?;`, [path.dirname(entry.Path), entry.Path]);
+      }
+      await dbPromiseExecSQL(conn, `CREATE INDEX MediaDirectory ON Media (LibraryID, Directory);`);
+    }
+  },
+  {
+    version: 12,
+    description: 'Library, media type and content rating grants of each account',
+    up: async function(conn) {
+      // Libraries and MediaTypes are JSON arrays of the LibraryIDs and types that the account may see, MaxRating is the
+      // name of the highest content rating (sidecar.CONTENT_RATINGS). NULL grants everything, including libraries that
+      // are added later. Admins are never limited.
+      await dbPromiseExecSQL(conn, `ALTER TABLE Users ADD COLUMN Libraries TEXT;`);
+      await dbPromiseExecSQL(conn, `ALTER TABLE Users ADD COLUMN MediaTypes TEXT;`);
+      await dbPromiseExecSQL(conn, `ALTER TABLE Users ADD COLUMN MaxRating VARCHAR(16);`);
+    }
+  },
+  {
+    version: 13,
+    description: 'Lists (playlists and collections) of each account and their items',
+    up: async function(conn) {
+      // Kind is playlist (ordered) or collection, shared lists can be seen (not changed) by every account. The items are
+      // media hashes, so that they stay in the list when the media is renamed or moved.
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Lists (ListID INTEGER PRIMARY KEY,
+                             AccountID INTEGER,
+                             Kind VARCHAR(16),
+                             Name VARCHAR(200),
+                             Description TEXT,
+                             IsShared BOOL,
+                             Created DATETIME,
+                             Updated DATETIME);`
+      );
+      await dbPromiseExecSQL(conn, `CREATE INDEX ListsAccountID ON Lists (AccountID);`);
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE ListItems (ListID INTEGER,
+                                 Hash VARCHAR(64),
+                                 Position INTEGER,
+                                 Added DATETIME,
+                                 PRIMARY KEY (ListID, Hash));`
+      );
+    }
+  },
+  {
+    version: 14,
+    description: 'Share links for media without an account',
+    up: async function(conn) {
+      // Hashes is a JSON array of the media that the link gives access to, fixed when the link is made. Password is a
+      // bcrypt hash (NULL for none), Expires is in milliseconds since the epoch and Downloads counts the media that was
+      // fetched through the link (once per item and browser session, shares.js), up to MaxDownloads (NULL for no
+      // limit). Revoked links are kept so that the log entries of their use still refer to something.
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE Shares (ShareID INTEGER PRIMARY KEY,
+                              AccountID INTEGER,
+                              Title VARCHAR(200),
+                              Hashes TEXT,
+                              Password VARCHAR(60),
+                              Expires INTEGER,
+                              MaxDownloads INTEGER,
+                              Downloads INTEGER DEFAULT 0,
+                              Created DATETIME,
+                              LastUsed DATETIME,
+                              Revoked DATETIME);`
+      );
+    }
+  },
+  {
+    version: 15,
+    description: 'Two-factor (TOTP) logins and recovery codes',
+    up: async function(conn) {
+      // TotpSecret is the base32 key of the authenticator app, it is saved when enrollment starts and only used once
+      // TotpEnabled is set (after a code from the app was confirmed). TotpLastStep is the time step of the last code
+      // that was accepted, so that a code can not be used twice. RecoveryCodes is a JSON array of the SHA-256 hashes of
+      // the recovery codes that were not used yet (totp.js).
+      await dbPromiseExecSQL(conn, `ALTER TABLE Users ADD COLUMN TotpSecret VARCHAR(32);`);
+      await dbPromiseExecSQL(conn, `ALTER TABLE Users ADD COLUMN TotpEnabled BOOL DEFAULT FALSE;`);
+      await dbPromiseExecSQL(conn, `ALTER TABLE Users ADD COLUMN TotpLastStep INTEGER;`);
+      await dbPromiseExecSQL(conn, `ALTER TABLE Users ADD COLUMN RecoveryCodes TEXT;`);
+    }
+  },
+  {
+    version: 16,
+    description: 'Media whose contents changed without their modification time changing',
+    up: async function(conn) {
+      // Found when a file is hashed again (eg. by a full scan) and its hash changed while its path and MTime stayed the
+      // same, which is more likely corruption (bit rot) than an edit. They are kept until an admin dismisses them.
+      await dbPromiseExecSQL(
+        conn,
+        `CREATE TABLE HashChanges (ChangeID INTEGER PRIMARY KEY,
+                                   Path TEXT,
+                                   LibraryID INTEGER,
+                                   OldHash VARCHAR(64),
+                                   NewHash VARCHAR(64),
+                                   OldSize INTEGER,
+                                   NewSize INTEGER,
+                                   MTime INTEGER,
+                                   Detected DATETIME);`
+      );
+    }
+  }
+];
+
+/**
+ * Bring the database schema up to date by applying the migrations that have not been applied yet.
+ * Each migration runs in its own transaction, so a failed migration leaves the database unchanged.
  * 
  * TABLES:
- * - USERS (AccountID, AccountName, Password, DisplayName, IsAdmin, IsDisabled, Created, LastLogin)
+ * - SCHEMAVERSION (Version, Description, Applied)
+ * - USERS (AccountID, AccountName, Password, DisplayName, IsAdmin, IsDisabled, Created, LastLogin, Libraries, MediaTypes,
+ *          MaxRating, TotpSecret, TotpEnabled, TotpLastStep, RecoveryCodes)
  * - SETTINGS (Key, Value, Type)
+ * - LOGS (UUID, DateTime, Level, Message)
+ * - MEDIA (Hash, Type, Path, Size, MTime, Enabled, Added, LibraryID, Directory)
+ * - SESSIONS (SID, Session, Expires)
+ * - METADATA (Hash, Title, OriginalTitle, SortTitle, Year, Plot, Tagline, Genres, ContentRating, Runtime,
+ *             Directors, Actors, Studio, ShowTitle, Season, Episode, Aired, IMDbID, Source, Signature)
+ * - SIDECARS (Hash, Kind, Path, Language, IsForced)
+ * - ARTISTS (ArtistID, Name)
+ * - ALBUMS (AlbumID, Title, ArtistID, Year)
+ * - TRACKS (Hash, Title, ArtistID, AlbumID, TrackNumber, TrackTotal, DiscNumber, DiscTotal, Year, Genre, Duration, HasCover)
+ * - BOOKS (Hash, Format, Title, Creators, Series, SeriesIndex, Language, Publisher, Pages, CoverPath, Spine, Toc)
+ * - READINGPOSITIONS (AccountID, Hash, Location, Progress, Updated)
+ * - PROGRESS (AccountID, Hash, Position, Duration, Completed, LastPlayed)
+ * - SERIES (SeriesID, Title)
+ * - EPISODES (Hash, SeriesID, Season, Episode, EpisodeEnd, Title)
+ * - LIBRARIES (LibraryID, Name, Path, Type, Include, Exclude, Enabled, Created, LastScanned, LastScanResult)
+ * - PHOTOS (Hash, TakenAt, DateSource, Make, Model, Lens, Width, Height, Orientation, Latitude, Longitude, Altitude)
+ * - LISTS (ListID, AccountID, Kind, Name, Description, IsShared, Created, Updated)
+ * - LISTITEMS (ListID, Hash, Position, Added)
+ * - SHARES (ShareID, AccountID, Title, Hashes, Password, Expires, MaxDownloads, Downloads, Created, LastUsed, Revoked)
+ * - HASHCHANGES (ChangeID, Path, LibraryID, OldHash, NewHash, OldSize, NewSize, MTime, Detected)
  * 
  * The default user account u:p admin:admin
+ * @returns {Number} The schema version of the database
  */
-db.createDefaults = async function() {
+db.migrate = async function() {
   // Connect to the nelfe disk database
   let conn = dbConnect(`${__dirname}/nelfe.db`);
-  // Check to see if the accounts table already exists, determined by the results returning rows
-  const usersTableExists = ((await dbPromiseExecSQL(
-    conn,
-    `SELECT name FROM sqlite_master WHERE type='table' AND name='Users';`
-  )).length > 0);
-  // Create user accounts table if it does not already exist
-  if (!usersTableExists) {
-    console.log('Users database table does not exist, creating...');
-    await dbPromiseExecSQL(
-      conn,
-      `CREATE TABLE if not exists Users (AccountID INT,
-                                         AccountName VARCHAR(50),
-                                         Password VARCHAR(4096),
-                                         DisplayName VARCHAR(50),
-                                         IsAdmin BOOL,
-                                         IsDisabled BOOL,
-                                         Created DATE,
-                                         LastLogin DATETIME);`
-    );
-    console.log('   DONE!');
-    // After the table has been created, populate it with a generic admin user account
-    console.log('Creating the initial admin user used for access...');
-    console.log('   Username:Password - admin:admin');
-    await dbPromiseExecSQL(
-      conn,
-      `INSERT INTO Users (AccountID,
-                          AccountName,
-                          Password,
-                          DisplayName,
-                          IsAdmin,
-                          IsDisabled,
-                          Created,
-                          LastLogin)
-                  VALUES (0,
-                          'admin',
-                          '${await hashPassword('admin')}',
-                          'Admin',
-                          TRUE,
-                          FALSE,
-                          '${formatDateSQL(new Date(), false)}',
-                          '${formatDateSQL(new Date(0), true)}');`
-    );
-    console.log('   DONE!');
-  }
-  // Check to see if the settings table already exists, determined by the results returning rows
-  const settingsTableExists = ((await dbPromiseExecSQL(
-    conn,
-    `SELECT name FROM sqlite_master WHERE type='table' AND name='Settings';`
-  )).length > 0);
-  // Create user accounts table if it does not already exist
-  if (!settingsTableExists) {
-    console.log('Settings database table does not exist, creating...');
-    await dbPromiseExecSQL(
-      conn,
-      `CREATE TABLE if not exists Settings (Key VARCHAR(50),
-                                            Value VARCHAR(4096),
-                                            Type VARCHAR(16));`
-    );
-    // After the table has been created, populate it with the default values/settings
-    await dbPromiseExecSQL(conn, `INSERT INTO Settings VALUES('LISTEN_PORT', '3080', 'number');`);
-    console.log('   DONE!');
-  }
-  // Check to see if the Logs table already exists, determined by the results returning rows
-  const logTableExists = ((await dbPromiseExecSQL(
-    conn,
-    `SELECT name FROM sqlite_master WHERE type='table' AND name='Logs';`
-  )).length > 0);
-  if (!logTableExists) {
-    console.log('Logs database table does not exist, creating...');
+  try {
     await dbPromiseExecSQL(
       conn,
-      `CREATE TABLE if not exists Logs (UUID VARCHAR(128),
-                                        DateTime DATETIME,
-                                        Level VARCHAR(16),
-                                        Message VARCHAR(4096));`
+      `CREATE TABLE if not exists SchemaVersion (Version INTEGER PRIMARY KEY,
+                                                 Description VARCHAR(256),
+                                                 Applied DATETIME);`
     );
-    console.log('   DONE!');
+    const currentVersion = (await dbPromiseExecSQL(conn, `SELECT COALESCE(MAX(Version), 0) AS Version FROM SchemaVersion;`))[0].Version;
+    let version = currentVersion;
+    for (const migration of migrations) {
+      if (migration.version <= currentVersion) continue;
+      console.log(`Applying database migration ${migration.version} (${migration.description})...`);
+      await dbPromiseExecSQL(conn, `BEGIN TRANSACTION;`);
+      try {
+        await migration.up(conn);
+        await dbPromiseExecSQL(
+          conn,
+          `INSERT INTO SchemaVersion (Version, Description, Applied) VALUES (?, ?, ?);`,
+          [migration.version, migration.description, formatDateSQL(new Date(), true)]
+        );
+        await dbPromiseExecSQL(conn, `COMMIT;`);
+      } catch (err) {
+        await dbPromiseExecSQL(conn, `ROLLBACK;`);
+        throw new Error(`Database migration ${migration.version} failed: ${err.message}`);
+      }
+      version = migration.version;
+      console.log('   DONE!');
+    }
+    return version;
+  } finally {
+    // Close the database connection
+    conn.close((err) => { if (err) console.log(err.message) });
   }
-  // Close the database connection
-  conn.close((err) => { if (err) console.log(err.message) });
-  return true;
 }
 
+// Log levels from the least to the most severe
+const LOG_LEVELS = ['DEBUG', 'INFO', 'WARNING', 'ERROR'];
+// Messages below this level are neither stored nor written to the console, set from the LOG_LEVEL setting by main.js
+let minimumLogLevel = 'DEBUG';
+// Emits 'log' with each Logs row as it is written, for following the log live
+db.logEvents = new EventEmitter();
+// Every open live log stream listens, they are not a leak
+db.logEvents.setMaxListeners(0);
+
 /**
  * Write a log entry to the log database
  * @param {String} message The message to be logged
@@ -228,48 +604,45 @@ db.createDefaults = async function() {
 db.log = async function (message, level, suppressOutput) {
   try {
     if (!message) return console.error('Error (db.log): Log message can not be undefined');
-    const logLevels = ['DEBUG', 'INFO', 'WARNING', 'ERROR'];
     if (!level) level = 'INFO'; // If no log level is provided, default to INFO
+    level = level.toUpperCase();
     // If the supplied log level is not a valid log level, default to INFO
-    if (!logLevels.includes(level.toUpperCase())) {
+    if (!LOG_LEVELS.includes(level)) {
       level = 'INFO';
       console.error('Error (db.log): Supplied log level is not valid, defaulting to "INFO"');
     }
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minimumLogLevel)) return false;
     // Connect to the database
     let conn = dbConnect(`${__dirname}/nelfe.db`);
-    const logDate = new Date();
+    const entry = { UUID: crypto.randomUUID(), DateTime: formatDateSQL(new Date(), true), Level: level, Message: String(message) };
     // Insert the log in to the database
     await dbPromiseExecSQL(
       conn,
-      `INSERT INTO Logs (UUID,
-                         DateTime,
-                         Level,
-                         Message)
-                 VALUES ('${crypto.randomUUID()}',
-                         '${formatDateSQL(logDate, true)}',
-                         '${level.toUpperCase()}',
-                         '${mysql_real_escape_string(message)}');`
+      `INSERT INTO Logs (UUID, DateTime, Level, Message) VALUES (?, ?, ?, ?);`,
+      [entry.UUID, entry.DateTime, entry.Level, entry.Message]
     );
     // If the console output is not suppressed, console
     if (!suppressOutput) {
       // Create a friendly output for the console that includes the same DateTime
-      const consoleOutput = `[${formatDateSQL(logDate, true)}]${message}`;
+      const consoleOutput = `[${entry.DateTime}]${message}`;
       // Different console output types based on the log level
-      switch (level.toUpperCase()) {
+      switch (level) {
         case 'DEBUG':
           console.debug(consoleOutput);
-        case 'INFO':
-          console.log(consoleOutput);
+          break;
         case 'WARNING':
           console.warn(consoleOutput);
+          break;
         case 'ERROR':
           console.error(consoleOutput);
+          break;
         default:
           console.log(consoleOutput);
       }
     }
     // Close the database connection
     conn.close((err) => { if (err) console.log(err.message) });
+    db.logEvents.emit('log', entry);
     return true;
   } catch(err) {
     return console.error(`Error: ${err}`);
@@ -277,31 +650,336 @@ db.log = async function (message, level, suppressOutput) {
 }
 
 /**
- * Authenticate a user based on their username and password from form input.
+ * Set the lowest level of the messages that are logged, the ones below it are dropped
+ * @param {String} level DEBUG, INFO, WARNING or ERROR (not case sensitive)
+ */
+db.setLogLevel = function(level) {
+  if (typeof level === 'string' && LOG_LEVELS.includes(level.toUpperCase())) minimumLogLevel = level.toUpperCase();
+}
+
+/**
+ * Query the log, latest first
+ * @param {Object} options { level (the lowest level included), from, to (DATETIMEs, from inclusive and to exclusive),
+ *                         search (text in the message), limit, offset } - all but limit and offset are optional
+ * @returns {Object} { total, rows } - total number of matching entries, and the Logs rows of the requested page
+ */
+db.logs.query = async function(options) {
+  let where = [];
+  let params = [];
+  if (options.level) {
+    const levels = LOG_LEVELS.slice(LOG_LEVELS.indexOf(options.level.toUpperCase()));
+    where.push(`Level IN (${levels.map(() => '?').join(', ')})`);
+    params.push(...levels);
+  }
+  if (options.from) {
+    where.push('DateTime>=?');
+    params.push(options.from);
+  }
+  if (options.to) {
+    where.push('DateTime<?');
+    params.push(options.to);
+  }
+  if (options.search) {
+    where.push(`Message LIKE ? ESCAPE '\\'`);
+    params.push(`%${options.search.replace(/[\\%_]/g, char => '\\' + char)}%`);
+  }
+  const condition = (where.length === 0) ? '' : `WHERE ${where.join(' AND ')}`;
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(conn, `SELECT COUNT(*) AS Total FROM Logs ${condition};`, params))[0].Total;
+  // Entries written in the same second are in the order they were written (rowid)
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT * FROM Logs ${condition} ORDER BY DateTime DESC, rowid DESC LIMIT ? OFFSET ?;`,
+    params.concat([options.limit, options.offset])
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * Delete the log entries that are older than the retention period
+ * @param {Number} days Days that log entries are kept
+ * @returns {Number} Number of entries that were deleted
+ */
+db.logs.prune = async function(days) {
+  const cutoff = formatDateSQL(new Date(Date.now() - days * 24 * 60 * 60 * 1000), true);
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const deleted = (await dbPromiseExecSQL(conn, `SELECT COUNT(*) AS Deleted FROM Logs WHERE DateTime<?;`, [cutoff]))[0].Deleted;
+  await dbPromiseExecSQL(conn, `DELETE FROM Logs WHERE DateTime<?;`, [cutoff]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return deleted;
+}
+
+// Level of the ContentRating of a Metadata row (the index in sidecar.CONTENT_RATINGS), NULL if it is missing or not known
+const RATING_LEVEL = 'CASE UPPER(TRIM(Metadata.ContentRating)) ' +
+  sidecar.CONTENT_RATINGS.map((level, index) => level.ratings.map(rating => `WHEN '${rating}' THEN ${index}`).join(' ')).join(' ') +
+  ' END';
+// Media types that have content ratings, an account's maximum rating does not apply to music, books and photos
+const RATED_TYPES = ['movie', 'tv'];
+
+/**
+ * Build the SQL condition that limits Media rows to the ones an account has been granted. Rated media that has no known
+ * rating is left out when there is a maximum rating. The values are written in to the SQL (so that the condition can be
+ * used in any query without parameters), only whole numbers and lowercase type names are kept.
+ * @param {Object} access { libraries, types, maxRating } from access.mediaAccess(), undefined for no limits
+ * @returns {String} SQL condition on the Media table
+ */
+function accessCondition(access) {
+  if (!access) return 'TRUE';
+  let conditions = [];
+  if (access.libraries) conditions.push(`Media.LibraryID IN (${access.libraries.filter(Number.isInteger).join(', ')})`);
+  if (access.types) conditions.push(`Media.Type IN (${access.types.filter(type => /^[a-z]+$/.test(type)).map(type => `'${type}'`).join(', ')})`);
+  if (Number.isInteger(access.maxRating)) {
+    conditions.push(`(Media.Type NOT IN (${RATED_TYPES.map(type => `'${type}'`).join(', ')}) OR
+                      (SELECT ${RATING_LEVEL} FROM Metadata WHERE Metadata.Hash=Media.Hash)<=${access.maxRating})`);
+  }
+  return (conditions.length === 0) ? 'TRUE' : conditions.join(' AND ');
+}
+
+/**
+ * Get a user account by its account name
+ * @param {String} username Account name
+ * @returns {Object} Users row, or undefined if there is no such account
+ */
+db.user.get = async function(username) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const accounts = await dbPromiseExecSQL(conn, `SELECT * FROM Users WHERE AccountName=?;`, [username]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return accounts[0];
+}
+
+/**
+ * Get a user account by its AccountID
+ * @param {Number} accountID AccountID of the account
+ * @returns {Object} Users row, or undefined if there is no such account
+ */
+db.user.getByID = async function(accountID) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const accounts = await dbPromiseExecSQL(conn, `SELECT * FROM Users WHERE AccountID=?;`, [accountID]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return accounts[0];
+}
+
+/**
+ * List all of the user accounts, without their password hashes
+ * @returns {Array} Users rows (AccountID, AccountName, DisplayName, IsAdmin, IsDisabled, Created, LastLogin, Libraries,
+ *                  MediaTypes, MaxRating, TotpEnabled)
+ */
+db.user.list = async function() {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const accounts = await dbPromiseExecSQL(
+    conn,
+    `SELECT AccountID, AccountName, DisplayName, IsAdmin, IsDisabled, Created, LastLogin, Libraries, MediaTypes, MaxRating,
+            TotpEnabled
+       FROM Users ORDER BY AccountName;`
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return accounts;
+}
+
+/**
+ * Create a new user account, it is given the next unused AccountID
+ * @param {Object} account { username, password, displayName, isAdmin, libraries, types, maxRating } - the grants
+ *                         (libraries, types and maxRating) are null or undefined for no limit
+ * @returns {Number} AccountID of the new account
+ */
+db.user.create = async function(account) {
+  const hashedPassword = await hashPassword(account.password);
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const accountID = (await dbPromiseExecSQL(conn, `SELECT COALESCE(MAX(AccountID), -1) + 1 AS NextID FROM Users;`))[0].NextID;
+  await dbPromiseExecSQL(
+    conn,
+    `INSERT INTO Users (AccountID, AccountName, Password, DisplayName, IsAdmin, IsDisabled, Created, LastLogin, Libraries, MediaTypes, MaxRating)
+                VALUES (?, ?, ?, ?, ?, FALSE, ?, ?, ?, ?, ?);`,
+    [
+      accountID,
+      account.username,
+      hashedPassword,
+      account.displayName || account.username,
+      account.isAdmin ? 1 : 0,
+      formatDateSQL(new Date(), false),
+      formatDateSQL(new Date(0), true),
+      account.libraries ? JSON.stringify(account.libraries) : null,
+      account.types ? JSON.stringify(account.types) : null,
+      account.maxRating || null
+    ]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return accountID;
+}
+
+/**
+ * Update a user account, only the provided fields are changed
+ * @param {Number} accountID AccountID of the account
+ * @param {Object} changes { displayName, password, isAdmin, isDisabled, libraries, types, maxRating, totpSecret,
+ *                         totpEnabled, recoveryCodes } - grants that are null are removed (no limit), recoveryCodes are
+ *                         the hashes of the codes (totp.js)
+ */
+db.user.update = async function(accountID, changes) {
+  let columns = [];
+  let params = [];
+  if (changes.displayName !== undefined) {
+    columns.push('DisplayName=?');
+    params.push(changes.displayName);
+  }
+  if (changes.password !== undefined) {
+    columns.push('Password=?');
+    params.push(await hashPassword(changes.password));
+  }
+  if (changes.isAdmin !== undefined) {
+    columns.push('IsAdmin=?');
+    params.push(changes.isAdmin ? 1 : 0);
+  }
+  if (changes.isDisabled !== undefined) {
+    columns.push('IsDisabled=?');
+    params.push(changes.isDisabled ? 1 : 0);
+  }
+  if (changes.libraries !== undefined) {
+    columns.push('Libraries=?');
+    params.push(changes.libraries ? JSON.stringify(changes.libraries) : null);
+  }
+  if (changes.types !== undefined) {
+    columns.push('MediaTypes=?');
+    params.push(changes.types ? JSON.stringify(changes.types) : null);
+  }
+  if (changes.maxRating !== undefined) {
+    columns.push('MaxRating=?');
+    params.push(changes.maxRating);
+  }
+  if (changes.totpSecret !== undefined) {
+    // Codes of an earlier secret say nothing about the new one
+    columns.push('TotpSecret=?', 'TotpLastStep=NULL');
+    params.push(changes.totpSecret);
+  }
+  if (changes.totpEnabled !== undefined) {
+    columns.push('TotpEnabled=?');
+    params.push(changes.totpEnabled ? 1 : 0);
+  }
+  if (changes.recoveryCodes !== undefined) {
+    columns.push('RecoveryCodes=?');
+    params.push(changes.recoveryCodes ? JSON.stringify(changes.recoveryCodes) : null);
+  }
+  // Nothing to change
+  if (columns.length === 0) return false;
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `UPDATE Users SET ${columns.join(', ')} WHERE AccountID=?;`, params.concat([accountID]));
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return true;
+}
+
+/**
+ * Delete a user account
+ * @param {Number} accountID AccountID of the account
+ */
+db.user.delete = async function(accountID) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `DELETE FROM Users WHERE AccountID=?;`, [accountID]);
+  await dbPromiseExecSQL(conn, `DELETE FROM ReadingPositions WHERE AccountID=?;`, [accountID]);
+  await dbPromiseExecSQL(conn, `DELETE FROM Progress WHERE AccountID=?;`, [accountID]);
+  await dbPromiseExecSQL(conn, `DELETE FROM ListItems WHERE ListID IN (SELECT ListID FROM Lists WHERE AccountID=?);`, [accountID]);
+  await dbPromiseExecSQL(conn, `DELETE FROM Lists WHERE AccountID=?;`, [accountID]);
+  // The links that the account shared stop working with it
+  await dbPromiseExecSQL(conn, `UPDATE Shares SET Revoked=? WHERE AccountID=? AND Revoked IS NULL;`, [formatDateSQL(new Date(), true), accountID]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Check a password against an account without logging in, used to confirm the current password
+ * @param {Number} accountID AccountID of the account
+ * @param {String} password Password from form input
+ * @returns {Boolean} True if the password is correct
+ */
+db.user.checkPassword = async function(accountID, password) {
+  const account = await db.user.getByID(accountID);
+  if (!account) return false;
+  return await comparePassword(password, account.Password);
+}
+
+/**
+ * Accept a two-factor code of an account by its time step, each step is only accepted once (replayed codes are refused)
+ * @param {Number} accountID AccountID of the account
+ * @param {Number} step Time step of the code (totp.js)
+ * @returns {Boolean} True if the step is later than the one of the last code that was accepted
+ */
+db.user.useTotpStep = async function(accountID, step) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  // The step is checked by the update itself, so that two logins at the same time can not both use the same code
+  await dbPromiseExecSQL(
+    conn,
+    `UPDATE Users SET TotpLastStep=? WHERE AccountID=? AND (TotpLastStep IS NULL OR TotpLastStep<?);`,
+    [step, accountID, step]
+  );
+  const used = (await dbPromiseExecSQL(conn, `SELECT changes() AS Changes;`))[0].Changes > 0;
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return used;
+}
+
+/**
+ * Use up a recovery code of an account, it is removed so that it only works once
+ * @param {Number} accountID AccountID of the account
+ * @param {String} codeHash SHA-256 hash of the recovery code (totp.js)
+ * @returns {Boolean} True if the account had the code
+ */
+db.user.useRecoveryCode = async function(accountID, codeHash) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(
+    conn,
+    `UPDATE Users SET RecoveryCodes=(SELECT json_group_array(Codes.value) FROM json_each(Users.RecoveryCodes) AS Codes WHERE Codes.value<>?)
+      WHERE AccountID=? AND EXISTS (SELECT 1 FROM json_each(Users.RecoveryCodes) AS Codes WHERE Codes.value=?);`,
+    [codeHash, accountID, codeHash]
+  );
+  const used = (await dbPromiseExecSQL(conn, `SELECT changes() AS Changes;`))[0].Changes > 0;
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return used;
+}
+
+/**
+ * Authenticate a user based on their username and password from form input. The LastLogin of
+ * the account is updated when the authentication succeeds.
  * @param {String} username Username from form input
  * @param {String} password Password from form input
  * @returns {Number} Returns an error code based on the response and issues, zero for success
+ *                   0 - Success, 1 - Account does not exist, 2 - Incorrect password, 3 - Account is disabled
  */
 db.user.authenticate = async function(username, password) {
-  return new Promise((resolve, reject) => {
-    // Select all from Users table with the passed username
-    const accounts = await dbPromiseExecSQL(
-      conn,
-      `SELECT * FROM Users WHERE AccountName='${mysql_real_escape_string(username)}';`
-    );
-    // If there is one row returned then the account exists
-    const accountExists = (accounts.length === 1);
-    if (!accountExists) reject(1); // If the account does not exist, reject with error code 1
-    // Select the account object from the single row returned by the database
-    const account = accounts[0];
-    try {
-      // Hash the user-inputted password and compare that hash against the one in the account
-      await comparePassword(password, account.Passowrd); 
-    } catch {
-      reject(2); // Password is incorrect, response code 2
-    }
-    resolve(0); // User exists and password is correct, response code 0
-  });
+  // Select the account with the passed username
+  const account = await db.user.get(username);
+  // If the account does not exist, error code 1
+  if (!account) return 1;
+  // Hash the user-inputted password and compare that hash against the one in the account
+  if (!(await comparePassword(password, account.Password))) return 2; // Password is incorrect, response code 2
+  // Disabled accounts may not log in, response code 3
+  if (account.IsDisabled) return 3;
+  // Connect to the database and update the last login of the account
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(
+    conn,
+    `UPDATE Users SET LastLogin=? WHERE AccountID=?;`,
+    [formatDateSQL(new Date(), true), account.AccountID]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return 0; // User exists and password is correct, response code 0
 }
 
 /**
@@ -323,7 +1001,10 @@ db.settings.get = async function() {
         parsedValue = String(setting.Value);
         break;
       case 'number':
-        parsedValue = Setting.value.includes('.') ? parseFloat(setting.Value) : parseInt(setting.Value);
+        parsedValue = setting.Value.includes('.') ? parseFloat(setting.Value) : parseInt(setting.Value);
+        break;
+      case 'boolean':
+        parsedValue = (setting.Value === 'true');
         break;
       case 'date':
         parsedValue = new Date(setting.Value);
@@ -340,7 +1021,6 @@ db.settings.get = async function() {
   // Close the database connection
   conn.close((err) => { if (err) console.log(err.message) });
   // Return the settings object
-  console.log(settings);
   return settings;
 }
 
@@ -362,13 +1042,17 @@ db.settings.save = async function(settings) {
     // Set the type and format the value
     switch (typeof value) {
       case 'string':
-        Value = mysql_real_escape_string(value);
+        Value = value;
         Type = 'string';
         break;
       case 'number':
         Value = String(value);
         Type = 'number';
         break;
+      case 'boolean':
+        Value = String(value);
+        Type = 'boolean';
+        break;
       case 'object':
         // Dates will also have the typeof as object
         if (value instanceof Date) {
@@ -377,25 +1061,1649 @@ db.settings.save = async function(settings) {
           Type = 'date';
         } else {
           // Otherwise stringify and store as JSON
-          Value = mysql_real_escape_string(JSON.stringify(value));
+          Value = JSON.stringify(value);
           Type = 'object';
         };
         break;
       default:
         // Other types will be stored as strings
-        Value = String(mysql_real_escape_string(value));
+        Value = String(value);
         Type = 'string';
         break;
     }
     // Replace into in order to either add or replace existing rows in the database
     await dbPromiseExecSQL(
       conn,
-      `REPLACE INTO Settings (Key, Value, Type) values('${Key}', '${Value}', '${Type}');`
+      `REPLACE INTO Settings (Key, Value, Type) VALUES (?, ?, ?);`,
+      [Key, Value, Type]
     );
   }
   // Close the database connection
   conn.close((err) => { if (err) console.log(err.message) });
 }
 
+/**
+ * Get the media items in the library
+ * @param {Boolean} enabledOnly Only return items that are currently enabled (their path is valid)
+ * @returns {Array} Media rows (Hash, Type, Path, Size, MTime, Enabled, Added, LibraryID, Directory)
+ */
+db.media.list = async function(enabledOnly) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT * FROM Media${enabledOnly ? ' WHERE Enabled=TRUE' : ''} ORDER BY Path;`
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows;
+}
+
+/**
+ * Query the enabled media in the library with filtering, sorting and paging. Media that is stored
+ * in several places (same hash) is only returned once.
+ * @param {Object} options { type, search, sort ('title', 'year', 'size', 'modified', 'added'), order ('asc', 'desc'), limit, offset,
+ *                         access (what the account may see, see accessCondition()) }
+ * @returns {Object} { total, rows } - total number of matching items, and the rows of the requested page
+ *                   (Media columns with the Title, SortTitle and Year of the metadata, and the Name (Library) and
+ *                   Path (LibraryPath) of the library)
+ */
+db.media.query = async function(options) {
+  // Columns that may be sorted on, by their API name
+  const sortColumns = {
+    title: 'COALESCE(Metadata.SortTitle, Metadata.Title, Media.Path) COLLATE NOCASE',
+    year: 'Metadata.Year',
+    size: 'Media.Size',
+    modified: 'Media.MTime',
+    // A copy of media that was already in the library is not new
+    added: 'MIN(Media.Added)'
+  };
+  // Columns that are searched, the file and folder names and the metadata
+  const searchColumns = ['Media.Path', 'Metadata.Title', 'Metadata.OriginalTitle', 'Metadata.ShowTitle', 'Metadata.Plot',
+                         'Metadata.Genres', 'Metadata.Directors', 'Metadata.Actors', 'Books.Creators', 'Books.Series'];
+  let where = ['Media.Enabled=TRUE', accessCondition(options.access)];
+  let params = [];
+  if (options.type) {
+    where.push('Media.Type=?');
+    params.push(options.type);
+  }
+  // Every word in the search must appear in at least one of the searched columns
+  if (options.search) {
+    for (const word of options.search.split(/\s+/).filter(word => word.length > 0)) {
+      where.push(`(${searchColumns.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+      for (const column of searchColumns) params.push(`%${word.replace(/[\\%_]/g, char => '\\' + char)}%`);
+    }
+  }
+  const sortColumn = sortColumns[options.sort] || sortColumns.title;
+  const sortOrder = (options.order === 'desc') ? 'DESC' : 'ASC';
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(
+    conn,
+    `SELECT COUNT(DISTINCT Media.Hash) AS Total FROM Media LEFT JOIN Metadata ON Metadata.Hash=Media.Hash
+       LEFT JOIN Books ON Books.Hash=Media.Hash
+       WHERE ${where.join(' AND ')};`,
+    params
+  ))[0].Total;
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Media.Hash, Media.Type, MIN(Media.Path) AS Path, Media.Size, Media.MTime, MIN(Media.Added) AS Added,
+            Libraries.Name AS Library, Libraries.Path AS LibraryPath, Metadata.Title, Metadata.SortTitle, Metadata.Year
+       FROM Media LEFT JOIN Metadata ON Metadata.Hash=Media.Hash
+       LEFT JOIN Books ON Books.Hash=Media.Hash
+       LEFT JOIN Libraries ON Libraries.LibraryID=Media.LibraryID
+       WHERE ${where.join(' AND ')}
+       GROUP BY Media.Hash
+       ORDER BY ${sortColumn} ${sortOrder}, Path ASC
+       LIMIT ? OFFSET ?;`,
+    params.concat([options.limit, options.offset])
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * Get every media entry that has the provided hash
+ * @param {String} hash SHA-256 hash of the source media (hex)
+ * @param {Object} access Only the entries that the account may see (see accessCondition()), optional
+ * @returns {Array} Media rows with the Name (Library) and Path (LibraryPath) of their library, more than one if the
+ *                  same file is stored in several places
+ */
+db.media.get = async function(hash, access) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Media.*, Libraries.Name AS Library, Libraries.Path AS LibraryPath
+       FROM Media LEFT JOIN Libraries ON Libraries.LibraryID=Media.LibraryID
+       WHERE Media.Hash=? AND ${accessCondition(access)} ORDER BY Media.Path;`,
+    [hash]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows;
+}
+
+/**
+ * Get the media entry that is stored at the provided path
+ * @param {String} mediaPath Full path of the media item
+ * @returns {Object} Media row, or undefined if the path is not in the library
+ */
+db.media.getByPath = async function(mediaPath) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM Media WHERE Path=?;`, [mediaPath]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+/**
+ * Add or update a media item in the library. The item is (re-)enabled, since it was just found.
+ * @param {Object} item Media item { hash, type, path, size, mtime, libraryID }, mtime in milliseconds
+ */
+db.media.save = async function(item) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  // Either add the path or update its existing row, it was only added again if its contents changed
+  await dbPromiseExecSQL(
+    conn,
+    `INSERT INTO Media (Hash, Type, Path, Size, MTime, Enabled, Added, LibraryID, Directory) VALUES (?, ?, ?, ?, ?, TRUE, ?, ?, ?)
+       ON CONFLICT (Path) DO UPDATE SET Added=CASE WHEN Hash=excluded.Hash THEN Added ELSE excluded.Added END,
+                                        Hash=excluded.Hash, Type=excluded.Type, Size=excluded.Size,
+                                        MTime=excluded.MTime, Enabled=TRUE, LibraryID=excluded.LibraryID;`,
+    [item.hash, item.type, item.path, item.size, item.mtime, Date.now(), item.libraryID, path.dirname(item.path)]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Disable the media entry at the provided path, used when the file can no longer be located
+ * @param {String} mediaPath Full path of the media item
+ */
+db.media.disable = async function(mediaPath) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `UPDATE Media SET Enabled=FALSE WHERE Path=?;`, [mediaPath]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Disable the media entries that are not in an enabled library, eg. indexed before libraries existed or left
+ * behind by a library that was deleted
+ * @returns {Number} Number of entries that were disabled
+ */
+db.media.disableOrphans = async function() {
+  const orphaned = `Enabled=TRUE AND (LibraryID IS NULL OR LibraryID NOT IN (SELECT LibraryID FROM Libraries WHERE Enabled=TRUE))`;
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const count = (await dbPromiseExecSQL(conn, `SELECT COUNT(*) AS Count FROM Media WHERE ${orphaned};`))[0].Count;
+  if (count > 0) await dbPromiseExecSQL(conn, `UPDATE Media SET Enabled=FALSE WHERE ${orphaned};`);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return count;
+}
+
+/**
+ * Get the enabled media that is stored in more than one place (the same hash at several paths)
+ * @returns {Array} Media rows, the copies of each hash together and the largest files first
+ */
+db.media.duplicates = async function() {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT * FROM Media
+      WHERE Enabled=TRUE AND Hash IN (SELECT Hash FROM Media WHERE Enabled=TRUE GROUP BY Hash HAVING COUNT(*) > 1)
+      ORDER BY Size DESC, Hash, Path;`
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows;
+}
+
+/**
+ * Record that the contents of a file changed while its path and modification time stayed the same
+ * @param {Object} change { path, libraryID, oldHash, newHash, oldSize, newSize, mtime }
+ */
+db.media.saveHashChange = async function(change) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(
+    conn,
+    `INSERT INTO HashChanges (Path, LibraryID, OldHash, NewHash, OldSize, NewSize, MTime, Detected) VALUES (?, ?, ?, ?, ?, ?, ?, ?);`,
+    [change.path, change.libraryID, change.oldHash, change.newHash, change.oldSize, change.newSize, change.mtime, formatDateSQL(new Date(), true)]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Get the recorded changes of contents without a change of modification time, that were not dismissed
+ * @returns {Array} HashChanges rows, the latest first
+ */
+db.media.hashChanges = async function() {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM HashChanges ORDER BY Detected DESC, ChangeID DESC;`);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows;
+}
+
+/**
+ * Dismiss a recorded change of contents (eg. once the file was restored from a backup)
+ * @param {Number} id ChangeID of the change
+ * @returns {Boolean} True if there was such a change
+ */
+db.media.dismissHashChange = async function(id) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `DELETE FROM HashChanges WHERE ChangeID=?;`, [id]);
+  const dismissed = (await dbPromiseExecSQL(conn, `SELECT changes() AS Changes;`))[0].Changes > 0;
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return dismissed;
+}
+
+/**
+ * Get the sidecar signatures of all of the media that has metadata, used to skip unchanged media
+ * @returns {Map} Signature (String) by media hash
+ */
+db.metadata.signatures = async function() {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT Hash, Signature FROM Metadata;`);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return new Map(rows.map(row => [row.Hash, row.Signature]));
+}
+
+/**
+ * Get the metadata and sidecar files of a media item
+ * @param {String} hash SHA-256 hash of the source media (hex)
+ * @returns {Object} { metadata, sidecars } - Metadata row (undefined if there is none) and Sidecars rows
+ */
+db.metadata.get = async function(hash) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const metadata = (await dbPromiseExecSQL(conn, `SELECT * FROM Metadata WHERE Hash=?;`, [hash]))[0];
+  const sidecars = await dbPromiseExecSQL(conn, `SELECT * FROM Sidecars WHERE Hash=? ORDER BY rowid;`, [hash]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { metadata: metadata, sidecars: sidecars };
+}
+
+/**
+ * Save (replace) the metadata and sidecar files of a media item
+ * @param {String} hash SHA-256 hash of the source media (hex)
+ * @param {Object} metadata Metadata from sidecar.readMetadata()
+ * @param {Object} sidecars Sidecars from sidecar.findSidecars()
+ * @param {String} signature Identifies the sidecar files the metadata was read from
+ */
+db.metadata.save = async function(hash, metadata, sidecars, signature) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(
+    conn,
+    `REPLACE INTO Metadata (Hash, Title, OriginalTitle, SortTitle, Year, Plot, Tagline, Genres, ContentRating, Runtime,
+                           Directors, Actors, Studio, ShowTitle, Season, Episode, Aired, IMDbID, Source, Signature)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+    [
+      hash, metadata.title, metadata.originalTitle, metadata.sortTitle, metadata.year, metadata.plot, metadata.tagline,
+      JSON.stringify(metadata.genres || []), metadata.contentRating, metadata.runtime,
+      JSON.stringify(metadata.directors || []), JSON.stringify(metadata.actors || []), metadata.studio,
+      metadata.showTitle, metadata.season, metadata.episode, metadata.aired, metadata.imdbID, metadata.source, signature
+    ]
+  );
+  await dbPromiseExecSQL(conn, `DELETE FROM Sidecars WHERE Hash=?;`, [hash]);
+  for (const artwork of sidecars.artwork) {
+    await dbPromiseExecSQL(conn, `INSERT INTO Sidecars (Hash, Kind, Path) VALUES (?, ?, ?);`, [hash, artwork.kind, artwork.path]);
+  }
+  for (const subtitle of sidecars.subtitles) {
+    await dbPromiseExecSQL(
+      conn,
+      `INSERT INTO Sidecars (Hash, Kind, Path, Language, IsForced) VALUES (?, 'subtitle', ?, ?, ?);`,
+      [hash, subtitle.path, subtitle.language, subtitle.forced ? 1 : 0]
+    );
+  }
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+// Only tracks that have at least one enabled media entry (that the account may see) are browsed
+const enabledTrack = (access) => `EXISTS (SELECT 1 FROM Media WHERE Media.Hash=Tracks.Hash AND Media.Enabled=TRUE AND ${accessCondition(access)})`;
+
+/**
+ * Get the ID of an artist, adding the artist if they are not known yet
+ * @param {*} conn sqlite3 database/connection object
+ * @param {String} name Name of the artist
+ * @returns {Number} ArtistID, or null if there is no name
+ */
+async function artistID(conn, name) {
+  if (!name) return null;
+  await dbPromiseExecSQL(conn, `INSERT OR IGNORE INTO Artists (Name) VALUES (?);`, [name]);
+  return (await dbPromiseExecSQL(conn, `SELECT ArtistID FROM Artists WHERE Name=?;`, [name]))[0].ArtistID;
+}
+
+/**
+ * Get the hashes of all of the music that has had its tags read
+ * @returns {Set} Hashes of the tracks
+ */
+db.music.trackHashes = async function() {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT Hash FROM Tracks;`);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return new Set(rows.map(row => row.Hash));
+}
+
+/**
+ * Save (replace) the tags of a music file, adding its artist(s) and album if they are not known yet
+ * @param {String} hash SHA-256 hash of the music file (hex)
+ * @param {Object} tags Tags from tags.readTags()
+ */
+db.music.saveTrack = async function(hash, tags) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const trackArtistID = await artistID(conn, tags.artist);
+  // The album belongs to the album artist, or the track artist if there is no album artist
+  const albumArtistID = tags.albumArtist ? await artistID(conn, tags.albumArtist) : trackArtistID;
+  let albumID = null;
+  if (tags.album) {
+    // Not INSERT OR IGNORE, albums without an artist (NULL) never conflict on the unique key
+    await dbPromiseExecSQL(
+      conn,
+      `INSERT INTO Albums (Title, ArtistID, Year) SELECT ?, ?, ?
+         WHERE NOT EXISTS (SELECT 1 FROM Albums WHERE Title=? AND ArtistID IS ?);`,
+      [tags.album, albumArtistID, tags.year, tags.album, albumArtistID]
+    );
+    const album = (await dbPromiseExecSQL(conn, `SELECT AlbumID, Year FROM Albums WHERE Title=? AND ArtistID IS ?;`, [tags.album, albumArtistID]))[0];
+    albumID = album.AlbumID;
+    if (!album.Year && tags.year) await dbPromiseExecSQL(conn, `UPDATE Albums SET Year=? WHERE AlbumID=?;`, [tags.year, albumID]);
+  }
+  await dbPromiseExecSQL(
+    conn,
+    `REPLACE INTO Tracks (Hash, Title, ArtistID, AlbumID, TrackNumber, TrackTotal, DiscNumber, DiscTotal, Year, Genre, Duration, HasCover)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+    [
+      hash, tags.title, trackArtistID, albumID, tags.trackNumber, tags.trackTotal, tags.discNumber, tags.discTotal,
+      tags.year, tags.genre, tags.duration, tags.hasCover ? 1 : 0
+    ]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * List the artists that have enabled tracks, either their own or on their albums
+ * @param {Object} options { limit, offset, access }
+ * @returns {Object} { total, rows } - Artists rows with their number of Albums and Tracks
+ */
+db.music.artists = async function(options) {
+  const artistTracks = `SELECT Tracks.ArtistID AS ArtistID, Tracks.Hash AS Hash, NULL AS AlbumID FROM Tracks WHERE ${enabledTrack(options.access)}
+                        UNION SELECT Albums.ArtistID, Tracks.Hash, Albums.AlbumID FROM Tracks JOIN Albums ON Albums.AlbumID=Tracks.AlbumID WHERE ${enabledTrack(options.access)}`;
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(
+    conn,
+    `SELECT COUNT(DISTINCT ArtistID) AS Total FROM (${artistTracks}) WHERE ArtistID IS NOT NULL;`
+  ))[0].Total;
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Artists.ArtistID, Artists.Name, COUNT(DISTINCT ArtistTracks.AlbumID) AS Albums, COUNT(DISTINCT ArtistTracks.Hash) AS Tracks
+       FROM Artists JOIN (${artistTracks}) AS ArtistTracks ON ArtistTracks.ArtistID=Artists.ArtistID
+       GROUP BY Artists.ArtistID
+       ORDER BY Artists.Name COLLATE NOCASE
+       LIMIT ? OFFSET ?;`,
+    [options.limit, options.offset]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * Get an artist
+ * @param {Number} id ArtistID of the artist
+ * @returns {Object} Artists row, or undefined if there is no such artist
+ */
+db.music.artist = async function(id) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM Artists WHERE ArtistID=?;`, [id]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+/**
+ * List the albums that have enabled tracks
+ * @param {Object} options { artistID (album artist, optional), limit, offset, access }
+ * @returns {Object} { total, rows } - Albums rows with the Artist name, number of Tracks and the Hash of a
+ *                   track with embedded cover art (CoverHash, null if none of them have one)
+ */
+db.music.albums = async function(options) {
+  let where = [enabledTrack(options.access)];
+  let params = [];
+  if (options.artistID !== undefined) {
+    where.push('Albums.ArtistID=?');
+    params.push(options.artistID);
+  }
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(
+    conn,
+    `SELECT COUNT(DISTINCT Albums.AlbumID) AS Total FROM Albums JOIN Tracks ON Tracks.AlbumID=Albums.AlbumID
+       WHERE ${where.join(' AND ')};`,
+    params
+  ))[0].Total;
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Albums.AlbumID, Albums.Title, Albums.ArtistID, Albums.Year, Artists.Name AS Artist, COUNT(Tracks.Hash) AS Tracks,
+            MAX(CASE WHEN Tracks.HasCover THEN Tracks.Hash END) AS CoverHash
+       FROM Albums JOIN Tracks ON Tracks.AlbumID=Albums.AlbumID
+       LEFT JOIN Artists ON Artists.ArtistID=Albums.ArtistID
+       WHERE ${where.join(' AND ')}
+       GROUP BY Albums.AlbumID
+       ORDER BY Artists.Name COLLATE NOCASE, Albums.Year, Albums.Title
+       LIMIT ? OFFSET ?;`,
+    params.concat([options.limit, options.offset])
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * Get an album and its enabled tracks, in disc and track order
+ * @param {Number} id AlbumID of the album
+ * @param {Object} access Only the tracks that the account may see (see accessCondition()), optional
+ * @returns {Object} { album, tracks } - Albums row with the Artist name (undefined if there is no such album),
+ *                   and Tracks rows with the Artist name
+ */
+db.music.album = async function(id, access) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const album = (await dbPromiseExecSQL(
+    conn,
+    `SELECT Albums.*, Artists.Name AS Artist FROM Albums LEFT JOIN Artists ON Artists.ArtistID=Albums.ArtistID WHERE AlbumID=?;`,
+    [id]
+  ))[0];
+  const tracks = await dbPromiseExecSQL(
+    conn,
+    `SELECT Tracks.*, Artists.Name AS Artist FROM Tracks LEFT JOIN Artists ON Artists.ArtistID=Tracks.ArtistID
+       WHERE Tracks.AlbumID=? AND ${enabledTrack(access)}
+       ORDER BY COALESCE(Tracks.DiscNumber, 1), Tracks.TrackNumber, Tracks.Title;`,
+    [id]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { album: album, tracks: tracks };
+}
+
+/**
+ * Get the tracks of an artist (as the track artist) that are not on one of their own albums
+ * @param {Number} id ArtistID of the artist
+ * @param {Object} access Only the tracks that the account may see (see accessCondition()), optional
+ * @returns {Array} Tracks rows with the Album title
+ */
+db.music.artistTracks = async function(id, access) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const tracks = await dbPromiseExecSQL(
+    conn,
+    `SELECT Tracks.*, Albums.Title AS Album FROM Tracks LEFT JOIN Albums ON Albums.AlbumID=Tracks.AlbumID
+       WHERE Tracks.ArtistID=? AND Albums.ArtistID IS NOT ? AND ${enabledTrack(access)}
+       ORDER BY Albums.Title, Tracks.TrackNumber, Tracks.Title;`,
+    [id, id]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return tracks;
+}
+
+/**
+ * Get the hashes of all of the ebooks that have had their metadata read
+ * @returns {Set} Hashes of the books
+ */
+db.books.hashes = async function() {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT Hash FROM Books;`);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return new Set(rows.map(row => row.Hash));
+}
+
+/**
+ * Save (replace) the metadata of an ebook
+ * @param {String} hash SHA-256 hash of the ebook (hex)
+ * @param {Object} book Book from ebook.readBook()
+ */
+db.books.save = async function(hash, book) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(
+    conn,
+    `REPLACE INTO Books (Hash, Format, Title, Creators, Series, SeriesIndex, Language, Publisher, Pages, CoverPath, Spine, Toc)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+    [
+      hash, book.format, book.title, JSON.stringify(book.creators || []), book.series, book.seriesIndex, book.language,
+      book.publisher, book.pages, book.cover, JSON.stringify(book.spine || []), JSON.stringify(book.toc || [])
+    ]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Get the metadata of an ebook
+ * @param {String} hash SHA-256 hash of the ebook (hex)
+ * @returns {Object} Books row, or undefined if its metadata has not been read
+ */
+db.books.get = async function(hash) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM Books WHERE Hash=?;`, [hash]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+/**
+ * Get where a user is in an ebook
+ * @param {Number} accountID AccountID of the reader
+ * @param {String} hash SHA-256 hash of the ebook (hex)
+ * @returns {Object} ReadingPositions row, or undefined if the user has not started reading the book
+ */
+db.books.getPosition = async function(accountID, hash) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM ReadingPositions WHERE AccountID=? AND Hash=?;`, [accountID, hash]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+/**
+ * Save (replace) where a user is in an ebook
+ * @param {Number} accountID AccountID of the reader
+ * @param {String} hash SHA-256 hash of the ebook (hex)
+ * @param {String} location EPUB CFI or PDF page number
+ * @param {Number} progress How much of the book has been read, from 0 to 1
+ */
+db.books.savePosition = async function(accountID, hash, location, progress) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(
+    conn,
+    `REPLACE INTO ReadingPositions (AccountID, Hash, Location, Progress, Updated) VALUES (?, ?, ?, ?, ?);`,
+    [accountID, hash, location, progress, formatDateSQL(new Date(), true)]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * List the ebooks that a user has started but not finished reading, most recently read first
+ * @param {Number} accountID AccountID of the reader
+ * @param {Number} limit Maximum number of books
+ * @param {Object} access Only the books that the account may see (see accessCondition()), optional
+ * @returns {Array} Media rows with the Title and Year of the metadata, and the Location, Progress and Updated of the position
+ */
+db.books.reading = async function(accountID, limit, access) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Media.Hash, Media.Type, MIN(Media.Path) AS Path, Media.Size, Media.MTime, MIN(Media.Added) AS Added,
+            Libraries.Name AS Library, Libraries.Path AS LibraryPath, Metadata.Title, Metadata.Year,
+            ReadingPositions.Location, ReadingPositions.Progress, ReadingPositions.Updated
+       FROM ReadingPositions JOIN Media ON Media.Hash=ReadingPositions.Hash
+       LEFT JOIN Metadata ON Metadata.Hash=Media.Hash
+       LEFT JOIN Libraries ON Libraries.LibraryID=Media.LibraryID
+       WHERE ReadingPositions.AccountID=? AND Media.Enabled=TRUE AND ${accessCondition(access)} AND COALESCE(ReadingPositions.Progress, 0)<1
+       GROUP BY Media.Hash
+       ORDER BY ReadingPositions.Updated DESC
+       LIMIT ?;`,
+    [accountID, limit]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows;
+}
+
+// Only books that have at least one enabled media entry (that the account may see) are in the catalog
+const enabledBook = (access) => `EXISTS (SELECT 1 FROM Media WHERE Media.Hash=Books.Hash AND Media.Type='book' AND Media.Enabled=TRUE
+                                          AND ${accessCondition(access)})`;
+// The authors of a book are its creators (json_each(Books.Creators) AS Creators) without a role or with the author role, not
+// eg. editors or illustrators
+const AUTHOR_NAME = `json_extract(Creators.value, '$.name')`;
+const IS_AUTHOR = `COALESCE(json_extract(Creators.value, '$.role'), 'aut')='aut'`;
+
+/**
+ * Query the ebooks in the library with filtering, sorting and paging
+ * @param {Object} options { author, series, search, sort ('title', 'added' (newest first) or 'series' (in the order of the
+ *                         series)), limit, offset, access (what the account may see, see accessCondition()) }
+ * @returns {Object} { total, rows } - total number of matching books, and the rows of the requested page (Books columns with
+ *                   the Title, Plot and Year of the metadata, and the Size and first Added time of the media)
+ */
+db.books.query = async function(options) {
+  // Orders that may be sorted in, by their API name
+  const sortOrders = {
+    title: 'COALESCE(Metadata.SortTitle, Metadata.Title, Books.Title) COLLATE NOCASE',
+    added: 'Added DESC',
+    series: 'Books.SeriesIndex IS NULL, Books.SeriesIndex, COALESCE(Metadata.SortTitle, Metadata.Title, Books.Title) COLLATE NOCASE'
+  };
+  // Columns that are searched
+  const searchColumns = ['Books.Title', 'Metadata.Title', 'Books.Creators', 'Books.Series', 'Books.Publisher', 'Metadata.Plot'];
+  let where = [enabledBook(options.access)];
+  let params = [];
+  if (options.author !== undefined) {
+    where.push(`EXISTS (SELECT 1 FROM json_each(Books.Creators) AS Creators WHERE ${IS_AUTHOR} AND ${AUTHOR_NAME}=?)`);
+    params.push(options.author);
+  }
+  if (options.series !== undefined) {
+    where.push('Books.Series=?');
+    params.push(options.series);
+  }
+  // Every word in the search must appear in at least one of the searched columns
+  if (options.search) {
+    for (const word of options.search.split(/\s+/).filter(word => word.length > 0)) {
+      where.push(`(${searchColumns.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+      for (const column of searchColumns) params.push(`%${word.replace(/[\\%_]/g, char => '\\' + char)}%`);
+    }
+  }
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(
+    conn,
+    `SELECT COUNT(*) AS Total FROM Books LEFT JOIN Metadata ON Metadata.Hash=Books.Hash WHERE ${where.join(' AND ')};`,
+    params
+  ))[0].Total;
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Books.Hash, Books.Format, COALESCE(Metadata.Title, Books.Title) AS Title, Books.Creators, Books.Series,
+            Books.SeriesIndex, Books.Language, Books.Publisher, Books.Pages, Books.CoverPath, Metadata.Plot, Metadata.Year,
+            (SELECT MAX(Media.Size) FROM Media WHERE Media.Hash=Books.Hash) AS Size,
+            (SELECT MIN(Media.Added) FROM Media WHERE Media.Hash=Books.Hash AND Media.Enabled=TRUE) AS Added
+       FROM Books LEFT JOIN Metadata ON Metadata.Hash=Books.Hash
+       WHERE ${where.join(' AND ')}
+       ORDER BY ${sortOrders[options.sort] || sortOrders.title}, Books.Hash
+       LIMIT ? OFFSET ?;`,
+    params.concat([options.limit, options.offset])
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * List the authors of the ebooks in the library
+ * @param {Object} options { limit, offset, access }
+ * @returns {Object} { total, rows } - rows: { Name, Books } by name
+ */
+db.books.authors = async function(options) {
+  const authors = `SELECT ${AUTHOR_NAME} AS Name, COUNT(DISTINCT Books.Hash) AS Books FROM Books, json_each(Books.Creators) AS Creators
+                     WHERE ${enabledBook(options.access)} AND ${IS_AUTHOR} AND ${AUTHOR_NAME} IS NOT NULL
+                     GROUP BY ${AUTHOR_NAME}`;
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(conn, `SELECT COUNT(*) AS Total FROM (${authors});`))[0].Total;
+  const rows = await dbPromiseExecSQL(conn, `${authors} ORDER BY Name COLLATE NOCASE LIMIT ? OFFSET ?;`, [options.limit, options.offset]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * List the series of the ebooks in the library
+ * @param {Object} options { limit, offset, access }
+ * @returns {Object} { total, rows } - rows: { Name, Books } by name
+ */
+db.books.series = async function(options) {
+  const series = `SELECT Books.Series AS Name, COUNT(*) AS Books FROM Books
+                    WHERE ${enabledBook(options.access)} AND Books.Series IS NOT NULL AND Books.Series<>''
+                    GROUP BY Books.Series`;
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(conn, `SELECT COUNT(*) AS Total FROM (${series});`))[0].Total;
+  const rows = await dbPromiseExecSQL(conn, `${series} ORDER BY Name COLLATE NOCASE LIMIT ? OFFSET ?;`, [options.limit, options.offset]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * Get how far a user is through a media item
+ * @param {Number} accountID AccountID of the user
+ * @param {String} hash SHA-256 hash of the media (hex)
+ * @returns {Object} Progress row, or undefined if the user has not played the media
+ */
+db.progress.get = async function(accountID, hash) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM Progress WHERE AccountID=? AND Hash=?;`, [accountID, hash]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+/**
+ * Save (replace) how far a user is through a media item, it was last played now
+ * @param {Number} accountID AccountID of the user
+ * @param {String} hash SHA-256 hash of the media (hex)
+ * @param {Object} progress { position, duration, completed } - position and duration in seconds
+ */
+db.progress.save = async function(accountID, hash, progress) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(
+    conn,
+    `REPLACE INTO Progress (AccountID, Hash, Position, Duration, Completed, LastPlayed) VALUES (?, ?, ?, ?, ?, ?);`,
+    [accountID, hash, progress.position, progress.duration, progress.completed ? 1 : 0, formatDateSQL(new Date(), true)]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Forget how far a user is through a media item, eg. to mark it as unwatched
+ * @param {Number} accountID AccountID of the user
+ * @param {String} hash SHA-256 hash of the media (hex)
+ */
+db.progress.delete = async function(accountID, hash) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `DELETE FROM Progress WHERE AccountID=? AND Hash=?;`, [accountID, hash]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * List the media that a user has played, most recently played first
+ * @param {Number} accountID AccountID of the user
+ * @param {Object} options { type, unfinished, limit, offset, access } - type: a media type or an Array of them, unfinished:
+ *                         only media that was started but not completed, access: what the account may see
+ * @returns {Object} { total, rows } - Media rows with the Title and Year of the metadata, and the Position, Duration,
+ *                   Completed and LastPlayed of the progress
+ */
+db.progress.history = async function(accountID, options) {
+  let where = ['Progress.AccountID=?', 'Media.Enabled=TRUE', accessCondition(options.access)];
+  let params = [accountID];
+  if (options.type) {
+    const types = [].concat(options.type);
+    where.push(`Media.Type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+  if (options.unfinished) where.push('Progress.Completed=FALSE AND Progress.Position>0');
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(
+    conn,
+    `SELECT COUNT(DISTINCT Media.Hash) AS Total FROM Progress JOIN Media ON Media.Hash=Progress.Hash
+       WHERE ${where.join(' AND ')};`,
+    params
+  ))[0].Total;
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Media.Hash, Media.Type, MIN(Media.Path) AS Path, Media.Size, Media.MTime, MIN(Media.Added) AS Added,
+            Libraries.Name AS Library, Libraries.Path AS LibraryPath, Metadata.Title, Metadata.Year,
+            Progress.Position, Progress.Duration, Progress.Completed, Progress.LastPlayed
+       FROM Progress JOIN Media ON Media.Hash=Progress.Hash
+       LEFT JOIN Metadata ON Metadata.Hash=Media.Hash
+       LEFT JOIN Libraries ON Libraries.LibraryID=Media.LibraryID
+       WHERE ${where.join(' AND ')}
+       GROUP BY Media.Hash
+       ORDER BY Progress.LastPlayed DESC
+       LIMIT ? OFFSET ?;`,
+    params.concat([options.limit, options.offset])
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+// Only episodes that have at least one enabled media entry in a TV library (that the account may see) are browsed
+const enabledEpisode = (access) => `EXISTS (SELECT 1 FROM Media WHERE Media.Hash=Episodes.Hash AND Media.Type='tv' AND Media.Enabled=TRUE
+                                             AND ${accessCondition(access)})`;
+// Episodes in viewing order, the specials and whatever could not be numbered last
+const EPISODE_ORDER = `Episodes.Season IS NULL, Episodes.Season=0, Episodes.Season, Episodes.Episode IS NULL, Episodes.Episode, Episodes.Title`;
+
+/**
+ * Get the hashes of all of the TV episodes that have been recognized
+ * @returns {Set} Hashes of the episodes
+ */
+db.tv.episodeHashes = async function() {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT Hash FROM Episodes;`);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return new Set(rows.map(row => row.Hash));
+}
+
+/**
+ * Save (replace) a TV episode, adding its series if it is not known yet
+ * @param {String} hash SHA-256 hash of the episode (hex)
+ * @param {Object} episode { series, season, episode, episodeEnd, title }
+ */
+db.tv.saveEpisode = async function(hash, episode) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  let seriesID = null;
+  if (episode.series) {
+    await dbPromiseExecSQL(conn, `INSERT OR IGNORE INTO Series (Title) VALUES (?);`, [episode.series]);
+    seriesID = (await dbPromiseExecSQL(conn, `SELECT SeriesID FROM Series WHERE Title=?;`, [episode.series]))[0].SeriesID;
+  }
+  await dbPromiseExecSQL(
+    conn,
+    `REPLACE INTO Episodes (Hash, SeriesID, Season, Episode, EpisodeEnd, Title) VALUES (?, ?, ?, ?, ?, ?);`,
+    [hash, seriesID, episode.season, episode.episode, episode.episodeEnd, episode.title]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * List the series that have enabled episodes
+ * @param {Object} options { limit, offset, access }
+ * @returns {Object} { total, rows } - Series rows with their number of Seasons and Episodes
+ */
+db.tv.listSeries = async function(options) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(
+    conn,
+    `SELECT COUNT(DISTINCT SeriesID) AS Total FROM Episodes WHERE SeriesID IS NOT NULL AND ${enabledEpisode(options.access)};`
+  ))[0].Total;
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Series.SeriesID, Series.Title, COUNT(DISTINCT Episodes.Season) AS Seasons, COUNT(Episodes.Hash) AS Episodes
+       FROM Series JOIN Episodes ON Episodes.SeriesID=Series.SeriesID
+       WHERE ${enabledEpisode(options.access)}
+       GROUP BY Series.SeriesID
+       ORDER BY Series.Title COLLATE NOCASE
+       LIMIT ? OFFSET ?;`,
+    [options.limit, options.offset]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * Get a series
+ * @param {Number} id SeriesID of the series
+ * @returns {Object} Series row, or undefined if there is no such series
+ */
+db.tv.getSeries = async function(id) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM Series WHERE SeriesID=?;`, [id]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+/**
+ * Get the enabled episodes of a series in viewing order, with how far a user is through each of them
+ * @param {Number} id SeriesID of the series
+ * @param {Number} accountID AccountID of the user whose progress is included
+ * @param {Number} season Only the episodes of this season (optional)
+ * @param {Object} access Only the episodes that the account may see (see accessCondition()), optional
+ * @returns {Array} Episodes rows with the Position, Duration, Completed and LastPlayed of the progress (null if not played)
+ */
+db.tv.episodes = async function(id, accountID, season, access) {
+  let where = ['Episodes.SeriesID=?', enabledEpisode(access)];
+  let params = [accountID, id];
+  if (season !== undefined) {
+    where.push('Episodes.Season IS ?');
+    params.push(season);
+  }
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Episodes.*, Progress.Position, Progress.Duration, Progress.Completed, Progress.LastPlayed
+       FROM Episodes LEFT JOIN Progress ON Progress.Hash=Episodes.Hash AND Progress.AccountID=?
+       WHERE ${where.join(' AND ')}
+       ORDER BY ${EPISODE_ORDER};`,
+    params
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows;
+}
+
+/**
+ * Get a TV episode
+ * @param {String} hash SHA-256 hash of the episode (hex)
+ * @returns {Object} Episodes row, or undefined if the media is not a recognized episode
+ */
+db.tv.getEpisode = async function(hash) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM Episodes WHERE Hash=?;`, [hash]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+// Only photos that have at least one enabled media entry in a photo library (that the account may see) are grouped in to albums
+const enabledPhoto = (access) => `EXISTS (SELECT 1 FROM Media WHERE Media.Hash=Photos.Hash AND Media.Type='photo' AND Media.Enabled=TRUE
+                                           AND ${accessCondition(access)})`;
+
+/**
+ * Get the hashes of all of the photos that have had their EXIF data read
+ * @returns {Set} Hashes of the photos
+ */
+db.photos.hashes = async function() {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT Hash FROM Photos;`);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return new Set(rows.map(row => row.Hash));
+}
+
+/**
+ * Save (replace) what was read from a photo
+ * @param {String} hash SHA-256 hash of the photo (hex)
+ * @param {Object} photo { takenAt, dateSource, make, model, lens, width, height, orientation, latitude, longitude, altitude }
+ *                       from photo.readPhoto()
+ */
+db.photos.save = async function(hash, photo) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(
+    conn,
+    `REPLACE INTO Photos (Hash, TakenAt, DateSource, Make, Model, Lens, Width, Height, Orientation, Latitude, Longitude, Altitude)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+    [hash, photo.takenAt, photo.dateSource, photo.make, photo.model, photo.lens, photo.width, photo.height,
+     photo.orientation, photo.latitude, photo.longitude, photo.altitude]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Get what was read from a photo
+ * @param {String} hash SHA-256 hash of the photo (hex)
+ * @returns {Object} Photos row, or undefined if the media is not a photo that has been read
+ */
+db.photos.get = async function(hash) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM Photos WHERE Hash=?;`, [hash]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+/**
+ * List the albums of the enabled photos. Date albums are the months the photos were taken in, latest first. Folder
+ * albums are the directories the photos are in, by library and path.
+ * @param {String} kind Kind of album, date or folder
+ * @param {Object} options { limit, offset, access }
+ * @returns {Object} { total, rows } - rows with the Photos count, FirstTaken, LastTaken and a Cover (hash of one of the
+ *                   photos), and the Month (date) or the LibraryID, Directory, Library and LibraryPath (folder)
+ */
+db.photos.albums = async function(kind, options) {
+  const queries = {
+    date: {
+      total: `SELECT COUNT(DISTINCT substr(TakenAt, 1, 7)) AS Total FROM Photos WHERE ${enabledPhoto(options.access)};`,
+      rows: `SELECT substr(TakenAt, 1, 7) AS Month, COUNT(*) AS Photos, MIN(TakenAt) AS FirstTaken, MAX(TakenAt) AS LastTaken,
+                    Hash AS Cover
+               FROM Photos WHERE ${enabledPhoto(options.access)}
+               GROUP BY Month
+               ORDER BY Month DESC
+               LIMIT ? OFFSET ?;`
+    },
+    folder: {
+      total: `SELECT COUNT(*) AS Total FROM (SELECT DISTINCT LibraryID, Directory FROM Media
+                                               WHERE Type='photo' AND Enabled=TRUE AND ${accessCondition(options.access)});`,
+      rows: `SELECT Media.LibraryID, Media.Directory, Libraries.Name AS Library, Libraries.Path AS LibraryPath,
+                    COUNT(DISTINCT Media.Hash) AS Photos, MIN(Photos.TakenAt) AS FirstTaken, MAX(Photos.TakenAt) AS LastTaken,
+                    Media.Hash AS Cover
+               FROM Media JOIN Photos ON Photos.Hash=Media.Hash
+               JOIN Libraries ON Libraries.LibraryID=Media.LibraryID
+               WHERE Media.Type='photo' AND Media.Enabled=TRUE AND ${accessCondition(options.access)}
+               GROUP BY Media.LibraryID, Media.Directory
+               ORDER BY Libraries.Name COLLATE NOCASE, Media.Directory COLLATE NOCASE
+               LIMIT ? OFFSET ?;`
+    }
+  };
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(conn, queries[kind].total))[0].Total;
+  const rows = await dbPromiseExecSQL(conn, queries[kind].rows, [options.limit, options.offset]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * Get the photos of an album in the order they were taken, for paging through them (eg. a slideshow)
+ * @param {Object} album { month } (a date album, "YYYY-MM") or { libraryID, directory } (a folder album)
+ * @param {Object} options { limit, offset, access }
+ * @returns {Object} { total, rows } - Photos rows with the Media columns of the first copy (Path, Size, MTime, Added),
+ *                   its Library and LibraryPath, and the Title and Year of the metadata
+ */
+db.photos.albumPhotos = async function(album, options) {
+  let where = ['Media.Type=\'photo\'', 'Media.Enabled=TRUE', accessCondition(options.access)];
+  let params = [];
+  if (album.month !== undefined) {
+    where.push('substr(Photos.TakenAt, 1, 7)=?');
+    params.push(album.month);
+  } else {
+    where.push('Media.LibraryID=?', 'Media.Directory=?');
+    params.push(album.libraryID, album.directory);
+  }
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(
+    conn,
+    `SELECT COUNT(DISTINCT Photos.Hash) AS Total FROM Photos JOIN Media ON Media.Hash=Photos.Hash WHERE ${where.join(' AND ')};`,
+    params
+  ))[0].Total;
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Photos.*, Media.Type, MIN(Media.Path) AS Path, Media.Size, Media.MTime, MIN(Media.Added) AS Added,
+            Libraries.Name AS Library, Libraries.Path AS LibraryPath, Metadata.Title, Metadata.Year
+       FROM Photos JOIN Media ON Media.Hash=Photos.Hash
+       LEFT JOIN Libraries ON Libraries.LibraryID=Media.LibraryID
+       LEFT JOIN Metadata ON Metadata.Hash=Photos.Hash
+       WHERE ${where.join(' AND ')}
+       GROUP BY Photos.Hash
+       ORDER BY Photos.TakenAt, Path
+       LIMIT ? OFFSET ?;`,
+    params.concat([options.limit, options.offset])
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * List the libraries
+ * @returns {Array} Libraries rows, by name
+ */
+db.libraries.list = async function() {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM Libraries ORDER BY Name;`);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows;
+}
+
+/**
+ * Get a library
+ * @param {Number} id LibraryID of the library
+ * @returns {Object} Libraries row, or undefined if there is no such library
+ */
+db.libraries.get = async function(id) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM Libraries WHERE LibraryID=?;`, [id]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+/**
+ * Get a library by its name
+ * @param {String} name Name of the library (not case sensitive)
+ * @returns {Object} Libraries row, or undefined if there is no such library
+ */
+db.libraries.getByName = async function(name) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT * FROM Libraries WHERE Name=?;`, [name]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+/**
+ * Count the enabled media in each library, copies of the same file within a library are counted once
+ * @returns {Map} { items, size } by LibraryID - size is the total size of the files in bytes
+ */
+db.libraries.counts = async function() {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT LibraryID, COUNT(DISTINCT Hash) AS Items, SUM(Size) AS Size FROM Media
+       WHERE Enabled=TRUE AND LibraryID IS NOT NULL
+       GROUP BY LibraryID;`
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  let counts = new Map();
+  for (const row of rows) counts.set(row.LibraryID, { items: row.Items, size: row.Size });
+  return counts;
+}
+
+/**
+ * Create a library, it is given the next unused LibraryID
+ * @param {Object} library { name, path, type, include, exclude, enabled } - include and exclude are Arrays of glob patterns
+ * @returns {Number} LibraryID of the new library
+ */
+db.libraries.create = async function(library) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const libraryID = (await dbPromiseExecSQL(conn, `SELECT COALESCE(MAX(LibraryID), 0) + 1 AS NextID FROM Libraries;`))[0].NextID;
+  await dbPromiseExecSQL(
+    conn,
+    `INSERT INTO Libraries (LibraryID, Name, Path, Type, Include, Exclude, Enabled, Created) VALUES (?, ?, ?, ?, ?, ?, ?, ?);`,
+    [
+      libraryID,
+      library.name,
+      library.path,
+      library.type,
+      JSON.stringify(library.include || []),
+      JSON.stringify(library.exclude || []),
+      (library.enabled === false) ? 0 : 1,
+      formatDateSQL(new Date(), true)
+    ]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return libraryID;
+}
+
+/**
+ * Update a library, only the provided fields are changed
+ * @param {Number} id LibraryID of the library
+ * @param {Object} changes { name, path, type, include, exclude, enabled }
+ * @returns {Boolean} True if anything was changed
+ */
+db.libraries.update = async function(id, changes) {
+  // Columns by the name of the change, Include and Exclude are stored as JSON
+  const columns = { name: 'Name', path: 'Path', type: 'Type', include: 'Include', exclude: 'Exclude', enabled: 'Enabled' };
+  let set = [];
+  let params = [];
+  for (const [key, column] of Object.entries(columns)) {
+    if (changes[key] === undefined) continue;
+    set.push(`${column}=?`);
+    if (key === 'include' || key === 'exclude') params.push(JSON.stringify(changes[key]));
+    else if (key === 'enabled') params.push(changes[key] ? 1 : 0);
+    else params.push(changes[key]);
+  }
+  // Nothing to change
+  if (set.length === 0) return false;
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `UPDATE Libraries SET ${set.join(', ')} WHERE LibraryID=?;`, params.concat([id]));
+  // Library media is no longer served once the library is disabled, until it is scanned again
+  if (changes.enabled === false) await dbPromiseExecSQL(conn, `UPDATE Media SET Enabled=FALSE WHERE LibraryID=?;`, [id]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return true;
+}
+
+/**
+ * Delete a library, its media is disabled (the files themselves are untouched) and it is removed from the accounts that
+ * were granted it, so that a library added later with the same LibraryID is not granted to them
+ * @param {Number} id LibraryID of the library
+ */
+db.libraries.delete = async function(id) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `DELETE FROM Libraries WHERE LibraryID=?;`, [id]);
+  await dbPromiseExecSQL(conn, `UPDATE Media SET Enabled=FALSE, LibraryID=NULL WHERE LibraryID=?;`, [id]);
+  await dbPromiseExecSQL(
+    conn,
+    `UPDATE Users SET Libraries=(SELECT json_group_array(value) FROM json_each(Users.Libraries) WHERE value<>?)
+       WHERE Libraries IS NOT NULL;`,
+    [id]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Save the outcome of a library scan
+ * @param {Number} id LibraryID of the library
+ * @param {Object} result Summary of the scan (librarian.js), saved as JSON
+ */
+db.libraries.saveScan = async function(id, result) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(
+    conn,
+    `UPDATE Libraries SET LastScanned=?, LastScanResult=? WHERE LibraryID=?;`,
+    [formatDateSQL(new Date(), true), JSON.stringify(result), id]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+// Only list items that have at least one enabled media entry (that the account may see) are shown and counted
+const enabledItem = (access) => `EXISTS (SELECT 1 FROM Media WHERE Media.Hash=ListItems.Hash AND Media.Enabled=TRUE AND ${accessCondition(access)})`;
+
+/**
+ * Add media to the end of a list, media that is already in it keeps its place
+ * @param {*} conn sqlite3 database/connection object
+ * @param {Number} id ListID of the list
+ * @param {Array} hashes SHA-256 hashes of the media (hex), in order
+ */
+async function appendListItems(conn, id, hashes) {
+  let position = (await dbPromiseExecSQL(conn, `SELECT COALESCE(MAX(Position), 0) AS Last FROM ListItems WHERE ListID=?;`, [id]))[0].Last;
+  const added = formatDateSQL(new Date(), true);
+  for (const hash of hashes) {
+    await dbPromiseExecSQL(conn, `INSERT OR IGNORE INTO ListItems (ListID, Hash, Position, Added) VALUES (?, ?, ?, ?);`, [id, hash, ++position, added]);
+  }
+}
+
+/**
+ * List the lists that an account can see, its own and those that other accounts shared
+ * @param {Number} accountID AccountID of the account
+ * @param {Object} options { kind, limit, offset, access } - kind: playlist or collection (both if undefined), access: what
+ *                         the account may see (the items are counted without the media it may not see)
+ * @returns {Object} { total, rows } - Lists rows with the number of Items and the account name (OwnerName) and
+ *                   DisplayName (OwnerDisplayName) of the owner, the account's own lists first and then by name
+ */
+db.lists.query = async function(accountID, options) {
+  let where = ['(Lists.AccountID=? OR Lists.IsShared=TRUE)'];
+  let params = [accountID];
+  if (options.kind) {
+    where.push('Lists.Kind=?');
+    params.push(options.kind);
+  }
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(conn, `SELECT COUNT(*) AS Total FROM Lists WHERE ${where.join(' AND ')};`, params))[0].Total;
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Lists.*, Users.AccountName AS OwnerName, Users.DisplayName AS OwnerDisplayName,
+            (SELECT COUNT(*) FROM ListItems WHERE ListItems.ListID=Lists.ListID AND ${enabledItem(options.access)}) AS Items
+       FROM Lists LEFT JOIN Users ON Users.AccountID=Lists.AccountID
+       WHERE ${where.join(' AND ')}
+       ORDER BY Lists.AccountID<>?, Lists.Name COLLATE NOCASE, Lists.ListID
+       LIMIT ? OFFSET ?;`,
+    params.concat([accountID, options.limit, options.offset])
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * Get a list
+ * @param {Number} id ListID of the list
+ * @returns {Object} Lists row with the account name (OwnerName) and DisplayName (OwnerDisplayName) of the owner, or
+ *                   undefined if there is no such list
+ */
+db.lists.get = async function(id) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Lists.*, Users.AccountName AS OwnerName, Users.DisplayName AS OwnerDisplayName
+       FROM Lists LEFT JOIN Users ON Users.AccountID=Lists.AccountID WHERE ListID=?;`,
+    [id]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+/**
+ * Get the items of a list, playlists in their order and collections by title
+ * @param {Object} list Lists row of the list
+ * @param {Object} access Only the media that the account may see (see accessCondition()), optional
+ * @returns {Array} Media rows with the Title, SortTitle and Year of the metadata, the Name (Library) and Path
+ *                  (LibraryPath) of the library, the Duration of music and the Position of the item
+ */
+db.lists.items = async function(list, access) {
+  const order = (list.Kind === 'playlist') ? 'ListItems.Position' : 'COALESCE(Metadata.SortTitle, Metadata.Title, MIN(Media.Path)) COLLATE NOCASE';
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Media.Hash, Media.Type, MIN(Media.Path) AS Path, Media.Size, Media.MTime, MIN(Media.Added) AS Added,
+            Libraries.Name AS Library, Libraries.Path AS LibraryPath, Metadata.Title, Metadata.SortTitle, Metadata.Year,
+            Tracks.Duration, ListItems.Position
+       FROM ListItems JOIN Media ON Media.Hash=ListItems.Hash
+       LEFT JOIN Metadata ON Metadata.Hash=Media.Hash
+       LEFT JOIN Tracks ON Tracks.Hash=Media.Hash
+       LEFT JOIN Libraries ON Libraries.LibraryID=Media.LibraryID
+       WHERE ListItems.ListID=? AND Media.Enabled=TRUE AND ${accessCondition(access)}
+       GROUP BY Media.Hash
+       ORDER BY ${order}, ListItems.Position;`,
+    [list.ListID]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows;
+}
+
+/**
+ * Count the items of a list, including the media that is no longer in the library
+ * @param {Number} id ListID of the list
+ * @returns {Number} Number of items
+ */
+db.lists.countItems = async function(id) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const count = (await dbPromiseExecSQL(conn, `SELECT COUNT(*) AS Items FROM ListItems WHERE ListID=?;`, [id]))[0].Items;
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return count;
+}
+
+/**
+ * Create a list, it is given the next unused ListID
+ * @param {Object} list { accountID, kind, name, description, shared, items } - items are the hashes of the media, in order
+ * @returns {Number} ListID of the new list
+ */
+db.lists.create = async function(list) {
+  const now = formatDateSQL(new Date(), true);
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const listID = (await dbPromiseExecSQL(conn, `SELECT COALESCE(MAX(ListID), 0) + 1 AS NextID FROM Lists;`))[0].NextID;
+  await dbPromiseExecSQL(
+    conn,
+    `INSERT INTO Lists (ListID, AccountID, Kind, Name, Description, IsShared, Created, Updated) VALUES (?, ?, ?, ?, ?, ?, ?, ?);`,
+    [listID, list.accountID, list.kind, list.name, list.description || null, list.shared ? 1 : 0, now, now]
+  );
+  await appendListItems(conn, listID, list.items || []);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return listID;
+}
+
+/**
+ * Update a list, only the provided fields are changed
+ * @param {Number} id ListID of the list
+ * @param {Object} changes { name, description, shared, items } - items replaces the media in the list (and their order)
+ */
+db.lists.update = async function(id, changes) {
+  let columns = ['Updated=?'];
+  let params = [formatDateSQL(new Date(), true)];
+  if (changes.name !== undefined) {
+    columns.push('Name=?');
+    params.push(changes.name);
+  }
+  if (changes.description !== undefined) {
+    columns.push('Description=?');
+    params.push(changes.description || null);
+  }
+  if (changes.shared !== undefined) {
+    columns.push('IsShared=?');
+    params.push(changes.shared ? 1 : 0);
+  }
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `UPDATE Lists SET ${columns.join(', ')} WHERE ListID=?;`, params.concat([id]));
+  if (changes.items !== undefined) {
+    await dbPromiseExecSQL(conn, `DELETE FROM ListItems WHERE ListID=?;`, [id]);
+    await appendListItems(conn, id, changes.items);
+  }
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Add media to the end of a list, media that is already in it keeps its place
+ * @param {Number} id ListID of the list
+ * @param {Array} hashes SHA-256 hashes of the media (hex), in order
+ */
+db.lists.addItems = async function(id, hashes) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await appendListItems(conn, id, hashes);
+  await dbPromiseExecSQL(conn, `UPDATE Lists SET Updated=? WHERE ListID=?;`, [formatDateSQL(new Date(), true), id]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Remove media from a list
+ * @param {Number} id ListID of the list
+ * @param {String} hash SHA-256 hash of the media (hex)
+ * @returns {Boolean} True if the media was in the list
+ */
+db.lists.removeItem = async function(id, hash) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const found = (await dbPromiseExecSQL(conn, `SELECT 1 FROM ListItems WHERE ListID=? AND Hash=?;`, [id, hash])).length > 0;
+  await dbPromiseExecSQL(conn, `DELETE FROM ListItems WHERE ListID=? AND Hash=?;`, [id, hash]);
+  if (found) await dbPromiseExecSQL(conn, `UPDATE Lists SET Updated=? WHERE ListID=?;`, [formatDateSQL(new Date(), true), id]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return found;
+}
+
+/**
+ * Delete a list and its items (the media itself is untouched)
+ * @param {Number} id ListID of the list
+ */
+db.lists.delete = async function(id) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `DELETE FROM ListItems WHERE ListID=?;`, [id]);
+  await dbPromiseExecSQL(conn, `DELETE FROM Lists WHERE ListID=?;`, [id]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Create a share link
+ * @param {Object} share { accountID, title, hashes, password (plain text, optional), expires (milliseconds since the epoch),
+ *                       maxDownloads (optional) }
+ * @returns {Number} ShareID of the new link
+ */
+db.shares.create = async function(share) {
+  const hashedPassword = share.password ? await hashPassword(share.password) : null;
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const shareID = (await dbPromiseExecSQL(conn, `SELECT COALESCE(MAX(ShareID), 0) + 1 AS NextID FROM Shares;`))[0].NextID;
+  await dbPromiseExecSQL(
+    conn,
+    `INSERT INTO Shares (ShareID, AccountID, Title, Hashes, Password, Expires, MaxDownloads, Downloads, Created)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?);`,
+    [
+      shareID, share.accountID, share.title, JSON.stringify(share.hashes), hashedPassword, share.expires,
+      share.maxDownloads || null, formatDateSQL(new Date(), true)
+    ]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return shareID;
+}
+
+/**
+ * Get a share link
+ * @param {Number} id ShareID of the link
+ * @returns {Object} Shares row with the OwnerName of the account that made it, or undefined if there is no such link
+ */
+db.shares.get = async function(id) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Shares.*, Users.AccountName AS OwnerName FROM Shares LEFT JOIN Users ON Users.AccountID=Shares.AccountID
+       WHERE ShareID=?;`,
+    [id]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows[0];
+}
+
+/**
+ * List the share links that still work (not revoked, expired or used up), newest first
+ * @param {Object} options { accountID (only the links of this account, optional), limit, offset }
+ * @returns {Object} { total, rows } - Shares rows with the OwnerName of the account that made them
+ */
+db.shares.query = async function(options) {
+  let where = ['Shares.Revoked IS NULL', 'Shares.Expires>?', '(Shares.MaxDownloads IS NULL OR Shares.Downloads<Shares.MaxDownloads)'];
+  let params = [Date.now()];
+  if (options.accountID !== undefined) {
+    where.push('Shares.AccountID=?');
+    params.push(options.accountID);
+  }
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const total = (await dbPromiseExecSQL(conn, `SELECT COUNT(*) AS Total FROM Shares WHERE ${where.join(' AND ')};`, params))[0].Total;
+  const rows = await dbPromiseExecSQL(
+    conn,
+    `SELECT Shares.*, Users.AccountName AS OwnerName FROM Shares LEFT JOIN Users ON Users.AccountID=Shares.AccountID
+       WHERE ${where.join(' AND ')}
+       ORDER BY Shares.ShareID DESC
+       LIMIT ? OFFSET ?;`,
+    params.concat([options.limit, options.offset])
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return { total: total, rows: rows };
+}
+
+/**
+ * Check the password of a share link
+ * @param {Object} share Shares row
+ * @param {String} password Password that was entered
+ * @returns {Boolean} True if the link has no password or the password is correct
+ */
+db.shares.checkPassword = async function(share, password) {
+  if (!share.Password) return true;
+  if (typeof password !== 'string') return false;
+  return await comparePassword(password, share.Password);
+}
+
+/**
+ * Record the use of a share link. Downloads are only counted while the link is below its download limit.
+ * @param {Number} id ShareID of the link
+ * @param {Boolean} download Whether the use is a download (counted against the limit)
+ * @returns {Boolean} False if it was a download and the link had already reached its download limit
+ */
+db.shares.use = async function(id, download) {
+  const now = formatDateSQL(new Date(), true);
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  let counted = true;
+  if (download) {
+    // The limit is checked by the update itself, so that two downloads at the same time can not both take the last one
+    await dbPromiseExecSQL(
+      conn,
+      `UPDATE Shares SET Downloads=Downloads+1, LastUsed=? WHERE ShareID=? AND (MaxDownloads IS NULL OR Downloads<MaxDownloads);`,
+      [now, id]
+    );
+    counted = (await dbPromiseExecSQL(conn, `SELECT changes() AS Changes;`))[0].Changes > 0;
+  } else {
+    await dbPromiseExecSQL(conn, `UPDATE Shares SET LastUsed=? WHERE ShareID=?;`, [now, id]);
+  }
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return counted;
+}
+
+/**
+ * Revoke a share link, it stops working straight away
+ * @param {Number} id ShareID of the link
+ */
+db.shares.revoke = async function(id) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `UPDATE Shares SET Revoked=? WHERE ShareID=? AND Revoked IS NULL;`, [formatDateSQL(new Date(), true), id]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Get a stored session that has not expired yet
+ * @param {String} sid Session ID
+ * @returns {Object} The session data, or undefined if there is no such (unexpired) session
+ */
+db.session.get = async function(sid) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT Session FROM Sessions WHERE SID=? AND Expires>?;`, [sid, Date.now()]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows.length > 0 ? JSON.parse(rows[0].Session) : undefined;
+}
+
+/**
+ * Store (add or replace) a session
+ * @param {String} sid Session ID
+ * @param {Object} sessionData The session data, stored as JSON
+ * @param {Number} expires When the session expires, in milliseconds since the epoch
+ */
+db.session.set = async function(sid, sessionData, expires) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(
+    conn,
+    `REPLACE INTO Sessions (SID, Session, Expires) VALUES (?, ?, ?);`,
+    [sid, JSON.stringify(sessionData), expires]
+  );
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Extend the expiry of a session
+ * @param {String} sid Session ID
+ * @param {Number} expires When the session expires, in milliseconds since the epoch
+ */
+db.session.touch = async function(sid, expires) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `UPDATE Sessions SET Expires=? WHERE SID=?;`, [expires, sid]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Delete a session
+ * @param {String} sid Session ID
+ */
+db.session.destroy = async function(sid) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  await dbPromiseExecSQL(conn, `DELETE FROM Sessions WHERE SID=?;`, [sid]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+}
+
+/**
+ * Delete every session of an account, so that it is logged out everywhere (eg. when it is disabled)
+ * @param {Number} accountID AccountID of the account
+ * @returns {Array} Session IDs of the sessions that were deleted
+ */
+db.session.destroyAccount = async function(accountID) {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const rows = await dbPromiseExecSQL(conn, `SELECT SID FROM Sessions WHERE json_extract(Session, '$.accountID')=?;`, [accountID]);
+  await dbPromiseExecSQL(conn, `DELETE FROM Sessions WHERE json_extract(Session, '$.accountID')=?;`, [accountID]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return rows.map(row => row.SID);
+}
+
+/**
+ * Delete all of the sessions that have expired
+ * @returns {Number} Number of sessions that were deleted
+ */
+db.session.prune = async function() {
+  // Connect to the database
+  let conn = dbConnect(`${__dirname}/nelfe.db`);
+  const now = Date.now();
+  const expired = (await dbPromiseExecSQL(conn, `SELECT COUNT(*) AS Expired FROM Sessions WHERE Expires<=?;`, [now]))[0].Expired;
+  await dbPromiseExecSQL(conn, `DELETE FROM Sessions WHERE Expires<=?;`, [now]);
+  // Close the database connection
+  conn.close((err) => { if (err) console.log(err.message) });
+  return expired;
+}
 
 module.exports = db;
\ No newline at end of file
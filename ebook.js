@@ -0,0 +1,405 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * ebook.js - Reads the metadata of ebooks:
+ *            - EPUB: the OPF package document (title, creators, series, language, cover image and
+ *              reading order) and the table of contents, either the EPUB 3 navigation document or
+ *              the EPUB 2 NCX. The files within the EPUB (chapters, styles, images) are read one at
+ *              a time for the reader, the book is never extracted.
+ *            - PDF: the document Info dictionary (title and author), or the XMP metadata when
+ *              the Info dictionary can not be found, and the number of pages.
+ */
+
+// Require dependencies
+const path = require('path');
+const fs = require('fs');
+const yauzl = require('yauzl');
+const { XMLParser } = require('fast-xml-parser');
+
+// The largest file within an EPUB that is read in to memory
+const MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+// PDFs are scanned in chunks, the overlap catches what is split across two chunks
+const PDF_CHUNK_SIZE = 1024 * 1024;
+const PDF_CHUNK_OVERLAP = 8 * 1024;
+
+// Namespace prefixes (dc:, opf:, epub:) are removed, elements that may appear more than once are always arrays
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => ['rootfile', 'title', 'creator', 'language', 'subject', 'date', 'publisher', 'description', 'meta',
+                      'item', 'itemref', 'navPoint', 'nav', 'li', 'ol', 'a', 'span'].includes(name)
+});
+
+/**
+ * Open an EPUB (zip) file and list the files within it
+ * @param {String} filePath Path of the EPUB file
+ * @returns {Object} { zipfile, entries } - yauzl ZipFile (closed with zipfile.close()) and its entries by file name
+ */
+async function openEpub(filePath) {
+  const zipfile = await yauzl.openPromise(filePath, { lazyEntries: true, autoClose: false });
+  let entries = new Map();
+  try {
+    for await (const entry of zipfile.eachEntry()) {
+      if (!entry.fileName.endsWith('/')) entries.set(entry.fileName, entry);
+    }
+  } catch (err) {
+    zipfile.close();
+    throw err;
+  }
+  return { zipfile: zipfile, entries: entries };
+}
+
+/**
+ * Read a file within an opened EPUB
+ * @param {Object} epub EPUB from openEpub()
+ * @param {String} name File name within the EPUB
+ * @returns {Buffer} Contents of the file, undefined if there is no such file
+ */
+async function readEntry(epub, name) {
+  const entry = epub.entries.get(name);
+  if (!entry) return undefined;
+  if (entry.uncompressedSize > MAX_ENTRY_SIZE) throw new Error(`"${name}" is too large`);
+  const stream = await epub.zipfile.openReadStreamPromise(entry);
+  let chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Get the text of a parsed XML element, including the text of the elements within it (eg. <a><span>1.</span> Title</a>)
+ * @param {*} value Parsed element value
+ * @returns {String} Text of the element, or undefined if it is empty
+ */
+function xmlText(value) {
+  if (value === undefined || value === null) return undefined;
+  if (Array.isArray(value)) value = value.map(xmlText).filter(Boolean).join(' ');
+  else if (typeof value === 'object') {
+    value = Object.entries(value).filter(([key]) => !key.startsWith('@')).map(([, child]) => xmlText(child)).filter(Boolean).join(' ');
+  }
+  value = String(value).replace(/\s+/g, ' ').trim();
+  return (value === '') ? undefined : value;
+}
+
+/**
+ * Resolve a link within an EPUB (manifest item, table of contents entry) to the file name in the zip
+ * @param {String} base File name of the document the link is in
+ * @param {String} href The link, relative to the document and URL encoded
+ * @returns {Object} { path, fragment } - file name within the EPUB and the #fragment (undefined if there is none)
+ */
+function resolveHref(base, href) {
+  const [target, fragment] = String(href).split('#');
+  let decoded = target;
+  try { decoded = decodeURIComponent(target) } catch {}
+  return {
+    path: target ? path.posix.normalize(path.posix.join(path.posix.dirname(base), decoded)).replace(/^\.\//, '') : base,
+    fragment: fragment || undefined
+  };
+}
+
+/**
+ * Read the table of contents from an EPUB 3 navigation document (<nav epub:type="toc">)
+ * @param {Object} epub EPUB from openEpub()
+ * @param {String} navPath File name of the navigation document
+ * @returns {Array} Entries { title, path, fragment, children }, undefined if there is no toc navigation
+ */
+async function readNav(epub, navPath) {
+  const contents = await readEntry(epub, navPath);
+  if (!contents) return undefined;
+  // The toc <nav> may be anywhere within the body
+  let tocNav;
+  (function findNav(node) {
+    if (tocNav || !node || typeof node !== 'object') return;
+    for (const nav of node.nav || []) {
+      if (String(nav['@type'] || '').split(/\s+/).includes('toc')) return tocNav = nav;
+    }
+    Object.values(node).forEach(findNav);
+  })(xmlParser.parse(contents.toString('utf8')));
+  if (!tocNav) return undefined;
+  const entries = (ol) => ((ol || [])[0] || {}).li || [];
+  const toEntry = (li) => {
+    // Headings without a link (<span>) group the entries below them
+    const link = (li.a || [])[0];
+    const target = (link && link['@href']) ? resolveHref(navPath, link['@href']) : {};
+    return {
+      title: xmlText(link || li.span) || '',
+      path: target.path,
+      fragment: target.fragment,
+      children: entries(li.ol).map(toEntry)
+    };
+  };
+  return entries(tocNav.ol).map(toEntry);
+}
+
+/**
+ * Read the table of contents from an EPUB 2 NCX document
+ * @param {Object} epub EPUB from openEpub()
+ * @param {String} ncxPath File name of the NCX document
+ * @returns {Array} Entries { title, path, fragment, children }, undefined if there is no navigation map
+ */
+async function readNcx(epub, ncxPath) {
+  const contents = await readEntry(epub, ncxPath);
+  if (!contents) return undefined;
+  const ncx = xmlParser.parse(contents.toString('utf8')).ncx;
+  if (!ncx || !ncx.navMap) return undefined;
+  const toEntry = (navPoint) => {
+    const target = (navPoint.content && navPoint.content['@src']) ? resolveHref(ncxPath, navPoint.content['@src']) : {};
+    return {
+      title: xmlText(navPoint.navLabel) || '',
+      path: target.path,
+      fragment: target.fragment,
+      children: (navPoint.navPoint || []).map(toEntry)
+    };
+  };
+  return (ncx.navMap.navPoint || []).map(toEntry);
+}
+
+/**
+ * Read the metadata, reading order and table of contents of an EPUB
+ * @param {String} filePath Path of the EPUB file
+ * @returns {Object} { format: 'epub', title, creators: [{ name, role }], series, seriesIndex, language, publisher,
+ *                     description, subjects, year, cover, spine: [{ path, mediaType, linear }], toc }, cover is the
+ *                     file name of the cover image within the EPUB
+ */
+async function readEpub(filePath) {
+  const epub = await openEpub(filePath);
+  try {
+    // META-INF/container.xml points to the package (OPF) document
+    const container = await readEntry(epub, 'META-INF/container.xml');
+    if (!container) throw new Error('Missing META-INF/container.xml, not an EPUB');
+    const rootfiles = ((xmlParser.parse(container.toString('utf8')).container || {}).rootfiles || {}).rootfile || [];
+    const opfPath = rootfiles.map(rootfile => rootfile['@full-path']).find(Boolean);
+    const opf = opfPath ? await readEntry(epub, opfPath) : undefined;
+    if (!opf) throw new Error('Missing package document');
+    const pkg = xmlParser.parse(opf.toString('utf8')).package;
+    if (!pkg) throw new Error('Invalid package document');
+    const metadata = pkg.metadata || {};
+    const metas = metadata.meta || [];
+    // EPUB 3 describes other elements with <meta refines="#id" property="...">
+    const refinement = (id, property) => {
+      const meta = metas.find(meta => meta['@refines'] === `#${id}` && meta['@property'] === property);
+      return meta ? xmlText(meta) : undefined;
+    };
+    // EPUB 2 <meta name="..." content="...">
+    const namedMeta = (name) => {
+      const meta = metas.find(meta => meta['@name'] === name);
+      return meta ? meta['@content'] : undefined;
+    };
+    const creators = (metadata.creator || []).map(creator => ({
+      name: xmlText(creator),
+      role: (typeof creator === 'object') ? (creator['@role'] || refinement(creator['@id'], 'role')) : undefined
+    })).filter(creator => creator.name);
+    // Series, from the EPUB 3 collection or the Calibre metadata
+    let series = namedMeta('calibre:series');
+    let seriesIndex = namedMeta('calibre:series_index');
+    const collection = metas.find(meta => meta['@property'] === 'belongs-to-collection');
+    if (!series && collection) {
+      series = xmlText(collection);
+      seriesIndex = collection['@id'] ? refinement(collection['@id'], 'group-position') : undefined;
+    }
+    // The manifest lists every file of the book, the spine the order they are read in
+    const manifest = ((pkg.manifest || {}).item || []).map(item => ({
+      id: item['@id'],
+      path: resolveHref(opfPath, item['@href']).path,
+      mediaType: item['@media-type'],
+      properties: String(item['@properties'] || '').split(/\s+/)
+    }));
+    let spine = [];
+    for (const itemref of (pkg.spine || {}).itemref || []) {
+      const item = manifest.find(item => item.id === itemref['@idref']);
+      if (item) spine.push({ path: item.path, mediaType: item.mediaType, linear: itemref['@linear'] !== 'no' });
+    }
+    // The cover image is marked in the manifest (EPUB 3) or named by a <meta name="cover"> (EPUB 2)
+    const coverID = namedMeta('cover');
+    const cover = manifest.find(item => item.properties.includes('cover-image'))
+      || manifest.find(item => item.id === coverID && /^image\//.test(item.mediaType))
+      || manifest.find(item => /cover/i.test(item.id || '') && /^image\//.test(item.mediaType));
+    // Table of contents, from the EPUB 3 navigation document or the EPUB 2 NCX
+    let toc;
+    const nav = manifest.find(item => item.properties.includes('nav'));
+    if (nav) toc = await readNav(epub, nav.path);
+    const ncx = manifest.find(item => item.id === (pkg.spine || {})['@toc']) || manifest.find(item => item.mediaType === 'application/x-dtbncx+xml');
+    if (!toc && ncx) toc = await readNcx(epub, ncx.path);
+    const date = xmlText((metadata.date || [])[0]);
+    return {
+      format: 'epub',
+      title: xmlText((metadata.title || [])[0]) || path.parse(filePath).name,
+      creators: creators,
+      series: series || undefined,
+      seriesIndex: seriesIndex ? (parseFloat(seriesIndex) || undefined) : undefined,
+      language: xmlText((metadata.language || [])[0]),
+      publisher: xmlText((metadata.publisher || [])[0]),
+      // Descriptions are often HTML
+      description: xmlText((metadata.description || [])[0]) ? xmlText(metadata.description[0]).replace(/<[^>]*>/g, '').trim() : undefined,
+      subjects: (metadata.subject || []).map(xmlText).filter(Boolean),
+      year: (date && /^\d{4}/.test(date)) ? parseInt(date.slice(0, 4)) : undefined,
+      cover: cover ? cover.path : undefined,
+      spine: spine,
+      toc: toc || []
+    };
+  } finally {
+    epub.zipfile.close();
+  }
+}
+
+/**
+ * Read a file within an EPUB, used by the reader to load chapters, styles and images
+ * @param {String} filePath Path of the EPUB file
+ * @param {String} name File name within the EPUB
+ * @returns {Buffer} Contents of the file, undefined if there is no such file
+ */
+async function readEpubFile(filePath, name) {
+  const epub = await openEpub(filePath);
+  try {
+    return await readEntry(epub, name);
+  } finally {
+    epub.zipfile.close();
+  }
+}
+
+/**
+ * Decode a PDF string, either a literal (...) or a hexadecimal <...> string
+ * @param {String} value The string as it is written in the PDF (latin1), including the delimiters
+ * @returns {String} Decoded text, UTF-16 if it has a byte order mark, otherwise PDFDocEncoding (as latin1)
+ */
+function decodePdfString(value) {
+  let bytes;
+  if (value.startsWith('<')) {
+    const hex = value.slice(1, -1).replace(/\s+/g, '');
+    bytes = Buffer.from(hex.length % 2 ? hex + '0' : hex, 'hex');
+  } else {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+    const text = value.slice(1, -1).replace(/\\(?:([nrtbf()\\])|([0-7]{1,3})|\r?\n|(.))/g, (match, escape, octal, other) => {
+      if (escape) return escapes[escape];
+      if (octal) return String.fromCharCode(parseInt(octal, 8) & 0xff);
+      return other || ''; // A backslash at the end of a line continues the string
+    });
+    bytes = Buffer.from(text, 'latin1');
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    // UTF-16BE, swap the bytes for Node's UTF-16LE decoder
+    let swapped = Buffer.alloc(bytes.length - 2 - (bytes.length % 2));
+    for (let i = 0; i < swapped.length; i += 2) {
+      swapped[i] = bytes[i + 3];
+      swapped[i + 1] = bytes[i + 2];
+    }
+    return swapped.toString('utf16le').trim();
+  }
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return bytes.slice(3).toString('utf8').trim();
+  return bytes.toString('latin1').trim();
+}
+
+/**
+ * Get a string entry of a PDF dictionary
+ * @param {String} dictionary The dictionary as it is written in the PDF (latin1)
+ * @param {String} key Name of the entry, eg. 'Title'
+ * @returns {String} Decoded value, undefined if the entry is missing or not a string
+ */
+function pdfDictionaryString(dictionary, key) {
+  const start = dictionary.search(new RegExp(`/${key}\\s*[(<]`));
+  if (start === -1) return undefined;
+  let index = dictionary.indexOf(key, start) + key.length;
+  while (/\s/.test(dictionary[index])) index++;
+  if (dictionary[index] === '<') {
+    const end = dictionary.indexOf('>', index);
+    return (end === -1) ? undefined : decodePdfString(dictionary.slice(index, end + 1)) || undefined;
+  }
+  // Literal strings may contain balanced (unescaped) parentheses
+  let depth = 0;
+  for (let i = index; i < dictionary.length; i++) {
+    if (dictionary[i] === '\\') i++;
+    else if (dictionary[i] === '(') depth++;
+    else if (dictionary[i] === ')' && --depth === 0) return decodePdfString(dictionary.slice(index, i + 1)) || undefined;
+  }
+}
+
+/**
+ * Read the contents of a PDF in overlapping chunks, so that large documents are never held in memory
+ * @param {String} filePath Path of the PDF file
+ * @returns {AsyncGenerator} Chunks of the file as latin1 strings
+ */
+async function* pdfChunks(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(PDF_CHUNK_SIZE + PDF_CHUNK_OVERLAP);
+    let position = 0;
+    while (true) {
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+      if (bytesRead === 0) break;
+      yield buffer.toString('latin1', 0, bytesRead);
+      if (bytesRead < buffer.length) break;
+      position += PDF_CHUNK_SIZE;
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read the metadata of a PDF from its Info dictionary, falling back to the XMP metadata. Documents that
+ * keep their Info dictionary in a compressed object stream only have XMP metadata (if any) read.
+ * @param {String} filePath Path of the PDF file
+ * @returns {Object} { format: 'pdf', title, creators: [{ name }], description, year, pages }
+ */
+async function readPdf(filePath) {
+  // The trailer (or cross-reference stream) names the Info object, the last one is the newest revision
+  let infoReference;
+  for await (const chunk of pdfChunks(filePath)) {
+    for (const match of chunk.matchAll(/\/Info\s+(\d+)\s+(\d+)\s+R/g)) infoReference = match;
+  }
+  let info = '';
+  let xmp = {};
+  let pages = 0;
+  const infoObject = infoReference ? new RegExp(`(?:^|[^0-9])${infoReference[1]}\\s+${infoReference[2]}\\s+obj`, 'g') : undefined;
+  for await (const chunk of pdfChunks(filePath)) {
+    if (infoObject) {
+      for (const match of chunk.matchAll(infoObject)) {
+        const start = match.index + match[0].length;
+        const end = chunk.indexOf('endobj', start);
+        info = chunk.slice(start, (end === -1) ? start + PDF_CHUNK_OVERLAP : end);
+      }
+    }
+    // XMP metadata is UTF-8
+    const xmpField = (element) => {
+      const match = chunk.match(new RegExp(`<dc:${element}>[\\s\\S]*?<rdf:li[^>]*>([^<]*)</rdf:li>`));
+      return match ? Buffer.from(match[1], 'latin1').toString('utf8').trim() : undefined;
+    };
+    xmp.title = xmp.title || xmpField('title');
+    xmp.creator = xmp.creator || xmpField('creator');
+    // The root of the page tree has the total number of pages
+    for (const match of chunk.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g)) {
+      pages = Math.max(pages, parseInt(match[1] || match[2]));
+    }
+  }
+  const title = pdfDictionaryString(info, 'Title') || xmp.title;
+  const author = pdfDictionaryString(info, 'Author') || xmp.creator;
+  const created = (pdfDictionaryString(info, 'CreationDate') || '').match(/^(?:D:)?(\d{4})/);
+  return {
+    format: 'pdf',
+    title: title || path.parse(filePath).name,
+    // Several authors are usually separated by semicolons, commas are also used in "Last, First"
+    creators: author ? author.split(';').map(name => ({ name: name.trim() })).filter(creator => creator.name) : [],
+    description: pdfDictionaryString(info, 'Subject'),
+    year: created ? parseInt(created[1]) : undefined,
+    pages: pages || undefined
+  };
+}
+
+/**
+ * Read the metadata of an ebook
+ * @param {String} filePath Path of the EPUB or PDF file
+ * @returns {Object} Book from readEpub() or readPdf()
+ */
+async function readBook(filePath) {
+  return path.extname(filePath).toLowerCase() === '.pdf' ? await readPdf(filePath) : await readEpub(filePath);
+}
+
+// Export the public functions to be used elsewhere
+module.exports = { readBook, readEpub, readPdf, readEpubFile };
@@ -0,0 +1,117 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * episode.js - Recognizes TV episodes from their path within the TV directory:
+ *              - Show/Season 1/Show S01E02 Title.mkv, Show.S01E02E03.mkv (multi-episode), S01E02-E03
+ *              - Show/1x02 - Title.mkv, 1x02-1x03
+ *              - Show/Season 2/05 - Title.mkv, Show/Specials/Episode 3.mkv (season 0)
+ *              The series is the top directory, or the start of the file name if the episode is not in one.
+ */
+
+// Require dependencies
+const path = require('path');
+
+// Season directories, eg. "Season 1", "Series 01", "S2", and the specials
+const SEASON_DIRECTORY = /^(?:season|series|s)[ ._-]*(\d{1,3})$/i;
+const SPECIALS_DIRECTORY = /^specials?$/i;
+// Episode patterns in file names
+const SEASON_EPISODE = /(?:^|[^a-z0-9])s(\d{1,3})[ ._-]?e(\d{1,4})/i;
+const SEASON_X_EPISODE = /(?:^|[^a-z0-9])(\d{1,2})x(\d{2,3})(?![0-9])/i;
+const EPISODE_ONLY = /(?:^|[^a-z0-9])(?:e|ep|episode)[ ._-]*(\d{1,4})(?![0-9])/i;
+const LEADING_NUMBER = /^(\d{1,3})(?=[ ._-]|$)/;
+// Further episodes of a multi-episode file, after the first one (E03, -E03, -03, -1x03, x03)
+const MORE_EPISODES = {
+  seasonEpisode: /^(?:[ ._-]*-?[ ._]*e|-)(\d{1,4})(?![0-9])/i,
+  seasonXEpisode: /^(?:[-_]?(?:\d{1,2})?x|-)(\d{2,3})(?![0-9])/i
+};
+// Release details that follow the episode title in file names
+const RELEASE_DETAILS = /(?:^|[ ._-])(?:480p|576p|720p|1080[pi]|2160p|4k|x26[45]|h\.?26[45]|hevc|xvid|web[ ._-]?(?:dl|rip)|bluray|bdrip|hdtv|dvdrip|proper|repack)(?:[ ._-]|$).*$/i;
+// A multi-episode file covers at most this many episodes, larger "ranges" are something else (eg. 720p)
+const MAX_EPISODES = 20;
+
+/**
+ * Tidy a name taken from a file or directory name, dots and underscores are often used in place of spaces
+ * @param {String} name The name
+ * @returns {String} Tidied name, undefined if nothing is left
+ */
+function tidyName(name) {
+  if (!name) return undefined;
+  if (!name.includes(' ')) name = name.replace(/[._]+/g, ' ');
+  name = name.replace(RELEASE_DETAILS, '').replace(/^[\s._-]+|[\s._-]+$/g, '').trim();
+  return (name === '') ? undefined : name;
+}
+
+/**
+ * Read the rest of the episodes of a multi-episode file
+ * @param {String} rest The file name after the first episode
+ * @param {Number} first Number of the first episode
+ * @param {RegExp} pattern Pattern of a following episode (MORE_EPISODES)
+ * @returns {Object} { last, length } - number of the last episode and how much of the file name the episodes took
+ */
+function moreEpisodes(rest, first, pattern) {
+  let last = first;
+  let length = 0;
+  let match;
+  while ((match = rest.slice(length).match(pattern))) {
+    const episode = parseInt(match[1]);
+    if (episode <= last || episode - first >= MAX_EPISODES) break;
+    last = episode;
+    length += match[0].length;
+  }
+  return { last: last, length: length };
+}
+
+/**
+ * Recognize an episode from its path
+ * @param {String} relativePath Path of the file, relative to the TV directory
+ * @returns {Object} { series, season, episode, episodeEnd, title } - episodeEnd is the last episode of a multi-episode
+ *                   file, missing parts are undefined
+ */
+function parseEpisode(relativePath) {
+  let directories = relativePath.split(/[\\/]/);
+  const fileName = path.parse(directories.pop()).name;
+  let result = {};
+  // The nearest season directory
+  for (const directory of directories.slice().reverse()) {
+    const seasonMatch = directory.match(SEASON_DIRECTORY);
+    if (seasonMatch) result.season = parseInt(seasonMatch[1]);
+    else if (SPECIALS_DIRECTORY.test(directory)) result.season = 0;
+    if (result.season !== undefined) break;
+  }
+  // The series is the top directory that is not a season directory
+  result.series = tidyName(directories.find(directory => !SEASON_DIRECTORY.test(directory) && !SPECIALS_DIRECTORY.test(directory)));
+  // Episode (and season) from the file name, the first pattern that matches
+  let match, rest;
+  if ((match = fileName.match(SEASON_EPISODE)) || (match = fileName.match(SEASON_X_EPISODE))) {
+    const pattern = SEASON_EPISODE.test(match[0]) ? MORE_EPISODES.seasonEpisode : MORE_EPISODES.seasonXEpisode;
+    result.season = parseInt(match[1]);
+    result.episode = parseInt(match[2]);
+    rest = fileName.slice(match.index + match[0].length);
+    const more = moreEpisodes(rest, result.episode, pattern);
+    result.episodeEnd = more.last;
+    rest = rest.slice(more.length);
+  } else if ((match = fileName.match(EPISODE_ONLY)) || (match = fileName.match(LEADING_NUMBER))) {
+    result.episode = parseInt(match[1]);
+    rest = fileName.slice(match.index + match[0].length);
+    const more = moreEpisodes(rest, result.episode, MORE_EPISODES.seasonEpisode);
+    result.episodeEnd = more.last;
+    rest = rest.slice(more.length);
+    // Episodes without a season directory are in the first season
+    if (result.season === undefined) result.season = 1;
+  }
+  if (match) {
+    // Show.Name.S01E02.mkv, the series is in the file name when the episode is not in a series directory
+    if (!result.series) result.series = tidyName(fileName.slice(0, match.index));
+    result.title = tidyName(rest);
+  } else {
+    result.title = tidyName(fileName);
+  }
+  return result;
+}
+
+// Export the public functions to be used elsewhere
+module.exports = { parseEpisode };
@@ -0,0 +1,121 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * ffmpeg.js - Finds the locally installed ffmpeg and ffprobe, used for video thumbnails (thumbnail.js) and
+ *             transcoding (transcode.js). Neither is required, what needs them is unavailable without them.
+ *           - The binaries are FFMPEG_PATH and FFPROBE_PATH in config.env. If only FFMPEG_PATH is set, ffprobe is
+ *             looked for next to it, otherwise both are expected on the PATH.
+ */
+
+// Require dependencies
+const path = require('path');
+const { spawn } = require('child_process');
+const db = require(path.join(__dirname, 'db.js'));
+
+// Milliseconds that ffprobe may take to read a file
+const PROBE_TIMEOUT = 30000;
+// Largest output that is read from ffprobe
+const MAX_PROBE_OUTPUT = 4 * 1024 * 1024;
+// Number of files whose streams are remembered
+const PROBE_CACHE_SIZE = 500;
+
+// Whether each binary could be run (by path), checked the first time it is needed
+let available = new Map();
+// Streams of the files that were probed (by hash), a file with the same contents has the same streams
+let probed = new Map();
+
+// The configuration is loaded by main.js after this file is required, so it is read when it is needed
+const ffmpegPath = () => process.env.FFMPEG_PATH || 'ffmpeg';
+function ffprobePath() {
+  if (process.env.FFPROBE_PATH) return process.env.FFPROBE_PATH;
+  if (!process.env.FFMPEG_PATH) return 'ffprobe';
+  const ffmpeg = path.parse(process.env.FFMPEG_PATH);
+  return path.join(ffmpeg.dir, ffmpeg.base.replace(/ffmpeg/i, 'ffprobe'));
+}
+
+/**
+ * Check once whether a binary can be run
+ * @param {String} binary Path of the binary
+ * @returns {Boolean} True if `<binary> -version` ran successfully
+ */
+async function canRun(binary) {
+  if (available.has(binary)) return await available.get(binary);
+  const check = new Promise((resolve) => {
+    const child = spawn(binary, ['-version'], { stdio: 'ignore' });
+    child.on('error', () => resolve(false));
+    child.on('exit', code => resolve(code === 0));
+  });
+  available.set(binary, check);
+  const runs = await check;
+  if (!runs) db.log(`[FFMPEG] "${binary}" could not be run, video thumbnails and transcoding are unavailable without it.`, 'warning');
+  return runs;
+}
+
+/**
+ * Check whether ffmpeg can be run
+ * @returns {Boolean} True if ffmpeg is installed
+ */
+async function hasFfmpeg() {
+  return await canRun(ffmpegPath());
+}
+
+/**
+ * Check whether both ffmpeg and ffprobe can be run, they are needed to transcode
+ * @returns {Boolean} True if both are installed
+ */
+async function hasFfprobe() {
+  return (await hasFfmpeg()) && (await canRun(ffprobePath()));
+}
+
+/**
+ * Read the container and streams of a media file with ffprobe
+ * @param {String} filePath Full path of the media file
+ * @param {String} hash SHA-256 hash of the media (hex), the result is remembered by it
+ * @returns {Object} { format, duration, video, audio } - format: the container names of ffprobe (eg. "matroska,webm"),
+ *                   duration: seconds, video/audio: the first stream of each kind { codec, width, height, channels }
+ *                   (cover art of music is not a video stream), undefined if there is none
+ */
+async function probe(filePath, hash) {
+  if (probed.has(hash)) return probed.get(hash);
+  const output = await new Promise((resolve, reject) => {
+    const child = spawn(ffprobePath(), ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath], { stdio: ['ignore', 'pipe', 'ignore'] });
+    let chunks = [];
+    let size = 0;
+    const timeout = setTimeout(() => child.kill('SIGKILL'), PROBE_TIMEOUT);
+    child.stdout.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_PROBE_OUTPUT) return child.kill('SIGKILL');
+      chunks.push(chunk);
+    });
+    child.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timeout);
+      if (code !== 0) return reject(new Error(`ffprobe exited with ${code === null ? 'a timeout' : `code ${code}`}`));
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+  });
+  const parsed = JSON.parse(output);
+  const streams = parsed.streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  const result = {
+    format: (parsed.format && parsed.format.format_name) || '',
+    duration: (parsed.format && Number(parsed.format.duration)) || undefined,
+    video: video ? { codec: video.codec_name, width: video.width, height: video.height } : undefined,
+    audio: audio ? { codec: audio.codec_name, channels: audio.channels } : undefined
+  };
+  // The oldest result is forgotten first (a Map keeps the order things were added in)
+  if (probed.size >= PROBE_CACHE_SIZE) probed.delete(probed.keys().next().value);
+  probed.set(hash, result);
+  return result;
+}
+
+// Export the public functions to be used elsewhere
+module.exports = { ffmpegPath, ffprobePath, hasFfmpeg, hasFfprobe, probe };
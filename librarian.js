@@ -6,8 +6,9 @@
  * See LICENSE.
  * 
  * librarian.js - Manages the library database. Indexes and caches all of the media in the
- *                library root directory so that it may be served faster than querying the
- *                file system.
+ *                libraries (Libraries table) so that it may be served faster than querying the
+ *                file system. Each library is a directory of a single media type, with
+ *                optional include/exclude glob patterns, and is scanned on its own.
  *              - The process starts by getting a list of all the media in the libary. It
  *                will then move to make sure that all of the paths in the database are
  *                still valid, disabling library entries that it can no longer locate.
@@ -21,78 +22,682 @@
 const path = require('path');
 const db = require(path.join(__dirname, 'db.js'));
 const fs = require('fs');
+const crypto = require('crypto');
+const sidecar = require(path.join(__dirname, 'sidecar.js'));
+const tags = require(path.join(__dirname, 'tags.js'));
+const ebook = require(path.join(__dirname, 'ebook.js'));
+const episode = require(path.join(__dirname, 'episode.js'));
+const thumbnail = require(path.join(__dirname, 'thumbnail.js'));
+const photo = require(path.join(__dirname, 'photo.js'));
+const picomatch = require('picomatch');
 
 // File types
 const fileExtensions = {
   movie: ['mkv', 'mp4', 'mov', 'avi'],
-  music: ['mp3', 'wav', 'wav'],
-  books: ['epub', 'pdf'],
-  photo: ['jpg', 'jpeg', 'png'] 
+  tv: ['mkv', 'mp4', 'mov', 'avi'],
+  music: ['mp3', 'flac', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'wav'],
+  book: ['epub', 'pdf'],
+  photo: ['jpg', 'jpeg', 'png', 'webp', 'heic', 'heif']
 }
 
-// Build the media library in the database
-async function parse(rootPath) {
-  // Try to access the root path passed to the function
-  try { await fs.promises.access(rootPath) } catch {
-    // If the fs library can not access the path, do nothing and display the error
-    db.log(`[LIBRARIAN] Unable to access "${rootPath}", new library will not be parsed.`, 'error');
-    return false;
+// Metadata sources that are read from the media file itself (or its path) rather than from its sidecars
+const embeddedSources = ['tags', 'epub', 'pdf', 'path', 'exif'];
+
+// Scans that are waiting or running, by LibraryID ({ state, full, queued, started, files, indexed })
+let scans = new Map();
+// Scans run one at a time in the order they were requested, so that they never compete for the disks
+let scanQueue = Promise.resolve();
+
+/**
+ * Hash the contents of a file, streaming it so that large media is never held in memory
+ * @param {String} filePath Path of the file to be hashed
+ * @returns {String} SHA-256 hash of the file contents (hex)
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Recursively list all of the files within a directory
+ * @param {String} directory Path of the directory to be traversed
+ * @returns {Array} Full paths of every file within the directory and its subdirectories
+ */
+async function walk(directory) {
+  let files = [];
+  let contents;
+  try { contents = await fs.promises.readdir(directory, { withFileTypes: true }) } catch {
+    db.log(`[LIBRARIAN] Unable to read directory "${directory}", skipping.`, 'warning');
+    return files;
   }
-  
+  for (const item of contents) {
+    const itemPath = path.join(directory, item.name);
+    // If it is a directory (usually there will be metadata and supporting imagery in the directory)
+    if (item.isDirectory()) {
+      files = files.concat(await walk(itemPath));
+    // If it is a singular file
+    } else if (item.isFile()) {
+      files.push(itemPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Build the check for whether a file belongs to a library. Include and exclude patterns are globs matched
+ * against the path relative to the library path (with forward slashes, not case sensitive), eg. "Extras/**" or "*.iso".
+ * Without include patterns every file is included.
+ * @param {Object} library Libraries row
+ * @returns {Function} (filePath) => Boolean
+ */
+function libraryFilter(library) {
+  const patternOptions = { dot: true, nocase: true };
+  const include = JSON.parse(library.Include || '[]');
+  const exclude = JSON.parse(library.Exclude || '[]');
+  const isIncluded = (include.length > 0) ? picomatch(include, patternOptions) : () => true;
+  const isExcluded = (exclude.length > 0) ? picomatch(exclude, patternOptions) : () => false;
+  return (filePath) => {
+    const relative = path.relative(library.Path, filePath);
+    if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) return false;
+    const relativePath = relative.split(path.sep).join('/');
+    return isIncluded(relativePath) && !isExcluded(relativePath);
+  };
+}
+
+/**
+ * Identify where the different types of media are stored within a directory, used to create the first
+ * libraries from the LIBRARY_ROOT of older configurations (importLibraries())
+ * @param {String} rootPath Path of the library root
+ * @returns {Object} Media type keys (movie, tv, music, book, photo) with the path of their directory
+ */
+async function findMediaPaths(rootPath) {
   // Loaded file path
   // Read in everything in that directory
-  const rootContents = await fs.promises.readdir(rootPath);
+  const rootContents = await fs.promises.readdir(rootPath, { withFileTypes: true });
   db.log(`[LIBRARIAN] Loaded source directory "${rootPath}"`);
   
   // Identify where different types of media may be stored
-  let moviePath, musicPath, photoPath, bookPath;
+  let moviePath, tvPath, musicPath, photoPath, bookPath;
   // Words that may be conducive to different folders and types of media
   const fuzzyNames = {
     movie: ['movie', 'video'],
+    tv: ['tv', 'show', 'series'],
     music: ['music', 'audio', 'song'],
-    books: ['book', 'documents', 'epub', 'pdf'],
+    book: ['book', 'documents', 'epub', 'pdf'],
     photo: ['photo', 'picture'] 
   }
   // For the contents in the root directory
   rootContents.forEach(file => {
     // Log what we see in the directory
-    db.log(`[LIBRARIAN] -- ${file.isDirectory() ? '(directory) ' : ''}${path.join(rootPath, file)}`);
+    db.log(`[LIBRARIAN] -- ${file.isDirectory() ? '(directory) ' : ''}${path.join(rootPath, file.name)}`);
     // Assign the paths based on the contents of the directory name
     if (file.isDirectory()) {
-      const dirName = file.toLowerCase();      
-      if (fuzzyNames.movie.some(fuzzyName => dirName.includes(fuzzyName)) && !moviePath) moviePath = path.join(rootPath, dirName);
-      if (fuzzyNames.music.some(fuzzyName => dirName.includes(fuzzyName)) && !musicPath) musicPath = path.join(rootPath, dirName);
-      if (fuzzyNames.books.some(fuzzyName => dirName.includes(fuzzyName)) && !bookPath ) bookPath  = path.join(rootPath, dirName);
-      if (fuzzyNames.photo.some(fuzzyName => dirName.includes(fuzzyName)) && !photoPath) photoPath = path.join(rootPath, dirName);
+      const dirName = file.name.toLowerCase();
+      if (fuzzyNames.movie.some(fuzzyName => dirName.includes(fuzzyName)) && !moviePath) moviePath = path.join(rootPath, file.name);
+      if (fuzzyNames.tv.some(fuzzyName => dirName.includes(fuzzyName)) && !tvPath   ) tvPath    = path.join(rootPath, file.name);
+      if (fuzzyNames.music.some(fuzzyName => dirName.includes(fuzzyName)) && !musicPath) musicPath = path.join(rootPath, file.name);
+      if (fuzzyNames.book.some(fuzzyName => dirName.includes(fuzzyName)) && !bookPath ) bookPath  = path.join(rootPath, file.name);
+      if (fuzzyNames.photo.some(fuzzyName => dirName.includes(fuzzyName)) && !photoPath) photoPath = path.join(rootPath, file.name);
     }
   });
   
   // Notify of decisions
   if (moviePath) db.log(`[LIBRARIAN] Assuming MOVIE directory is "${moviePath}"`);
+  if (tvPath   ) db.log(`[LIBRARIAN] Assuming TV directory is "${tvPath}"`);
   if (musicPath) db.log(`[LIBRARIAN] Assuming MUSIC directory is "${musicPath}"`);
   if (photoPath) db.log(`[LIBRARIAN] Assuming PHOTO directory is "${photoPath}"`);
   if (bookPath ) db.log(`[LIBRARIAN] Assuming BOOK directory is "${bookPath}"`);
   
-  // Read in the contents of the directories
-  let mediaContents = {};
-  if (moviePath) mediaContents['movie'] = await fs.promises.readdir(moviePath);
-  if (musicPath) mediaContents['music'] = await fs.promises.readdir(musicPath);
-  if (photoPath) mediaContents['photo'] = await fs.promises.readdir(photoPath);
-  if (bookPath ) mediaContents['book']  = await fs.promises.readdir(bookPath);
-  
-  // Traverse the contents of each of the media directories
-  for (const [mediaType, mediaDirectory] of Object.entries(mediaContents)) {
-    mediaDirectory.forEach(item => {
-      // If it is a directory (usually there will be metadata and supporting imagery in the directory)
-      if (item.isDirectory()) {
-
-      // If it is a singular file
-      } else {
-  
+  let mediaPaths = {};
+  if (moviePath) mediaPaths['movie'] = moviePath;
+  if (tvPath   ) mediaPaths['tv']    = tvPath;
+  if (musicPath) mediaPaths['music'] = musicPath;
+  if (photoPath) mediaPaths['photo'] = photoPath;
+  if (bookPath ) mediaPaths['book']  = bookPath;
+  return mediaPaths;
+}
+
+/**
+ * Index a single file. The file is only hashed if it is new or its size or modification time
+ * have changed since it was last indexed, unless a full (re-hashing) index is requested.
+ * @param {String} filePath Full path of the file
+ * @param {Object} library Libraries row of the library the file is in, its type is the media type of the file
+ * @param {Object} known The existing Media row for the path, if there is one
+ * @param {Boolean} full Re-hash the file even if it has not changed
+ * @returns {Object} { hash, hashed } - hash of the file and whether it was (re-)hashed, undefined if the file
+ *                   is not media of the type
+ */
+async function indexFile(filePath, library, known, full) {
+  const mediaType = library.Type;
+  // Only index the files whose extension belongs to the media type of the library
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  if (!fileExtensions[mediaType].includes(extension)) return undefined;
+  const stats = await fs.promises.stat(filePath);
+  const mtime = Math.floor(stats.mtimeMs);
+  const item = { type: mediaType, path: filePath, size: stats.size, mtime: mtime, libraryID: library.LibraryID };
+  // Unchanged since the last index, only save the entry again if it was disabled or is now in another library
+  if (known && !full && known.Size === stats.size && known.MTime === mtime) {
+    const moved = (known.LibraryID !== library.LibraryID || known.Type !== mediaType);
+    if (!known.Enabled || moved) await db.media.save(Object.assign({ hash: known.Hash }, item));
+    return { hash: known.Hash, hashed: false };
+  }
+  // Save the item in the database, keyed by the hash of its contents
+  const hash = await hashFile(filePath);
+  // Contents that changed while the modification time stayed the same (found by a full scan, or with a changed size) are
+  // more likely corruption than an edit, they are kept for the integrity report
+  if (known && known.MTime === mtime && known.Hash !== hash) {
+    await db.media.saveHashChange({ path: filePath, libraryID: library.LibraryID, oldHash: known.Hash, newHash: hash, oldSize: known.Size, newSize: stats.size, mtime: mtime });
+    db.log(`[LIBRARIAN] The contents of "${filePath}" changed but its modification time did not, it may be corrupt.`, 'warning');
+  }
+  await db.media.save(Object.assign({ hash: hash }, item));
+  return { hash: hash, hashed: true };
+}
+
+/**
+ * Read the embedded tags of a music file and save them as a track (with its artist and album)
+ * @param {String} mediaPath Full path of the music file
+ * @param {String} hash Hash of the music file
+ * @returns {Object} Metadata from the tags (for indexSidecars()), or undefined if they could not be read
+ */
+async function indexTags(mediaPath, hash) {
+  try {
+    const trackTags = await tags.readTags(mediaPath);
+    await db.music.saveTrack(hash, trackTags);
+    return {
+      title: trackTags.title,
+      year: trackTags.year,
+      genres: trackTags.genre ? [trackTags.genre] : [],
+      runtime: trackTags.duration ? Math.round(trackTags.duration / 60) : undefined,
+      source: 'tags'
+    };
+  } catch (err) {
+    db.log(`[LIBRARIAN] Unable to read the tags of "${mediaPath}": ${err.message}`, 'warning');
+    // Still save the track, so that the tags are not read again until the file changes
+    await db.music.saveTrack(hash, { title: sidecar.titleFromFilename(mediaPath).title });
+  }
+}
+
+/**
+ * Read the metadata of an ebook (EPUB package or PDF Info dictionary) and save it as a book
+ * @param {String} mediaPath Full path of the ebook
+ * @param {String} hash Hash of the ebook
+ * @returns {Object} Metadata from the book (for indexSidecars()), or undefined if it could not be read
+ */
+async function indexBook(mediaPath, hash) {
+  try {
+    const book = await ebook.readBook(mediaPath);
+    await db.books.save(hash, book);
+    return {
+      title: book.title,
+      year: book.year,
+      plot: book.description,
+      genres: book.subjects || [],
+      source: book.format
+    };
+  } catch (err) {
+    db.log(`[LIBRARIAN] Unable to read the ebook "${mediaPath}": ${err.message}`, 'warning');
+    // Still save the book, so that it is not read again until the file changes
+    const format = path.extname(mediaPath).slice(1).toLowerCase();
+    await db.books.save(hash, { format: format, title: sidecar.titleFromFilename(mediaPath).title });
+  }
+}
+
+/**
+ * Read the EXIF data of a photo and save it, photos without a date are dated by their modification time
+ * @param {String} mediaPath Full path of the photo
+ * @param {String} hash Hash of the photo
+ * @returns {Object} Metadata from the EXIF data (for indexSidecars()), undefined if it has no date
+ */
+async function indexPhoto(mediaPath, hash) {
+  let read;
+  try {
+    read = await photo.readPhoto(mediaPath);
+  } catch (err) {
+    db.log(`[LIBRARIAN] Unable to read the photo "${mediaPath}": ${err.message}`, 'warning');
+    // Still save the photo (dated now, the file could not even be looked at), so that it is not read again until it changes
+    read = { takenAt: photo.formatLocalDate(new Date()), dateSource: 'file' };
+  }
+  await db.photos.save(hash, read);
+  if (read.dateSource === 'exif') return { year: parseInt(read.takenAt), source: 'exif' };
+}
+
+/**
+ * Recognize a TV episode (series, season and episode) from its path
+ * @param {String} mediaPath Full path of the episode
+ * @param {String} mediaDirectory Path of the TV directory
+ * @returns {Object} Metadata for indexSidecars()
+ */
+function episodeMetadata(mediaPath, mediaDirectory) {
+  const parsed = episode.parseEpisode(path.relative(mediaDirectory, mediaPath));
+  return {
+    title: parsed.title || ((parsed.episode === undefined) ? undefined : `Episode ${parsed.episode}`),
+    showTitle: parsed.series,
+    season: parsed.season,
+    episode: parsed.episode,
+    source: 'path'
+  };
+}
+
+/**
+ * Save a TV episode under its series. What the .nfo files say (the saved metadata) comes before what was
+ * recognized from the path.
+ * @param {String} mediaPath Full path of the episode
+ * @param {String} hash Hash of the episode
+ * @param {String} mediaDirectory Path of the TV directory
+ */
+async function indexEpisode(mediaPath, hash, mediaDirectory) {
+  const parsed = episode.parseEpisode(path.relative(mediaDirectory, mediaPath));
+  const metadata = (await db.metadata.get(hash)).metadata || {};
+  // Season and episode numbers may be 0, so they are only missing when they are null
+  const season = (metadata.Season === null || metadata.Season === undefined) ? parsed.season : metadata.Season;
+  const number = (metadata.Episode === null || metadata.Episode === undefined) ? parsed.episode : metadata.Episode;
+  await db.tv.saveEpisode(hash, {
+    series: metadata.ShowTitle || parsed.series,
+    season: season,
+    episode: number,
+    // A multi-episode .nfo only describes its first episode here, the range comes from the file name
+    episodeEnd: (number === parsed.episode) ? parsed.episodeEnd : number,
+    title: metadata.Title || parsed.title
+  });
+}
+
+/**
+ * Read the metadata that is embedded in a media file (music tags, ebook metadata, EXIF) or its path (TV episodes),
+ * once per hash since it is part of the file contents
+ * @param {String} mediaPath Full path of the media file
+ * @param {String} mediaType Media type of the file
+ * @param {String} hash Hash of the media file
+ * @param {String} mediaDirectory Path of the directory of the media type
+ * @returns {Object} Metadata for indexSidecars(), undefined if the media type has none or it could not be read
+ */
+async function indexEmbedded(mediaPath, mediaType, hash, mediaDirectory) {
+  if (mediaType === 'music') return await indexTags(mediaPath, hash);
+  if (mediaType === 'book') return await indexBook(mediaPath, hash);
+  if (mediaType === 'tv') return episodeMetadata(mediaPath, mediaDirectory);
+  if (mediaType === 'photo') return await indexPhoto(mediaPath, hash);
+}
+
+/**
+ * Make sure that the thumbnail of a media item is in the cache (thumbnail.js), in the default size
+ * @param {String} hash Hash of the media item
+ * @param {Boolean} refresh Generate it again even if it is cached, eg. the artwork of the media changed
+ */
+async function indexThumbnail(hash, refresh) {
+  try {
+    if (refresh) await thumbnail.remove(hash);
+    await thumbnail.getThumbnail(hash, thumbnail.DEFAULT_THUMBNAIL_SIZE);
+  } catch (err) {
+    db.log(`[LIBRARIAN] Unable to make the thumbnail of ${hash}: ${err.message}`, 'warning');
+  }
+}
+
+/**
+ * Read the metadata of a media item from its sidecar files (.nfo, artwork, subtitles) and save it
+ * against the hash of the media. Nothing is read if the sidecar files have not changed.
+ * @param {String} mediaPath Full path of the media file
+ * @param {String} mediaType Media type of the file, photos have no sidecars
+ * @param {String} hash Hash of the media file
+ * @param {Array} directoryFiles Names of the files in the directory of the media file
+ * @param {String} knownSignature Signature of the sidecars the saved metadata was read from, if any
+ * @param {Object} embedded Metadata that was just read from the file itself (indexEmbedded()), it describes the
+ *                          file better than its file name
+ * @returns {Boolean} True if the metadata was (re-)read
+ */
+async function indexSidecars(mediaPath, mediaType, hash, directoryFiles, knownSignature, embedded) {
+  const sidecars = (mediaType === 'photo') ? { artwork: [], subtitles: [] } : await sidecar.findSidecars(mediaPath, directoryFiles);
+  // The paths and modification times of the sidecar files identify the metadata that was read from them
+  let signature = [];
+  const sidecarPaths = [sidecars.showNfo, sidecars.nfo]
+    .concat(sidecars.artwork.map(artwork => artwork.path), sidecars.subtitles.map(subtitle => subtitle.path))
+    .filter(Boolean);
+  for (const sidecarPath of sidecarPaths) {
+    try { signature.push([sidecarPath, Math.floor((await fs.promises.stat(sidecarPath)).mtimeMs)]) } catch {}
+  }
+  signature = JSON.stringify(signature);
+  if (signature === knownSignature && !embedded) return false;
+  // Only the sidecars changed, keep what was read from the file itself the last time
+  if (!embedded) {
+    const saved = (await db.metadata.get(hash)).metadata;
+    if (saved && embeddedSources.includes(saved.Source)) {
+      embedded = {
+        title: saved.Title,
+        year: saved.Year,
+        plot: saved.Plot,
+        genres: JSON.parse(saved.Genres || '[]'),
+        runtime: saved.Runtime,
+        showTitle: saved.ShowTitle,
+        season: saved.Season,
+        episode: saved.Episode,
+        source: saved.Source
+      };
+    }
+  }
+  let metadata = await sidecar.readMetadata(mediaPath, sidecars);
+  if (embedded && metadata.source === 'filename') {
+    for (const [key, value] of Object.entries(embedded)) {
+      if (value === undefined || value === null) continue;
+      // Replace what came from the file name, but not what a tvshow.nfo said about the show
+      const fromFilename = ['title', 'year', 'source'].includes(key) || metadata[key] === undefined || (Array.isArray(metadata[key]) && metadata[key].length === 0);
+      if (fromFilename) metadata[key] = value;
+    }
+  }
+  await db.metadata.save(hash, metadata, sidecars, signature);
+  return true;
+}
+
+
+/**
+ * Queue a scan of a library, it starts once the scans before it have finished
+ * @param {Number} libraryID LibraryID of the library
+ * @param {Object} options { full } - full: re-hash every file, not only the ones that changed
+ * @param {Set} describedHashes Hashes whose metadata was already read during this parse, shared by the libraries
+ *                              of a parse so that copies in other libraries are not described again (optional)
+ * @returns {Boolean} True if the scan was queued, false if the library is already waiting or being scanned
+ */
+function scanLibrary(libraryID, options, describedHashes) {
+  options = options || {};
+  if (scans.has(libraryID)) return false;
+  scans.set(libraryID, { state: 'queued', full: Boolean(options.full), queued: new Date() });
+  scanQueue = scanQueue.then(() => runScan(libraryID, options, describedHashes || new Set()));
+  return true;
+}
+
+/**
+ * Get the state of the scan of a library
+ * @param {Number} libraryID LibraryID of the library
+ * @returns {Object} { state, full, queued, started, files, indexed } - state is queued or scanning, files is the number of
+ *                   files that were found and indexed how many of them have been indexed so far. { state: 'idle' } if
+ *                   the library is not waiting or being scanned.
+ */
+function scanStatus(libraryID) {
+  return Object.assign({}, scans.get(libraryID) || { state: 'idle' });
+}
+
+/**
+ * Build the media library in the database, every enabled library is scanned
+ * @param {Object} options { full } - full: re-hash every file, not only the ones that changed
+ */
+async function parse(options) {
+  // Parses are started by timers and events that do not wait for them, so errors are logged here
+  try {
+    let describedHashes = new Set();
+    for (const library of await db.libraries.list()) {
+      if (!library.Enabled) continue;
+      // Do not queue a library again while its previous scan is still waiting or running
+      if (!scanLibrary(library.LibraryID, options, describedHashes)) db.log(`[LIBRARIAN] "${library.Name}" is already being scanned, skipping it.`, 'warning');
+    }
+    await scanQueue;
+    // Media that is not in any of the libraries any more
+    const orphaned = await db.media.disableOrphans();
+    if (orphaned > 0) db.log(`[LIBRARIAN] Disabled ${orphaned} media items that are no longer in a library.`, 'warning');
+    // The thumbnails of media that is gone are not needed any more
+    const pruned = await thumbnail.prune(new Set((await db.media.list(true)).map(entry => entry.Hash)));
+    if (pruned > 0) db.log(`[LIBRARIAN] Deleted ${pruned} thumbnails of media that is no longer in the library.`);
+  } catch (err) {
+    db.log(`[LIBRARIAN] Unable to parse the libraries: ${err.message}`, 'error');
+  }
+}
+
+// Runs a queued scan and saves its outcome, errors end the scan but never the queue
+async function runScan(libraryID, options, describedHashes) {
+  let status = scans.get(libraryID);
+  try {
+    // The library may have been deleted or disabled while the scan was waiting
+    const library = await db.libraries.get(libraryID);
+    if (!library || !library.Enabled) return;
+    status.state = 'scanning';
+    status.started = new Date();
+    let result = { full: Boolean(options.full) };
+    try {
+      Object.assign(result, await parseLibrary(library, options, status, describedHashes));
+    } catch (err) {
+      db.log(`[LIBRARIAN] Unable to scan "${library.Name}": ${err.message}`, 'error');
+      result.error = err.message;
+    }
+    result.duration = Date.now() - status.started.getTime();
+    await db.libraries.saveScan(libraryID, result);
+  } catch (err) {
+    db.log(`[LIBRARIAN] Unable to scan library ${libraryID}: ${err.message}`, 'error');
+  } finally {
+    scans.delete(libraryID);
+  }
+}
+
+// Does the work of a scan, the library is walked and its media hashed and saved
+async function parseLibrary(library, options, status, describedHashes) {
+  // Try to access the path of the library, nothing is disabled if it is unreachable (eg. an unmounted drive)
+  try { await fs.promises.access(library.Path) } catch {
+    throw new Error(`Unable to access "${library.Path}"`);
+  }
+  const inLibrary = libraryFilter(library);
+  // Read in the contents of the library (recursively)
+  const files = await walk(library.Path);
+  // The file names in each directory, where the sidecars of the media are looked for
+  let directories = new Map();
+  for (const item of files) {
+    const directory = path.dirname(item);
+    if (!directories.has(directory)) directories.set(directory, []);
+    directories.get(directory).push(path.basename(item));
+  }
+  const libraryFiles = files.filter(inLibrary);
+  status.files = libraryFiles.length;
+  status.indexed = 0;
+
+  // What is already in the library, by path, so that unchanged files need not be hashed again
+  let known = new Map();
+  for (const entry of await db.media.list()) known.set(entry.Path, entry);
+  // The sidecar files that the saved metadata was read from, so that it is only read again when they change
+  const signatures = await db.metadata.signatures();
+  // The music that has had its tags read, the ebooks that have had their metadata read, the recognized episodes and
+  // the photos that have had their EXIF data read
+  const embeddedHashes = {
+    music: await db.music.trackHashes(),
+    book: await db.books.hashes(),
+    tv: await db.tv.episodeHashes(),
+    photo: await db.photos.hashes()
+  };
+  const mediaType = library.Type;
+
+  let hashed = 0;
+  let described = 0;
+  for (const item of libraryFiles) {
+    try {
+      const indexed = await indexFile(item, library, known.get(item), options.full);
+      if (!indexed) continue;
+      if (indexed.hashed) hashed++;
+      // Copies of the same file share their metadata, it is read from the sidecars of the first copy
+      if (describedHashes.has(indexed.hash)) continue;
+      describedHashes.add(indexed.hash);
+      // The tags of music, the metadata of ebooks and the EXIF data of photos, read once per hash (they are part of the file contents)
+      const embedded = (embeddedHashes[mediaType] && !embeddedHashes[mediaType].has(indexed.hash)) ? await indexEmbedded(item, mediaType, indexed.hash, library.Path) : undefined;
+      const wasDescribed = await indexSidecars(item, mediaType, indexed.hash, directories.get(path.dirname(item)), signatures.get(indexed.hash), embedded);
+      if (wasDescribed) described++;
+      // Episodes are (re-)filed under their series when they are new, moved or their .nfo changed
+      if (mediaType === 'tv' && (indexed.hashed || wasDescribed || !embeddedHashes.tv.has(indexed.hash))) await indexEpisode(item, indexed.hash, library.Path);
+      // New artwork makes a new thumbnail, media that has none yet (eg. indexed before thumbnails) gets one
+      await indexThumbnail(indexed.hash, wasDescribed);
+    } catch (err) {
+      db.log(`[LIBRARIAN] Unable to index "${item}": ${err.message}`, 'error');
+    } finally {
+      status.indexed++;
+    }
+  }
+  db.log(`[LIBRARIAN] ${options.full ? 'Full' : 'Incremental'} scan of "${library.Name}" complete, ${hashed} new or changed media items indexed, ${described} read metadata.`);
+
+  // Make sure that all of the paths of the library are still valid and still included
+  let disabled = 0;
+  for (const entry of await db.media.list(true)) {
+    if (entry.LibraryID !== library.LibraryID) continue;
+    let found = inLibrary(entry.Path);
+    if (found) try { await fs.promises.access(entry.Path) } catch { found = false }
+    // Disable the library entries that can no longer be located or that the patterns now leave out
+    if (!found) {
+      await db.media.disable(entry.Path);
+      disabled++;
+    }
+  }
+  if (disabled > 0) db.log(`[LIBRARIAN] Disabled ${disabled} media items of "${library.Name}" that could no longer be located.`, 'warning');
+  return { files: libraryFiles.length, hashed: hashed, described: described, disabled: disabled };
+}
+
+/**
+ * Check the index for the problems that the content hashes reveal: the same file stored in several places, files
+ * whose contents changed without their modification time changing, and entries that were disabled or whose files
+ * are missing now (eg. deleted since the last scan, or on a drive that is not mounted)
+ * @returns {Object} { duplicates, hashChanges, disabled, missing } - duplicates: { hash, type, size, copies }
+ *                   with the Media rows of each copy, the others are Media (or HashChanges) rows. Every row has the
+ *                   Name of its library (Library), if it still exists.
+ */
+async function integrityReport() {
+  let libraryNames = new Map();
+  for (const library of await db.libraries.list()) libraryNames.set(library.LibraryID, library.Name);
+  const withLibrary = row => Object.assign({ Library: libraryNames.get(row.LibraryID) }, row);
+  // The copies of each hash are next to each other
+  let duplicates = [];
+  for (const row of await db.media.duplicates()) {
+    let group = duplicates[duplicates.length - 1];
+    if (!group || group.hash !== row.Hash) duplicates.push(group = { hash: row.Hash, type: row.Type, size: row.Size, copies: [] });
+    group.copies.push(withLibrary(row));
+  }
+  let disabled = [];
+  let missing = [];
+  for (const entry of await db.media.list()) {
+    if (!entry.Enabled) {
+      disabled.push(withLibrary(entry));
+      continue;
+    }
+    try { await fs.promises.access(entry.Path) } catch { missing.push(withLibrary(entry)) }
+  }
+  return {
+    duplicates: duplicates,
+    hashChanges: (await db.media.hashChanges()).map(withLibrary),
+    disabled: disabled,
+    missing: missing
+  };
+}
+
+/**
+ * Create a library for each of the media directories that are found within a directory. Configurations from
+ * before libraries existed only had a LIBRARY_ROOT, this keeps them working.
+ * @param {String} rootPath Path of the library root
+ * @returns {Number} Number of libraries that were created
+ */
+async function importLibraries(rootPath) {
+  try { await fs.promises.access(rootPath) } catch {
+    db.log(`[LIBRARIAN] Unable to access "${rootPath}", no libraries were created from it.`, 'error');
+    return 0;
+  }
+  let created = 0;
+  for (const [mediaType, mediaPath] of Object.entries(await findMediaPaths(rootPath))) {
+    // One directory may be guessed for two media types (eg. "Music Videos"), the names have to be unique
+    let name = path.basename(mediaPath);
+    if (await db.libraries.getByName(name)) name = `${name} (${mediaType})`;
+    await db.libraries.create({ name: name, path: mediaPath, type: mediaType, include: [], exclude: [] });
+    db.log(`[LIBRARIAN] Created the ${mediaType.toUpperCase()} library "${name}" for "${mediaPath}"`);
+    created++;
+  }
+  return created;
+}
+
+// Active file system watchers and the pending (debounced) changes reported by them
+let watchers = [];
+let pendingChanges = new Map();
+// Time to wait after the last change to a path before indexing it, files being copied change often
+const WATCH_DEBOUNCE = 3000;
+
+/**
+ * Index (or disable) a path that was reported as changed by a watcher
+ * @param {String} changedPath Full path that was added, changed, moved or removed
+ * @param {Object} library Libraries row of the watched library
+ */
+async function indexChange(changedPath, library) {
+  try {
+    let stats;
+    try { stats = await fs.promises.stat(changedPath) } catch {
+      // The path no longer exists (deleted or moved away), disable it and anything that was within it
+      for (const entry of await db.media.list(true)) {
+        if (entry.LibraryID !== library.LibraryID) continue;
+        if (entry.Path === changedPath || entry.Path.startsWith(changedPath + path.sep)) {
+          await db.media.disable(entry.Path);
+          db.log(`[LIBRARIAN] "${entry.Path}" was removed, disabled.`);
+        }
       }
-    })
+      return;
+    }
+    const inLibrary = libraryFilter(library);
+    // A directory that was added or moved in, index everything within it
+    const files = stats.isDirectory() ? await walk(changedPath) : [changedPath];
+    for (const file of files) {
+      const directoryFiles = await fs.promises.readdir(path.dirname(file));
+      const indexed = inLibrary(file) ? await indexFile(file, library, await db.media.getByPath(file)) : undefined;
+      if (indexed) {
+        if (indexed.hashed) db.log(`[LIBRARIAN] "${file}" was added or changed, indexed.`);
+        const embedded = indexed.hashed ? await indexEmbedded(file, library.Type, indexed.hash, library.Path) : undefined;
+        const wasDescribed = await indexSidecars(file, library.Type, indexed.hash, directoryFiles, undefined, embedded);
+        if (library.Type === 'tv') await indexEpisode(file, indexed.hash, library.Path);
+        await indexThumbnail(indexed.hash, wasDescribed);
+        continue;
+      }
+      // Not media, it may be a sidecar (.nfo, artwork, subtitles) of the media in its directory or below (tvshow.nfo)
+      const directory = path.dirname(file);
+      const signatures = await db.metadata.signatures();
+      for (const entry of await db.media.list(true)) {
+        if (entry.LibraryID !== library.LibraryID || !entry.Path.startsWith(directory + path.sep)) continue;
+        const entryFiles = await fs.promises.readdir(path.dirname(entry.Path));
+        if (!(await indexSidecars(entry.Path, entry.Type, entry.Hash, entryFiles, signatures.get(entry.Hash)))) continue;
+        db.log(`[LIBRARIAN] Metadata of "${entry.Path}" was updated.`);
+        if (entry.Type === 'tv') await indexEpisode(entry.Path, entry.Hash, library.Path);
+        await indexThumbnail(entry.Hash, true);
+      }
+    }
+  } catch (err) {
+    db.log(`[LIBRARIAN] Unable to index change to "${changedPath}": ${err.message}`, 'error');
   }
 }
 
+/**
+ * Watch the enabled libraries for changes so that new or moved files are indexed within seconds
+ * rather than on the next scheduled parse. Called again whenever the libraries change.
+ * @returns {Number} Number of libraries that are being watched
+ */
+async function watch() {
+  // Stop the existing watchers before starting new ones
+  unwatch();
+  for (const library of await db.libraries.list()) {
+    if (!library.Enabled) continue;
+    try {
+      const watcher = fs.watch(library.Path, { recursive: true }, (eventType, filename) => {
+        if (!filename) return;
+        const changedPath = path.join(library.Path, filename.toString());
+        // Restart the wait every time the same path changes
+        clearTimeout(pendingChanges.get(changedPath));
+        pendingChanges.set(changedPath, setTimeout(() => {
+          pendingChanges.delete(changedPath);
+          indexChange(changedPath, library);
+        }, WATCH_DEBOUNCE));
+      });
+      watcher.on('error', err => db.log(`[LIBRARIAN] Watcher for "${library.Path}" failed: ${err.message}`, 'error'));
+      watchers.push(watcher);
+      db.log(`[LIBRARIAN] Watching the ${library.Type.toUpperCase()} library "${library.Name}" (${library.Path}) for changes`);
+    } catch (err) {
+      db.log(`[LIBRARIAN] Unable to watch "${library.Path}": ${err.message}`, 'error');
+    }
+  }
+  return watchers.length;
+}
+
+// Stop watching the libraries
+function unwatch() {
+  watchers.forEach(watcher => watcher.close());
+  watchers = [];
+  pendingChanges.forEach(timeout => clearTimeout(timeout));
+  pendingChanges.clear();
+}
+
 // Export the public functions to be used elsewhere
-module.exports = { parse };
\ No newline at end of file
+module.exports = { parse, scanLibrary, scanStatus, importLibraries, integrityReport, watch, unwatch };
@@ -18,24 +18,37 @@ const path = require('path');
 
 // Database controller
 const db = require(path.join(__dirname, 'db.js'));
-require('dotenv').config();
+// Session store (Sessions table)
+const SQLiteStore = require(path.join(__dirname, 'sessionstore.js'));
+// Library/media index controller
+const librarian = require(path.join(__dirname, 'librarian.js'));
+// Authorization middleware (logged in account, admin role and media grants)
+const access = require(path.join(__dirname, 'access.js'));
+// Playback of media that browsers can not play, converted by ffmpeg
+const transcode = require(path.join(__dirname, 'transcode.js'));
+// Share links (shares.js)
+const shares = require(path.join(__dirname, 'shares.js'));
+// Delay and lockout after failed logins
+const throttle = require(path.join(__dirname, 'throttle.js'));
+// Load the configuration (HTTP_PORT, and LIBRARY_ROOT of older configurations) from ./config.env
+require('dotenv').config({ path: path.join(__dirname, 'config.env') });
 
 // Express App Object
 const app = express();
-// Session management/support (express-session)
-app.use(session({
-  secret: crypto.randomUUID(), // Random secret on every run
-  cookie: {
-    secure: (app.get('env') === 'production')
-  }
-}));
+// Session management/support (express-session), configured by configureSessions() once the settings are loaded
+let sessionMiddleware;
+const sessionStore = new SQLiteStore();
+app.use((req, res, next) => {
+  if (!sessionMiddleware) return res.status(503).send('nelfe is starting, please try again in a moment.');
+  sessionMiddleware(req, res, next);
+});
 // Parse JSON-encoded request bodies
 app.use(express.json());
 
 // Configure nunjucks
-nunjucks.configure('views', {
+// Templates are not cached, so changes to them are picked up without watching (watch requires chokidar)
+nunjucks.configure(path.join(__dirname, 'views'), {
   noCache: true,
-  watch: true,
   autoescape: true,
   express: app
 });
@@ -45,27 +58,218 @@ app.set('views', path.join(__dirname, 'views'));
 app.use('/static', express.static(path.join(__dirname, 'static')));
 
 // Define essential routes
-app.get('/', (req, res) => {
-  if (!req.session.username) req.redirect('/auth');
-  res.render('app.html');
+app.get('/', access.requireLogin(), (req, res) => {
+  res.render('app.html', { displayName: req.session.displayName, isAdmin: req.session.isAdmin });
+});
+
+// Media player, it reports the playback progress through the API
+app.get('/play/:hash', access.requireLogin(), (req, res) => {
+  if (!/^[0-9a-f]{64}$/.test(req.params.hash)) return res.status(404).send('Media not found');
+  res.render('player.html', { displayName: req.session.displayName, isAdmin: req.session.isAdmin, hash: req.params.hash });
+});
+
+// Ebook reader, the book itself is loaded through the API
+app.get('/read/:hash', access.requireLogin(), (req, res) => {
+  if (!/^[0-9a-f]{64}$/.test(req.params.hash)) return res.status(404).send('Book not found');
+  res.render('reader.html', { displayName: req.session.displayName, isAdmin: req.session.isAdmin, hash: req.params.hash });
+});
+
+// Playlists and collections, they are loaded and changed through the API
+app.get('/lists', access.requireLogin(), (req, res) => {
+  res.render('lists.html', { displayName: req.session.displayName, isAdmin: req.session.isAdmin });
+});
+
+// Account of the logged in user, their password and two-factor logins
+app.get('/account', access.requireLogin(), (req, res) => {
+  res.render('account.html', { displayName: req.session.displayName, isAdmin: req.session.isAdmin });
+});
+
+// Share link page for people without an account, the media is streamed through the API with the token of the link
+app.get('/share/:token', async (req, res) => {
+  try {
+    const found = await shares.findShare(req.params.token);
+    if (!found) {
+      db.log(`[SHARE] Refused a share link that does not exist or expired from ${req.ip}`, 'warning');
+      return res.status(404).render('share.html', { missing: true });
+    }
+    const locked = !shares.isUnlocked(req, found.share);
+    db.log(`[SHARE] Link ${found.share.ShareID} ("${found.share.Title}") opened from ${req.ip}`);
+    res.render('share.html', {
+      title: found.share.Title,
+      token: req.params.token,
+      locked: locked,
+      usedUp: shares.isUsedUp(found.share),
+      expires: new Date(found.share.Expires).toISOString(),
+      items: locked ? [] : await shares.shareItems(found)
+    });
+  } catch (err) {
+    db.log(`[SHARE] Unable to show a share link: ${err.message}`, 'error');
+    res.status(500).send('Unable to show share link');
+  }
+});
+
+// Unlock a share link with its password, { password }
+app.post('/share/:token/unlock', async (req, res) => {
+  try {
+    const found = await shares.findShare(req.params.token);
+    if (!found) return res.status(404).json({ code: 404, message: 'Share link not found or expired' });
+    // Guessing the password of a link is throttled like guessing the one of an account, by the address
+    const retryAfter = throttle.check({ address: req.ip });
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ code: 429, message: `Too many wrong passwords, try again in ${retryAfter} seconds` });
+    }
+    if (!(await shares.unlock(req, found.share, (req.body || {}).password))) {
+      await throttle.failed({ address: req.ip });
+      return res.status(401).json({ code: 401, message: 'Incorrect password' });
+    }
+    res.json({ code: 0 });
+  } catch (err) {
+    db.log(`[SHARE] Unable to unlock a share link: ${err.message}`, 'error');
+    res.status(500).json({ code: 500, message: 'Unable to unlock share link' });
+  }
 });
 
 // Authentication router (/auth)(auth.js)
 app.use('/auth', require('./auth'));
+// API router (/api)(api.js)
+app.use('/api', require('./api'));
+// Administration pages router (/admin)(admin.js)
+app.use('/admin', require('./admin'));
+// OPDS catalog of the ebooks for reader apps (/opds)(opds.js)
+app.use('/opds', require('./opds'));
+
+// Default settings, saved to the database the first time the server runs
+const settingDefaults = {
+  LIBRARY_SCAN_INTERVAL: 30, // Minutes between incremental library parses
+  LIBRARY_WATCH: false,      // Watch the library for changes between parses
+  SESSION_LIFETIME: 720,     // Hours that a "remember me" login lasts
+  SESSION_REMEMBER_ME: true, // Offer "remember me" on the login page, otherwise logins end with the browser session
+  SESSION_SAME_SITE: 'lax',  // sameSite attribute of the session cookie (lax, strict or none)
+  LOGIN_MAX_FAILURES: 10,    // Failed logins that lock out an account (an address: 3 times as many), 0 never locks out
+  LOGIN_LOCKOUT_MINUTES: 15, // Minutes that a lockout lasts
+  LOG_LEVEL: 'info',         // Lowest level of the messages that are logged (debug, info, warning or error)
+  LOG_RETENTION_DAYS: 30,    // Days that log entries are kept, 0 keeps them forever
+  TRANSCODE_LIMIT: 2         // Media that ffmpeg converts for playback at the same time, 0 only plays media directly
+};
+
+// Timer of the scheduled library parse
+let parseTimer;
+
+/**
+ * (Re-)create the session middleware from the settings, so that changes to the cookie settings
+ * apply without a restart. Existing sessions are kept, they are in the database.
+ * @param {Object} settings Settings from db.settings.get()
+ */
+function configureSessions(settings) {
+  sessionMiddleware = session({
+    name: 'nelfe.sid',
+    secret: settings.SESSION_SECRET, // Generated once and kept in the Settings table
+    store: sessionStore,
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: settings.SESSION_SAME_SITE,
+      // Browsers only accept sameSite=none on secure cookies
+      secure: (app.get('env') === 'production' || settings.SESSION_SAME_SITE === 'none')
+    }
+  });
+}
+
+/**
+ * (Re-)schedule the library parse and start or stop the watcher from the settings
+ * @param {Object} settings Settings from db.settings.get()
+ */
+function scheduleLibrary(settings) {
+  clearInterval(parseTimer);
+  // Schedule the database to be updated every LIBRARY_SCAN_INTERVAL minutes, counted from now (a cron step would restart
+  // at the top of every hour or day, so intervals that do not divide it would not be kept)
+  let minutes = settings.LIBRARY_SCAN_INTERVAL;
+  if (!(minutes > 0)) minutes = settingDefaults.LIBRARY_SCAN_INTERVAL;
+  parseTimer = setInterval(() => { librarian.parse() }, minutes * 60 * 1000);
+  // Pick up new or moved files between parses
+  if (settings.LIBRARY_WATCH) librarian.watch().catch(err => db.log(`[LIBRARIAN] Unable to watch the libraries: ${err.message}`, 'error'));
+  else librarian.unwatch();
+}
+
+/**
+ * Delete the log entries that are older than LOG_RETENTION_DAYS
+ */
+async function pruneLogs() {
+  // Errors are logged rather than thrown, a failed prune must not stop the server or the rest of its startup
+  try {
+    const days = (await db.settings.get()).LOG_RETENTION_DAYS;
+    if (!(days > 0)) return;
+    const deleted = await db.logs.prune(days);
+    if (deleted > 0) db.log(`[ADMIN] Deleted ${deleted} log entries older than ${days} days`);
+  } catch (err) {
+    db.log(`[ADMIN] Unable to delete the old log entries: ${err.message}`, 'error');
+  }
+}
+
+// Apply settings that were changed through the API
+app.on('settingsChanged', async () => {
+  try {
+    const settings = await db.settings.get();
+    db.setLogLevel(settings.LOG_LEVEL);
+    configureSessions(settings);
+    scheduleLibrary(settings);
+  } catch (err) {
+    db.log(`[ADMIN] Unable to apply the changed settings: ${err.message}`, 'error');
+  }
+});
+
+// Watch the libraries as they are now, after one was added, changed or deleted through the API
+app.on('librariesChanged', async () => {
+  try {
+    if ((await db.settings.get()).LIBRARY_WATCH) await librarian.watch();
+  } catch (err) {
+    db.log(`[LIBRARIAN] Unable to watch the changed libraries: ${err.message}`, 'error');
+  }
+});
 
 // Initialization/preparation actions
 async function prepare() {
-  // Create default database tables if they do not exist already
-  await db.createDefaults();
-  // Parse all the media in the library folder
-  if (!process.env.LIBRARY_ROOT) return console.error('The library root (LIBRARY_ROOT) is not defined in the configuration file, no libary will be built. Please fix ./config.env');
-  await librarian.parse(process.env.LIBRARY_ROOT);
-  // After the first parse is complete, schedule the database to be updated every 30 minutes
-  cron.schedule('0 */30 * * * *', () => { librarian.parse(process.env.LIBRARY_ROOT) });
+  // Create or update the database tables (schema migrations)
+  await db.migrate();
+  // Segments of transcodes that were running when the server last stopped
+  await transcode.clean();
+  // Save the default settings that are not in the database yet
+  let settings = await db.settings.get();
+  let missingSettings = {};
+  for (const [key, value] of Object.entries(settingDefaults)) {
+    if (settings[key] === undefined) missingSettings[key] = settings[key] = value;
+  }
+  // The session secret is generated once, so that sessions stay valid across restarts
+  if (!settings.SESSION_SECRET) missingSettings.SESSION_SECRET = settings.SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+  // The same goes for the key that share links are signed with
+  if (!settings.SHARE_SECRET) missingSettings.SHARE_SECRET = settings.SHARE_SECRET = crypto.randomBytes(32).toString('hex');
+  await db.settings.save(missingSettings);
+  db.setLogLevel(settings.LOG_LEVEL);
+  configureSessions(settings);
+  // Remove the expired sessions every hour
+  cron.schedule('0 0 * * * *', () => {
+    db.session.prune().catch(err => db.log(`[AUTH] Unable to remove the expired sessions: ${err.message}`, 'error'));
+  });
+  // Remove the old log entries every night, and now in case the server is not running at night
+  cron.schedule('0 30 3 * * *', () => { pruneLogs() });
+  await pruneLogs();
+  // Older configurations only have a LIBRARY_ROOT, libraries are created from the directories within it once
+  if (process.env.LIBRARY_ROOT && !settings.LIBRARY_ROOT_IMPORTED) {
+    await librarian.importLibraries(process.env.LIBRARY_ROOT);
+    await db.settings.save({ LIBRARY_ROOT_IMPORTED: true });
+  }
+  if ((await db.libraries.list()).length === 0) console.log('No libraries are configured yet, an admin can add them at /admin/libraries');
+  // Parse all the media in the libraries, only files that are new or changed since the last parse are hashed
+  await librarian.parse();
+  // After the first parse is complete, schedule the following ones
+  scheduleLibrary(settings);
 }; prepare(); // Execute
 
 // Listen for HTTP requests on the configured HTTP_PORT
 // If the port is not configured, use port 8080
-app.listen(process.env.HTTP_PORT || 8080, (PORT) => {
+const PORT = process.env.HTTP_PORT || 8080;
+app.listen(PORT, () => {
   console.log(`NELFE web endpoint listening on port ${PORT}`);
 });
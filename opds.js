@@ -0,0 +1,409 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * opds.js - OPDS 1.2 catalog of the ebook library (/opds), for ebook reader apps that browse and download books.
+ *         - The feeds are Atom XML. Readers do not keep a session, so every request is logged in with HTTP Basic auth
+ *           against the accounts (access.js), and only the books the account may see are in the catalog.
+ *         - GET /opds                                  Root navigation feed
+ *         - GET /opds/recent?page=                     Recently added books, newest first
+ *         - GET /opds/books?page=                      Every book by title
+ *         - GET /opds/authors?page=                    Navigation feed of the authors
+ *         - GET /opds/authors/:name?page=              The books of an author
+ *         - GET /opds/series?page=                     Navigation feed of the series
+ *         - GET /opds/series/:name?page=               The books of a series, in the order of the series
+ *         - GET /opds/search?q=&page=                  Search the books (titles, authors, series, publishers and descriptions)
+ *         - GET /opds/opensearch.xml                   OpenSearch description of the search
+ *         - GET /opds/books/:hash/file                 Download the EPUB/PDF
+ *         - GET /opds/books/:hash/cover                Cover image of an EPUB, and /opds/books/:hash/thumb for its thumbnail
+ */
+
+// Require dependencies
+const express = require('express');
+const path = require('path');
+const db = require(path.join(__dirname, 'db.js'));
+const access = require(path.join(__dirname, 'access.js'));
+const ebook = require(path.join(__dirname, 'ebook.js'));
+const thumbnail = require(path.join(__dirname, 'thumbnail.js'));
+const router = express.Router();
+
+// Entries in a page of a feed
+const PAGE_SIZE = 50;
+// Size of the thumbnails of the covers
+const THUMBNAIL_SIZE = 320;
+// Seconds that browsers (readers) may cache covers and thumbnails, they do not change as long as the hash does not
+const COVER_MAX_AGE = 86400;
+// Types of the feeds and links
+const NAVIGATION_TYPE = 'application/atom+xml;profile=opds-catalog;kind=navigation';
+const ACQUISITION_TYPE = 'application/atom+xml;profile=opds-catalog;kind=acquisition';
+const OPENSEARCH_TYPE = 'application/opensearchdescription+xml';
+// Types of the book files, by their Format
+const BOOK_TYPES = { epub: 'application/epub+zip', pdf: 'application/pdf' };
+
+// Every request is logged in with HTTP Basic auth, readers ask for the credentials when they are refused
+router.use(access.requireBasicAuth({ realm: 'nelfe OPDS catalog' }));
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} text Text to be escaped, undefined and null are empty
+ * @returns {String} Escaped text
+ */
+function escapeXML(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+  // Control characters are not allowed in XML 1.0 at all
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+    .replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * Format a time for Atom
+ * @param {Number} time Milliseconds since the epoch (eg. Media.Added), optional
+ * @returns {String} ISO 8601 date, the current time if there is none
+ */
+function atomDate(time) {
+  return new Date(Number.isFinite(time) ? time : Date.now()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Read the page number of a feed request
+ * @param {Object} query Query string (req.query)
+ * @returns {Object} { page, pageSize, limit, offset }, or { error } if the page is not a whole number of at least 1
+ */
+function feedPage(query) {
+  const page = (query.page === undefined) ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) return { error: 'Invalid page, expected a whole number of at least 1' };
+  return { page: page, pageSize: PAGE_SIZE, limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE };
+}
+
+/**
+ * Build an Atom link element
+ * @param {String} rel Relation of the link
+ * @param {String} href URL of the link
+ * @param {String} type Media type of what is linked to
+ * @param {Object} attributes Other attributes, eg. { title }, undefined ones are left out (optional)
+ * @returns {String} XML of the link
+ */
+function link(rel, href, type, attributes = {}) {
+  const others = Object.entries(attributes).filter(([, value]) => value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXML(value)}"`).join('');
+  return `<link rel="${rel}" href="${escapeXML(href)}" type="${type}"${others}/>`;
+}
+
+/**
+ * Build a feed and send it
+ * @param {*} res Express response
+ * @param {Object} feed { id, title, url (path of the feed without the page), kind ('navigation' or 'acquisition'), up (path
+ *                      of the feed above it, optional), page (from feedPage(), optional), total (number of entries in every
+ *                      page), entries (XML of each entry) }
+ */
+function sendFeed(res, feed) {
+  const type = (feed.kind === 'navigation') ? NAVIGATION_TYPE : ACQUISITION_TYPE;
+  const pageURL = (page) => feed.url + (feed.url.includes('?') ? '&' : '?') + `page=${page}`;
+  let links = [
+    link('self', feed.page ? pageURL(feed.page.page) : feed.url, type),
+    link('start', '/opds', NAVIGATION_TYPE, { title: 'nelfe' }),
+    link('search', '/opds/opensearch.xml', OPENSEARCH_TYPE, { title: 'Search the books' })
+  ];
+  if (feed.up) links.push(link('up', feed.up, NAVIGATION_TYPE));
+  // Pages of the feed, readers load the next one as they are scrolled through
+  if (feed.page) {
+    const pages = Math.max(Math.ceil(feed.total / feed.page.pageSize), 1);
+    if (feed.page.page > 1) links.push(link('first', pageURL(1), type), link('previous', pageURL(feed.page.page - 1), type));
+    if (feed.page.page < pages) links.push(link('next', pageURL(feed.page.page + 1), type), link('last', pageURL(pages), type));
+  }
+  res.set('Cache-Control', 'private, no-cache');
+  res.type(`${type};charset=utf-8`);
+  res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/terms/" xmlns:opds="http://opds-spec.org/2010/catalog"
+      xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">
+  <id>${escapeXML(feed.id)}</id>
+  <title>${escapeXML(feed.title)}</title>
+  <updated>${atomDate()}</updated>
+  <author><name>nelfe</name></author>
+  ${links.join('\n  ')}${feed.page ? `
+  <opensearch:totalResults>${feed.total}</opensearch:totalResults>
+  <opensearch:itemsPerPage>${feed.page.pageSize}</opensearch:itemsPerPage>
+  <opensearch:startIndex>${feed.page.offset + 1}</opensearch:startIndex>` : ''}
+${feed.entries.join('\n')}
+</feed>
+`);
+}
+
+/**
+ * Build the entry of a navigation feed, that leads to another feed
+ * @param {String} id Unique ID of the entry
+ * @param {String} title Title of the entry
+ * @param {String} content Description of what is in the feed
+ * @param {String} href Path of the feed
+ * @param {String} type Type of the feed (NAVIGATION_TYPE or ACQUISITION_TYPE)
+ * @returns {String} XML of the entry
+ */
+function navigationEntry(id, title, content, href, type) {
+  return `  <entry>
+    <id>${escapeXML(id)}</id>
+    <title>${escapeXML(title)}</title>
+    <updated>${atomDate()}</updated>
+    <content type="text">${escapeXML(content)}</content>
+    ${link('subsection', href, type)}
+  </entry>`;
+}
+
+/**
+ * Build the entry of a book in an acquisition feed
+ * @param {Object} book Row from db.books.query()
+ * @returns {String} XML of the entry
+ */
+function bookEntry(book) {
+  const creators = JSON.parse(book.Creators || '[]');
+  const authors = creators.filter(creator => !creator.role || creator.role === 'aut');
+  const bookType = BOOK_TYPES[book.Format] || 'application/octet-stream';
+  let lines = [
+    `<id>urn:nelfe:book:${book.Hash}</id>`,
+    `<title>${escapeXML(book.Title || 'Untitled')}</title>`,
+    `<updated>${atomDate(book.Added)}</updated>`
+  ];
+  for (const author of authors) {
+    lines.push(`<author><name>${escapeXML(author.name)}</name><uri>/opds/authors/${escapeXML(encodeURIComponent(author.name))}</uri></author>`);
+  }
+  for (const contributor of creators.filter(creator => !authors.includes(creator))) {
+    lines.push(`<contributor><name>${escapeXML(contributor.name)}</name></contributor>`);
+  }
+  if (book.Language) lines.push(`<dc:language>${escapeXML(book.Language)}</dc:language>`);
+  if (book.Publisher) lines.push(`<dc:publisher>${escapeXML(book.Publisher)}</dc:publisher>`);
+  if (book.Year) lines.push(`<dc:issued>${escapeXML(book.Year)}</dc:issued>`);
+  if (book.Series) {
+    const index = (book.SeriesIndex === null) ? '' : ` #${book.SeriesIndex}`;
+    lines.push(`<category term="${escapeXML(book.Series)}" label="${escapeXML(`Series: ${book.Series}${index}`)}"/>`);
+    lines.push(link('related', `/opds/series/${encodeURIComponent(book.Series)}`, ACQUISITION_TYPE, { title: `More in ${book.Series}` }));
+  }
+  if (book.Plot) lines.push(`<summary type="text">${escapeXML(book.Plot)}</summary>`);
+  if (book.CoverPath) {
+    lines.push(link('http://opds-spec.org/image', `/opds/books/${book.Hash}/cover`, express.static.mime.lookup(book.CoverPath)));
+    lines.push(link('http://opds-spec.org/image/thumbnail', `/opds/books/${book.Hash}/thumb`, 'image/webp'));
+  }
+  lines.push(link('http://opds-spec.org/acquisition', `/opds/books/${book.Hash}/file`, bookType, { length: book.Size || undefined }));
+  return `  <entry>\n    ${lines.join('\n    ')}\n  </entry>`;
+}
+
+/**
+ * Send a page of books as an acquisition feed
+ * @param {*} req Express request
+ * @param {*} res Express response
+ * @param {Object} feed { id, title, url, up } of sendFeed()
+ * @param {Object} options Options of db.books.query(), besides the paging and access
+ */
+async function sendBooks(req, res, feed, options) {
+  const page = feedPage(req.query);
+  if (page.error) return res.status(400).type('text/plain').send(page.error);
+  const result = await db.books.query(Object.assign({ limit: page.limit, offset: page.offset, access: req.access }, options));
+  sendFeed(res, Object.assign({ kind: 'acquisition', page: page, total: result.total, entries: result.rows.map(bookEntry) }, feed));
+}
+
+/**
+ * Send a page of authors or series as a navigation feed
+ * @param {*} req Express request
+ * @param {*} res Express response
+ * @param {String} kind 'authors' or 'series'
+ */
+async function sendGroups(req, res, kind) {
+  const page = feedPage(req.query);
+  if (page.error) return res.status(400).type('text/plain').send(page.error);
+  const result = await db.books[kind]({ limit: page.limit, offset: page.offset, access: req.access });
+  const entries = result.rows.map(row => navigationEntry(
+    `urn:nelfe:${kind}:${encodeURIComponent(row.Name)}`,
+    row.Name,
+    `${row.Books} ${row.Books === 1 ? 'book' : 'books'}`,
+    `/opds/${kind}/${encodeURIComponent(row.Name)}`,
+    ACQUISITION_TYPE
+  ));
+  sendFeed(res, {
+    id: `urn:nelfe:${kind}`,
+    title: (kind === 'authors') ? 'Authors' : 'Series',
+    url: `/opds/${kind}`,
+    up: '/opds',
+    kind: 'navigation',
+    page: page,
+    total: result.total,
+    entries: entries
+  });
+}
+
+/**
+ * Find a book that the account may download
+ * @param {String} hash SHA-256 hash of the book (hex)
+ * @param {Object} grants What the account may see (req.access)
+ * @returns {Object} { book, mediaPath } - Books row and the path it is served from, or undefined if it can not be served
+ */
+async function findBook(hash, grants) {
+  const book = await db.books.get(hash);
+  if (!book) return undefined;
+  const mediaPath = await access.findMediaPath(hash, grants);
+  if (!mediaPath) return undefined;
+  return { book: book, mediaPath: mediaPath };
+}
+
+// Root navigation feed
+router.get('/', (req, res) => {
+  sendFeed(res, {
+    id: 'urn:nelfe:root',
+    title: 'nelfe ebooks',
+    url: '/opds',
+    kind: 'navigation',
+    entries: [
+      navigationEntry('urn:nelfe:recent', 'Recently added', 'The newest books in the library', '/opds/recent', ACQUISITION_TYPE),
+      navigationEntry('urn:nelfe:authors', 'Authors', 'Books by author', '/opds/authors', NAVIGATION_TYPE),
+      navigationEntry('urn:nelfe:series', 'Series', 'Books by series', '/opds/series', NAVIGATION_TYPE),
+      navigationEntry('urn:nelfe:books', 'All books', 'Every book in the library by title', '/opds/books', ACQUISITION_TYPE)
+    ]
+  });
+});
+
+// Recently added books
+router.get('/recent', async (req, res) => {
+  try {
+    await sendBooks(req, res, { id: 'urn:nelfe:recent', title: 'Recently added', url: '/opds/recent', up: '/opds' }, { sort: 'added' });
+  } catch (err) {
+    db.log(`[OPDS] Unable to list the recently added books: ${err.message}`, 'error');
+    res.status(500).type('text/plain').send('Unable to list books');
+  }
+});
+
+// Every book by title
+router.get('/books', async (req, res) => {
+  try {
+    await sendBooks(req, res, { id: 'urn:nelfe:books', title: 'All books', url: '/opds/books', up: '/opds' }, { sort: 'title' });
+  } catch (err) {
+    db.log(`[OPDS] Unable to list the books: ${err.message}`, 'error');
+    res.status(500).type('text/plain').send('Unable to list books');
+  }
+});
+
+// Authors and series
+for (const kind of ['authors', 'series']) {
+  router.get(`/${kind}`, async (req, res) => {
+    try {
+      await sendGroups(req, res, kind);
+    } catch (err) {
+      db.log(`[OPDS] Unable to list the ${kind}: ${err.message}`, 'error');
+      res.status(500).type('text/plain').send(`Unable to list ${kind}`);
+    }
+  });
+}
+
+// The books of an author
+router.get('/authors/:name', async (req, res) => {
+  try {
+    await sendBooks(req, res, {
+      id: `urn:nelfe:authors:${encodeURIComponent(req.params.name)}`,
+      title: req.params.name,
+      url: `/opds/authors/${encodeURIComponent(req.params.name)}`,
+      up: '/opds/authors'
+    }, { author: req.params.name, sort: 'title' });
+  } catch (err) {
+    db.log(`[OPDS] Unable to list the books of the author "${req.params.name}": ${err.message}`, 'error');
+    res.status(500).type('text/plain').send('Unable to list books');
+  }
+});
+
+// The books of a series, in the order of the series
+router.get('/series/:name', async (req, res) => {
+  try {
+    await sendBooks(req, res, {
+      id: `urn:nelfe:series:${encodeURIComponent(req.params.name)}`,
+      title: req.params.name,
+      url: `/opds/series/${encodeURIComponent(req.params.name)}`,
+      up: '/opds/series'
+    }, { series: req.params.name, sort: 'series' });
+  } catch (err) {
+    db.log(`[OPDS] Unable to list the books of the series "${req.params.name}": ${err.message}`, 'error');
+    res.status(500).type('text/plain').send('Unable to list books');
+  }
+});
+
+// Search the books
+router.get('/search', async (req, res) => {
+  if (typeof req.query.q !== 'string' || req.query.q.trim().length === 0) return res.status(400).type('text/plain').send('Missing search query (q)');
+  try {
+    await sendBooks(req, res, {
+      id: `urn:nelfe:search:${encodeURIComponent(req.query.q)}`,
+      title: `Search: ${req.query.q}`,
+      url: `/opds/search?q=${encodeURIComponent(req.query.q)}`,
+      up: '/opds'
+    }, { search: req.query.q.trim(), sort: 'title' });
+  } catch (err) {
+    db.log(`[OPDS] Unable to search the books: ${err.message}`, 'error');
+    res.status(500).type('text/plain').send('Unable to search books');
+  }
+});
+
+// OpenSearch description, readers fill in the template with what is searched for
+router.get('/opensearch.xml', (req, res) => {
+  res.type(`${OPENSEARCH_TYPE};charset=utf-8`);
+  res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
+  <ShortName>nelfe</ShortName>
+  <Description>Search the ebooks by title, author, series, publisher and description</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <OutputEncoding>UTF-8</OutputEncoding>
+  <Url type="${ACQUISITION_TYPE}" template="/opds/search?q={searchTerms}"/>
+</OpenSearchDescription>
+`);
+});
+
+// Download a book
+router.get('/books/:hash/file', async (req, res) => {
+  try {
+    const found = await findBook(req.params.hash, req.access);
+    if (!found) return res.status(404).type('text/plain').send('Book not found');
+    db.log(`[OPDS] "${req.account.AccountName}" downloaded "${path.basename(found.mediaPath)}"`, 'debug');
+    res.set('ETag', `"${req.params.hash}"`);
+    res.set('Cache-Control', 'private, no-cache');
+    res.type(BOOK_TYPES[found.book.Format] || path.extname(found.mediaPath));
+    res.attachment(path.basename(found.mediaPath));
+    res.sendFile(found.mediaPath, { acceptRanges: true, cacheControl: false, etag: false, lastModified: true }, (err) => {
+      // Errors after the headers were sent (eg. the reader went away) can not be reported
+      if (err && !res.headersSent) res.status(err.status || 500).type('text/plain').send('Unable to send book');
+    });
+  } catch (err) {
+    db.log(`[OPDS] Unable to send the book "${req.params.hash}": ${err.message}`, 'error');
+    res.status(500).type('text/plain').send('Unable to send book');
+  }
+});
+
+// Cover image of an EPUB
+router.get('/books/:hash/cover', async (req, res) => {
+  try {
+    const found = await findBook(req.params.hash, req.access);
+    if (!found) return res.status(404).type('text/plain').send('Book not found');
+    const contents = found.book.CoverPath ? await ebook.readEpubFile(found.mediaPath, found.book.CoverPath) : undefined;
+    if (!contents) return res.status(404).type('text/plain').send('Cover not found');
+    res.set('Cache-Control', `private, max-age=${COVER_MAX_AGE}`);
+    res.type(path.extname(found.book.CoverPath));
+    res.send(contents);
+  } catch (err) {
+    db.log(`[OPDS] Unable to send the cover of "${req.params.hash}": ${err.message}`, 'error');
+    res.status(500).type('text/plain').send('Unable to send cover');
+  }
+});
+
+// Thumbnail of the cover
+router.get('/books/:hash/thumb', async (req, res) => {
+  try {
+    if (!(await findBook(req.params.hash, req.access))) return res.status(404).type('text/plain').send('Book not found');
+    const thumbnailPath = await thumbnail.getThumbnail(req.params.hash, THUMBNAIL_SIZE);
+    if (!thumbnailPath) return res.status(404).type('text/plain').send('Thumbnail not found');
+    res.set('Cache-Control', `private, max-age=${COVER_MAX_AGE}`);
+    res.sendFile(thumbnailPath, { cacheControl: false }, (err) => {
+      if (err && !res.headersSent) res.status(err.status || 500).type('text/plain').send('Unable to send thumbnail');
+    });
+  } catch (err) {
+    db.log(`[OPDS] Unable to send the thumbnail of "${req.params.hash}": ${err.message}`, 'error');
+    res.status(500).type('text/plain').send('Unable to send thumbnail');
+  }
+});
+
+module.exports = router;
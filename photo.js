@@ -0,0 +1,91 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * photo.js - Reads the EXIF data of photos (JPEG, PNG, WebP, HEIC): when the photo was taken, the
+ *            camera and lens, the orientation and where it was taken (GPS).
+ */
+
+// Require dependencies
+const fs = require('fs');
+const exifr = require('exifr');
+const sharp = require('sharp');
+
+// EXIF dates are local time without a time zone, "YYYY:MM:DD HH:MM:SS"
+const EXIF_DATE = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/;
+
+/**
+ * Format a date as the local time "YYYY-MM-DD HH:MM:SS", the same form as the EXIF dates are saved in
+ * @param {Date} date The date
+ * @returns {String} Formatted date
+ */
+function formatLocalDate(date) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+         `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Read an EXIF date
+ * @param {String} value Date from the EXIF data
+ * @returns {String} "YYYY-MM-DD HH:MM:SS", undefined if it is missing or not a date (cameras write 0000:00:00 when unset)
+ */
+function exifDate(value) {
+  const match = EXIF_DATE.exec(typeof value === 'string' ? value : '');
+  if (!match || match[1] === '0000' || match[2] === '00') return undefined;
+  return `${match[1]}-${match[2]}-${match[3]} ${match[4]}:${match[5]}:${match[6]}`;
+}
+
+// Tidy a text field of the EXIF data, cameras pad them with spaces and null characters
+function exifText(value) {
+  if (typeof value !== 'string') return undefined;
+  value = value.replace(/\0/g, '').trim();
+  return (value === '') ? undefined : value;
+}
+
+/**
+ * Read the EXIF data and dimensions of a photo
+ * @param {String} filePath Path of the photo
+ * @returns {Object} { takenAt, dateSource, make, model, lens, width, height, orientation, latitude, longitude, altitude }
+ *                   takenAt is the local time the photo was taken, or the modification time of the file if the photo
+ *                   does not say (dateSource is exif or file). width and height are as stored, before the orientation.
+ */
+async function readPhoto(filePath) {
+  let exif = {};
+  try {
+    // Dates and orientation are kept as they are stored, they are read above
+    exif = (await exifr.parse(filePath, { gps: true, reviveValues: false, translateValues: false })) || {};
+  } catch {
+    // PNGs and screenshots often have no EXIF data at all
+  }
+  let photo = {
+    takenAt: exifDate(exif.DateTimeOriginal) || exifDate(exif.CreateDate) || exifDate(exif.ModifyDate),
+    make: exifText(exif.Make),
+    model: exifText(exif.Model),
+    lens: exifText(exif.LensModel),
+    width: exif.ExifImageWidth || exif.ImageWidth,
+    height: exif.ExifImageHeight || exif.ImageHeight,
+    orientation: Number.isInteger(exif.Orientation) ? exif.Orientation : undefined,
+    latitude: Number.isFinite(exif.latitude) ? exif.latitude : undefined,
+    longitude: Number.isFinite(exif.longitude) ? exif.longitude : undefined,
+    altitude: Number.isFinite(exif.GPSAltitude) ? exif.GPSAltitude * (exif.GPSAltitudeRef === 1 ? -1 : 1) : undefined
+  };
+  photo.dateSource = photo.takenAt ? 'exif' : 'file';
+  if (!photo.takenAt) photo.takenAt = formatLocalDate((await fs.promises.stat(filePath)).mtime);
+  // The real dimensions of the image, the EXIF ones are sometimes those of the camera's original
+  try {
+    const metadata = await sharp(filePath).metadata();
+    photo.width = metadata.width;
+    photo.height = metadata.height;
+    if (photo.orientation === undefined) photo.orientation = metadata.orientation;
+  } catch {
+    // Formats that sharp can not read (eg. HEIC) keep the EXIF dimensions
+  }
+  return photo;
+}
+
+// Export the public functions to be used elsewhere
+module.exports = { readPhoto, formatLocalDate };
@@ -0,0 +1,49 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * sessionstore.js - express-session store that keeps the sessions in the Sessions table of the
+ *                   database, so that logins survive a restart. Expired sessions are ignored and
+ *                   removed by db.session.prune(), which is scheduled in main.js.
+ */
+
+// Require dependencies
+const session = require('express-session');
+const path = require('path');
+const db = require(path.join(__dirname, 'db.js'));
+
+// How long a browser session (a session cookie without an expiry date) is kept after it was last used
+const BROWSER_SESSION_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * When a session expires, based on its cookie
+ * @param {Object} sessionData express-session session object
+ * @returns {Number} Expiry in milliseconds since the epoch
+ */
+function sessionExpiry(sessionData) {
+  if (sessionData && sessionData.cookie && sessionData.cookie.expires) return new Date(sessionData.cookie.expires).getTime();
+  return Date.now() + BROWSER_SESSION_TTL;
+}
+
+class SQLiteStore extends session.Store {
+  get(sid, callback) {
+    db.session.get(sid).then(sessionData => callback(null, sessionData || null), callback);
+  }
+
+  set(sid, sessionData, callback) {
+    db.session.set(sid, sessionData, sessionExpiry(sessionData)).then(() => callback && callback(), callback);
+  }
+
+  touch(sid, sessionData, callback) {
+    db.session.touch(sid, sessionExpiry(sessionData)).then(() => callback && callback(), callback);
+  }
+
+  destroy(sid, callback) {
+    db.session.destroy(sid).then(() => callback && callback(), callback);
+  }
+}
+
+module.exports = SQLiteStore;
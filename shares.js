@@ -0,0 +1,153 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * shares.js - Share links, that let someone without an account stream or download some media (an item, a list or a
+ *             photo album) until the link expires, runs out of downloads or is revoked.
+ *           - The token of a link is "<ShareID>.<signature>", the signature is an HMAC of the ShareID and the expiry
+ *             with SHARE_SECRET (generated once and kept in the Settings table), so links can not be guessed or extended.
+ *           - A link gives access to what the account that made it may still see (access.js), it stops working when
+ *             that account is disabled or deleted. Links with a password are unlocked once per browser session.
+ *           - Every use of a link is logged.
+ */
+
+// Require dependencies
+const path = require('path');
+const crypto = require('crypto');
+const db = require(path.join(__dirname, 'db.js'));
+const access = require(path.join(__dirname, 'access.js'));
+
+// Token of a share link, the ShareID and the signature (base64url of an SHA-256 HMAC)
+const TOKEN_PATTERN = /^([1-9][0-9]{0,9})\.([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Sign a share link
+ * @param {Object} share Shares row
+ * @returns {String} Token of the link
+ */
+async function shareToken(share) {
+  const settings = await db.settings.get();
+  const signature = crypto.createHmac('sha256', settings.SHARE_SECRET).update(`${share.ShareID}.${share.Expires}`).digest('base64url');
+  return `${share.ShareID}.${signature}`;
+}
+
+/**
+ * Find the share link of a token, if it still works
+ * @param {String} token Token of the link
+ * @returns {Object} { share, access } - Shares row and what the account that made it may see (for the db functions), or
+ *                   undefined if the token is not valid, or the link expired or was revoked
+ */
+async function findShare(token) {
+  const parsed = TOKEN_PATTERN.exec(typeof token === 'string' ? token : '');
+  if (!parsed) return undefined;
+  const share = await db.shares.get(Number(parsed[1]));
+  if (!share) return undefined;
+  // The signature is compared in constant time, so that it can not be worked out one character at a time
+  const expected = Buffer.from(await shareToken(share));
+  if (expected.length !== parsed[0].length || !crypto.timingSafeEqual(expected, Buffer.from(parsed[0]))) return undefined;
+  if (share.Revoked || share.Expires <= Date.now()) return undefined;
+  const owner = await db.user.getByID(share.AccountID);
+  if (!owner || owner.IsDisabled) return undefined;
+  return { share: share, access: access.mediaAccess(owner) };
+}
+
+/**
+ * Check whether a share link can be used by a browser session
+ * @param {*} req Express request
+ * @param {Object} share Shares row
+ * @returns {Boolean} True if the link has no password, or it was entered in this session
+ */
+function isUnlocked(req, share) {
+  return !share.Password || (req.session.unlockedShares || []).includes(share.ShareID);
+}
+
+/**
+ * Unlock a share link for a browser session with its password
+ * @param {*} req Express request
+ * @param {Object} share Shares row
+ * @param {String} password Password that was entered
+ * @returns {Boolean} True if the password is correct
+ */
+async function unlock(req, share, password) {
+  if (!(await db.shares.checkPassword(share, password))) {
+    db.log(`[SHARE] Wrong password for link ${share.ShareID} ("${share.Title}") from ${req.ip}`, 'warning');
+    return false;
+  }
+  req.session.unlockedShares = (req.session.unlockedShares || []).concat([share.ShareID]);
+  db.log(`[SHARE] Link ${share.ShareID} ("${share.Title}") unlocked from ${req.ip}`);
+  return true;
+}
+
+/**
+ * Check whether a share link has run out of downloads
+ * @param {Object} share Shares row
+ * @returns {Boolean} True if the link has a download limit and it was reached
+ */
+function isUsedUp(share) {
+  return share.MaxDownloads !== null && share.Downloads >= share.MaxDownloads;
+}
+
+/**
+ * Get the media of a share link that can still be served
+ * @param {Object} found Share link from findShare()
+ * @returns {Array} { hash, type, title, size, fileName } of each item, in the order they were shared
+ */
+async function shareItems(found) {
+  let items = [];
+  for (const hash of JSON.parse(found.share.Hashes || '[]')) {
+    const mediaPath = await access.findMediaPath(hash, found.access);
+    if (!mediaPath) continue;
+    const entry = (await db.media.get(hash, found.access)).find(media => media.Path === mediaPath);
+    const described = await db.metadata.get(hash);
+    items.push({
+      hash: hash,
+      type: entry.Type,
+      title: (described.metadata && described.metadata.Title) || path.parse(mediaPath).name,
+      size: entry.Size,
+      fileName: path.basename(mediaPath)
+    });
+  }
+  return items;
+}
+
+/**
+ * Build the middleware that lets the media of a share link through without a login. The token is the share query
+ * parameter, requests without it go on to the routes that require a login (next('route')).
+ * @param {Object} options { download } - download: whether the route sends the media itself, the first request for an
+ *                         item in a browser session counts as a download (the ones that follow, eg. seeking, do not)
+ * @returns {Function} Express middleware, it sets req.access to what the account that shared the media may see
+ */
+function allowShared(options = {}) {
+  const refuse = (req, res, status, message) => {
+    db.log(`[SHARE] Refused "${req.params.hash}" through a share link from ${req.ip}: ${message}`, 'warning');
+    res.status(status).json({ code: status, message: message });
+  };
+  return async (req, res, next) => {
+    if (req.query.share === undefined) return next('route');
+    try {
+      const found = await findShare(req.query.share);
+      if (!found) return refuse(req, res, 404, 'Share link not found or expired');
+      const share = found.share;
+      if (!JSON.parse(share.Hashes || '[]').includes(req.params.hash)) return refuse(req, res, 404, 'Media not found');
+      if (!isUnlocked(req, share)) return refuse(req, res, 401, 'Password required');
+      const downloaded = `${share.ShareID}:${req.params.hash}`;
+      const download = Boolean(options.download) && req.method === 'GET' && !(req.session.sharedDownloads || []).includes(downloaded);
+      if (!(await db.shares.use(share.ShareID, download))) return refuse(req, res, 403, 'The download limit of the link was reached');
+      if (download) req.session.sharedDownloads = (req.session.sharedDownloads || []).concat([downloaded]);
+      // Only downloads are logged as info, a single play of a video may make hundreds of the other requests
+      const use = download ? 'download' : (options.download ? 'part' : 'thumbnail');
+      db.log(`[SHARE] Link ${share.ShareID} ("${share.Title}"): ${use} of "${req.params.hash}" from ${req.ip}`, download ? 'info' : 'debug');
+      req.access = found.access;
+      next();
+    } catch (err) {
+      db.log(`[SHARE] Unable to check a share link: ${err.message}`, 'error');
+      res.status(500).json({ code: 500, message: 'Unable to check share link' });
+    }
+  };
+}
+
+// Export the public functions to be used elsewhere
+module.exports = { shareToken, findShare, isUnlocked, unlock, isUsedUp, shareItems, allowShared };
@@ -0,0 +1,247 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * sidecar.js - Finds and reads the files that sit next to a media file and describe it, the way
+ *              Kodi and Jellyfin lay out a library:
+ *              - .nfo XML metadata: <name>.nfo or movie.nfo (movie/episodedetails) next to the
+ *                media, and tvshow.nfo in the show directory above it.
+ *              - Artwork: poster, fanart and folder images, either shared by the directory
+ *                (poster.jpg) or belonging to one file (<name>-poster.jpg).
+ *              - Subtitles: <name>.srt/.vtt, optionally with a language, eg. <name>.en.forced.srt
+ */
+
+// Require dependencies
+const path = require('path');
+const fs = require('fs');
+const { XMLParser } = require('fast-xml-parser');
+
+// Sidecar file types
+const artworkKinds = ['poster', 'fanart', 'folder'];
+const artworkExtensions = ['jpg', 'jpeg', 'png'];
+const subtitleExtensions = ['srt', 'vtt'];
+// How many directories above the media to look for a tvshow.nfo (Show/Season 1/episode.mkv)
+const SHOW_NFO_DEPTH = 2;
+// Content ratings from the most to the least suitable for children, named by the US film rating. Each level includes
+// the US TV and UK ratings of the same audience, accounts can be limited to a level (and those below it).
+const CONTENT_RATINGS = [
+  { name: 'G', ratings: ['G', 'TV-Y', 'TV-G', 'U', 'UC'] },
+  { name: 'PG', ratings: ['PG', 'TV-Y7', 'TV-Y7-FV', 'TV-PG'] },
+  { name: 'PG-13', ratings: ['PG-13', 'TV-14', '12', '12A'] },
+  { name: 'R', ratings: ['R', 'TV-MA', '15'] },
+  { name: 'NC-17', ratings: ['NC-17', '18', 'R18', 'X'] }
+];
+
+// .nfo elements that may appear more than once
+const nfoParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@',
+  parseTagValue: false, // Keep values as strings, eg. IDs with leading zeros
+  trimValues: true,
+  isArray: (name) => ['genre', 'director', 'studio', 'actor', 'uniqueid', 'episodedetails'].includes(name)
+});
+
+/**
+ * Derive a title (and year) from the name of a media file, eg. "The.Matrix.(1999).mkv"
+ * @param {String} mediaPath Path of the media file
+ * @returns {Object} { title, year }
+ */
+function titleFromFilename(mediaPath) {
+  let title = path.parse(mediaPath).name;
+  // Dots and underscores are often used in place of spaces, unless the name already has spaces
+  if (!title.includes(' ')) title = title.replace(/[._]+/g, ' ');
+  let year;
+  const yearMatch = title.match(/[\s(\[]((?:19|20)\d{2})[)\]]?(?:\s|$)/);
+  if (yearMatch) {
+    year = parseInt(yearMatch[1]);
+    title = title.slice(0, yearMatch.index);
+  }
+  return { title: title.trim() || path.parse(mediaPath).name, year: year };
+}
+
+/**
+ * Find the sidecar files of a media file
+ * @param {String} mediaPath Path of the media file
+ * @param {Array} directoryFiles Names of the files in the directory of the media file
+ * @returns {Object} { nfo, showNfo, artwork: [{ kind, path }], subtitles: [{ path, language, forced }] }
+ */
+async function findSidecars(mediaPath, directoryFiles) {
+  const directory = path.dirname(mediaPath);
+  const baseName = path.parse(mediaPath).name.toLowerCase();
+  let sidecars = { artwork: [], subtitles: [] };
+  let sharedNfo;
+  for (const file of directoryFiles) {
+    const parsed = path.parse(file.toLowerCase());
+    const extension = parsed.ext.slice(1);
+    const filePath = path.join(directory, file);
+    if (extension === 'nfo') {
+      // <name>.nfo belongs to this file, movie.nfo to the (single movie) directory
+      if (parsed.name === baseName) sidecars.nfo = filePath;
+      else if (parsed.name === 'movie') sharedNfo = filePath;
+    } else if (artworkExtensions.includes(extension)) {
+      // <name>-poster.jpg belongs to this file, poster.jpg to the directory
+      for (const kind of artworkKinds) {
+        if (parsed.name === kind || parsed.name === `${baseName}-${kind}`) sidecars.artwork.push({ kind: kind, path: filePath });
+      }
+    } else if (subtitleExtensions.includes(extension) && (parsed.name === baseName || parsed.name.startsWith(baseName + '.'))) {
+      // <name>.srt, <name>.en.srt, <name>.en.forced.srt
+      const flags = parsed.name.slice(baseName.length).split('.').filter(flag => flag.length > 0);
+      sidecars.subtitles.push({
+        path: filePath,
+        language: flags.find(flag => flag !== 'forced' && flag !== 'default'),
+        forced: flags.includes('forced')
+      });
+    }
+  }
+  if (!sidecars.nfo) sidecars.nfo = sharedNfo;
+  // Per-file artwork comes before the shared artwork of the directory
+  sidecars.artwork.sort((a, b) => path.basename(b.path).length - path.basename(a.path).length);
+  // The show directory is one (Show/episode.mkv) or two (Show/Season 1/episode.mkv) levels up
+  let showDirectory = directory;
+  for (let depth = 0; depth <= SHOW_NFO_DEPTH && !sidecars.showNfo; depth++) {
+    const showNfo = path.join(showDirectory, 'tvshow.nfo');
+    try {
+      await fs.promises.access(showNfo);
+      sidecars.showNfo = showNfo;
+    } catch {
+      showDirectory = path.dirname(showDirectory);
+    }
+  }
+  return sidecars;
+}
+
+/**
+ * Get the text of an .nfo element, elements with attributes are parsed as objects
+ * @param {*} value Parsed element value
+ * @returns {String} Text of the element, or undefined if it is empty
+ */
+function nfoText(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'object') value = value['#text'];
+  if (value === undefined || String(value).trim() === '') return undefined;
+  return String(value).trim();
+}
+
+/**
+ * Get a whole number from an .nfo element
+ * @param {*} value Parsed element value
+ * @returns {Number} The number, or undefined if the element is empty or not a number
+ */
+function nfoNumber(value) {
+  const number = parseInt(nfoText(value));
+  return Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * Read and parse a Kodi/Jellyfin .nfo file (movie, tvshow or episodedetails)
+ * @param {String} nfoPath Path of the .nfo file
+ * @returns {Object} { kind, title, originalTitle, sortTitle, year, plot, tagline, genres, contentRating, runtime,
+ *                     directors, actors, studio, showTitle, season, episode, aired, imdbID }, or undefined
+ *                     if the file does not contain any XML metadata (eg. just a link)
+ */
+async function readNfo(nfoPath) {
+  const contents = await fs.promises.readFile(nfoPath, 'utf8');
+  // Some .nfo files have a URL after the XML, only parse the metadata element(s)
+  const xml = contents.match(/<(movie|tvshow|episodedetails)[\s>][\s\S]*<\/\1>/);
+  if (!xml) {
+    // An .nfo that is only a link still identifies the movie
+    const imdbID = contents.match(/tt\d{7,}/);
+    return imdbID ? { kind: 'link', imdbID: imdbID[0] } : undefined;
+  }
+  const parsed = nfoParser.parse(xml[0]);
+  const kind = xml[1];
+  // Multi-episode files have one episodedetails per episode, the first one describes the file
+  const element = (kind === 'episodedetails') ? parsed.episodedetails[0] : parsed[kind];
+  if (!element || typeof element !== 'object') return undefined;
+  // IMDb ID from <uniqueid type="imdb"> or the older <id>
+  let imdbID;
+  for (const uniqueID of element.uniqueid || []) {
+    if (typeof uniqueID === 'object' && uniqueID['@type'] === 'imdb') imdbID = nfoText(uniqueID);
+  }
+  if (!imdbID && /^tt\d+$/.test(nfoText(element.id) || '')) imdbID = nfoText(element.id);
+  // "Rated PG-13" and "US:PG-13" are both PG-13
+  let contentRating = nfoText(element.mpaa) || nfoText(element.certification);
+  if (contentRating) contentRating = contentRating.replace(/^Rated\s+/i, '').replace(/^[A-Z]{2}:/, '').trim();
+  const premiered = nfoText(element.premiered) || nfoText(element.aired);
+  return {
+    kind: kind,
+    title: nfoText(element.title),
+    originalTitle: nfoText(element.originaltitle),
+    sortTitle: nfoText(element.sorttitle),
+    year: nfoNumber(element.year) || (premiered ? nfoNumber(premiered.slice(0, 4)) : undefined),
+    plot: nfoText(element.plot) || nfoText(element.outline),
+    tagline: nfoText(element.tagline),
+    genres: (element.genre || []).map(nfoText).filter(Boolean),
+    contentRating: contentRating,
+    runtime: nfoNumber(element.runtime),
+    directors: (element.director || []).map(nfoText).filter(Boolean),
+    actors: (element.actor || []).map(actor => ({ name: nfoText(actor.name), role: nfoText(actor.role) })).filter(actor => actor.name),
+    studio: (element.studio || []).map(nfoText).filter(Boolean)[0],
+    showTitle: nfoText(element.showtitle),
+    season: nfoNumber(element.season),
+    episode: nfoNumber(element.episode),
+    aired: nfoText(element.aired),
+    imdbID: imdbID
+  };
+}
+
+/**
+ * Find the level of a content rating
+ * @param {String} rating Content rating as read from an .nfo, eg. PG-13 or TV-MA (not case sensitive)
+ * @returns {Number} Index of the level in CONTENT_RATINGS, undefined if the rating is not known
+ */
+function ratingLevel(rating) {
+  if (typeof rating !== 'string') return undefined;
+  const level = CONTENT_RATINGS.findIndex(level => level.ratings.includes(rating.trim().toUpperCase()));
+  return (level === -1) ? undefined : level;
+}
+
+/**
+ * Build the metadata of a media file from its sidecars, falling back to its file name
+ * @param {String} mediaPath Path of the media file
+ * @param {Object} sidecars Sidecars from findSidecars()
+ * @returns {Object} Metadata for db.metadata.save(), source is 'nfo' or 'filename'
+ */
+async function readMetadata(mediaPath, sidecars) {
+  const fromFilename = titleFromFilename(mediaPath);
+  let metadata = { title: fromFilename.title, year: fromFilename.year, genres: [], directors: [], actors: [], source: 'filename' };
+  // The show's metadata, overridden by the episode's own
+  for (const nfoPath of [sidecars.showNfo, sidecars.nfo]) {
+    if (!nfoPath) continue;
+    const nfo = await readNfo(nfoPath);
+    if (!nfo) continue;
+    if (nfo.kind === 'tvshow') {
+      // Only what describes the show as a whole carries over to its episodes
+      metadata.showTitle = nfo.title;
+      metadata.genres = nfo.genres;
+      metadata.contentRating = nfo.contentRating;
+      metadata.studio = nfo.studio;
+      continue;
+    }
+    for (const [key, value] of Object.entries(nfo)) {
+      if (key === 'kind' || value === undefined || (Array.isArray(value) && value.length === 0)) continue;
+      metadata[key] = value;
+    }
+    metadata.source = 'nfo';
+  }
+  return metadata;
+}
+
+/**
+ * Convert SubRip (.srt) subtitles to WebVTT, the only format that browsers play in a <track>
+ * @param {String} srt Contents of the .srt file
+ * @returns {String} WebVTT subtitles
+ */
+function srtToVtt(srt) {
+  return 'WEBVTT\n\n' + srt
+    .replace(/^\uFEFF/, '') // Byte order mark
+    .replace(/\r\n?/g, '\n')
+    // 00:00:01,500 --> 00:00:04,000 becomes 00:00:01.500 --> 00:00:04.000
+    .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+}
+
+// Export the public functions to be used elsewhere
+module.exports = { findSidecars, readMetadata, readNfo, titleFromFilename, srtToVtt, ratingLevel, subtitleExtensions, artworkExtensions, CONTENT_RATINGS };
@@ -0,0 +1,57 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * tags.js - Reads the tags that are embedded in music files: ID3v1/ID3v2 (mp3), Vorbis comments
+ *           (flac, ogg, opus), MP4/iTunes atoms (m4a) and RIFF INFO (wav), along with the
+ *           duration and the embedded cover art.
+ */
+
+// Require dependencies
+const path = require('path');
+const musicMetadata = require('music-metadata');
+
+/**
+ * Read the tags of a music file
+ * @param {String} filePath Path of the music file
+ * @returns {Object} { title, artist, albumArtist, album, trackNumber, trackTotal, discNumber, discTotal, year,
+ *                     genre, duration, hasCover }, missing tags are undefined
+ */
+async function readTags(filePath) {
+  // The cover is only checked for here, readCover() reads it when it is requested
+  const parsed = await musicMetadata.parseFile(filePath, { duration: true, skipCovers: false });
+  const common = parsed.common;
+  return {
+    title: common.title || path.parse(filePath).name,
+    artist: common.artist || (common.artists || [])[0],
+    albumArtist: common.albumartist,
+    album: common.album,
+    trackNumber: common.track.no || undefined,
+    trackTotal: common.track.of || undefined,
+    discNumber: common.disk.no || undefined,
+    discTotal: common.disk.of || undefined,
+    year: common.year,
+    genre: (common.genre || [])[0],
+    duration: parsed.format.duration,
+    hasCover: Boolean(common.picture && common.picture.length > 0)
+  };
+}
+
+/**
+ * Read the embedded cover art of a music file, the front cover if it is marked as such
+ * @param {String} filePath Path of the music file
+ * @returns {Object} { format, data } - MIME type and image data (Buffer), undefined if there is no cover
+ */
+async function readCover(filePath) {
+  const parsed = await musicMetadata.parseFile(filePath, { skipCovers: false, skipPostHeaders: true });
+  const pictures = parsed.common.picture || [];
+  const cover = pictures.find(picture => /front/i.test(picture.type || '')) || pictures[0];
+  if (!cover) return undefined;
+  return { format: cover.format, data: cover.data };
+}
+
+// Export the public functions to be used elsewhere
+module.exports = { readTags, readCover };
@@ -0,0 +1,114 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * throttle.js - Protection of the logins against guessing passwords (brute force). Failed logins are counted per
+ *               account name and per IP address: after a few of them every further attempt has to wait longer (the
+ *               delay doubles up to a minute), and after LOGIN_MAX_FAILURES of them (settings) the account name or
+ *               address is locked out for LOGIN_LOCKOUT_MINUTES. Addresses may fail more often than accounts, several
+ *               people may log in from one (eg. behind a VPN).
+ *             - The failures are kept in memory, they are forgotten after a quarter of an hour without another one
+ *               and when the server restarts. Lockouts are written to the log.
+ */
+
+// Require dependencies
+const path = require('path');
+const db = require(path.join(__dirname, 'db.js'));
+
+// Failures that are allowed before the delay starts, and the longest delay (milliseconds)
+const FREE_FAILURES = 3;
+const MAX_DELAY = 60 * 1000;
+// Milliseconds without a failure after which the earlier ones are forgotten
+const FAILURE_WINDOW = 15 * 60 * 1000;
+// How many times more often an IP address may fail than an account before it is locked out
+const ADDRESS_FAILURE_FACTOR = 3;
+// Most account names and addresses that are tracked, the ones that failed longest ago are forgotten first
+const MAX_TRACKED = 10000;
+
+// Failed logins by "account:<name>" or "address:<ip>": { failures, last (time of the last failure), lockedUntil }
+let tracked = new Map();
+
+/**
+ * Get what is tracked of the logins of an account name and an IP address
+ * @param {Object} login { account, address } - account name and IP address of the login, either may be left out
+ * @returns {Array} [key, limit factor, description] of each of them
+ */
+function loginKeys(login) {
+  let keys = [];
+  if (login.account) keys.push([`account:${login.account}`, 1, `the account "${login.account}"`]);
+  if (login.address) keys.push([`address:${login.address}`, ADDRESS_FAILURE_FACTOR, login.address]);
+  return keys;
+}
+
+/**
+ * Get the failures of a key that have not been forgotten
+ * @param {String} key Key of the account name or address
+ * @returns {Object} { failures, last, lockedUntil }, or undefined if there are none
+ */
+function current(key) {
+  const entry = tracked.get(key);
+  if (!entry) return undefined;
+  if (entry.last + FAILURE_WINDOW < Date.now() && !(entry.lockedUntil > Date.now())) {
+    tracked.delete(key);
+    return undefined;
+  }
+  return entry;
+}
+
+/**
+ * Check whether a login may be attempted now
+ * @param {Object} login { account, address } - account name and IP address of the login
+ * @returns {Number} Seconds to wait before the login may be attempted, 0 if it may be attempted now
+ */
+function check(login) {
+  let wait = 0;
+  for (const [key] of loginKeys(login)) {
+    const entry = current(key);
+    if (!entry) continue;
+    if (entry.lockedUntil > Date.now()) wait = Math.max(wait, entry.lockedUntil - Date.now());
+    else if (entry.failures >= FREE_FAILURES) {
+      const delay = Math.min(1000 * 2 ** (entry.failures - FREE_FAILURES), MAX_DELAY);
+      wait = Math.max(wait, entry.last + delay - Date.now());
+    }
+  }
+  return Math.ceil(Math.max(wait, 0) / 1000);
+}
+
+/**
+ * Count a failed login, and lock out the account name or address that failed too often
+ * @param {Object} login { account, address } - account name and IP address of the login
+ */
+async function failed(login) {
+  const settings = await db.settings.get();
+  for (const [key, factor, description] of loginKeys(login)) {
+    let entry = current(key) || { failures: 0, last: 0, lockedUntil: 0 };
+    entry.failures++;
+    entry.last = Date.now();
+    // A Map keeps the order things were added in, so the entry is moved to the end (the most recent failure)
+    tracked.delete(key);
+    tracked.set(key, entry);
+    const limit = settings.LOGIN_MAX_FAILURES * factor;
+    if (limit > 0 && entry.failures >= limit && !(entry.lockedUntil > Date.now())) {
+      entry.lockedUntil = Date.now() + settings.LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+      // The count starts again after the lockout
+      entry.failures = 0;
+      db.log(`[AUTH] Locked out ${description} for ${settings.LOGIN_LOCKOUT_MINUTES} minutes after ${limit} failed logins`, 'warning');
+    }
+  }
+  while (tracked.size > MAX_TRACKED) tracked.delete(tracked.keys().next().value);
+}
+
+/**
+ * Forget the failed logins of an account after it logged in
+ * @param {Object} login { account } - account name of the login, the address keeps its failures (a user who knows
+ *                       their own password is not a reason to trust what else was tried from the same address)
+ */
+function succeeded(login) {
+  tracked.delete(`account:${login.account}`);
+}
+
+// Export the public functions to be used elsewhere
+module.exports = { check, failed, succeeded };
@@ -0,0 +1,258 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * thumbnail.js - Generates small previews of media items and keeps them in a disk cache, keyed by the
+ *                hash of the media (<cache>/<first two characters of the hash>/<hash>-<size>.webp).
+ *              - The preview is made from the photo itself, the embedded cover of music, the cover of
+ *                an EPUB, the poster/folder artwork next to the media or, for videos without artwork,
+ *                a frame taken with ffmpeg when it is installed.
+ *              - The cache directory is THUMBNAIL_CACHE in config.env (default ./cache/thumbnails),
+ *                ffmpeg is found by ffmpeg.js.
+ */
+
+// Require dependencies
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+const exifr = require('exifr');
+const db = require(path.join(__dirname, 'db.js'));
+const ffmpeg = require(path.join(__dirname, 'ffmpeg.js'));
+const tags = require(path.join(__dirname, 'tags.js'));
+const ebook = require(path.join(__dirname, 'ebook.js'));
+
+// Widths (and heights) that thumbnails are made in, other sizes would let the cache grow without bound. The largest
+// is for showing photos on a screen (slideshows), the originals may be huge or in a format browsers can not show.
+const THUMBNAIL_SIZES = [160, 320, 640, 1280];
+const DEFAULT_THUMBNAIL_SIZE = 320;
+// Thumbnails that are generated at the same time, resizing large photos takes a lot of memory
+const MAX_GENERATING = 2;
+// Seconds into a video that its frame is taken from, and how long ffmpeg may take
+const VIDEO_FRAME_TIME = 60;
+const FFMPEG_TIMEOUT = 30000;
+// Largest frame that is read from ffmpeg
+const MAX_FRAME_SIZE = 32 * 1024 * 1024;
+// Milliseconds after which a temporary file in the cache is left over from a generation that never finished
+const TEMPORARY_FILE_AGE = 60 * 60 * 1000;
+
+// libvips caches the images it opened, thumbnails are only made once so it would only hold on to memory
+sharp.cache(false);
+// The libvips that comes with sharp reads AVIF but not HEIC (HEVC), one that was built with libde265 reads both
+const HEIC_EXTENSIONS = ['.heic', '.heif'];
+const sharpReadsHeic = sharp.format.heif.input.fileSuffix.includes('.heic');
+
+// Thumbnails being generated (by cache path), so that two requests for the same one share the work
+let generating = new Map();
+// Generations waiting for their turn, and the number running
+let waiting = [];
+let running = 0;
+// Media that has no image to make a thumbnail from, it is not looked for again until it is described again
+let unavailable = new Set();
+
+// The configuration is loaded by main.js after this file is required, so it is read when it is needed
+const cacheDirectory = () => process.env.THUMBNAIL_CACHE || path.join(__dirname, 'cache', 'thumbnails');
+
+/**
+ * Get the path that a thumbnail is cached at
+ * @param {String} hash SHA-256 hash of the media (hex)
+ * @param {Number} size Size of the thumbnail, one of THUMBNAIL_SIZES
+ * @returns {String} Full path of the cached thumbnail
+ */
+function thumbnailPath(hash, size) {
+  return path.join(cacheDirectory(), hash.slice(0, 2), `${hash}-${size}.webp`);
+}
+
+/**
+ * Take a single frame of a video (or convert an image) with ffmpeg
+ * @param {String} videoPath Full path of the video or image
+ * @param {Number} time Seconds into the video
+ * @returns {Buffer} PNG image of the frame, undefined if there is no frame at that time
+ */
+function videoFrame(videoPath, time) {
+  return new Promise((resolve, reject) => {
+    // Seeking before the input is fast, only the frames from the nearest keyframe are decoded
+    const child = spawn(ffmpeg.ffmpegPath(), ['-v', 'error', '-ss', String(time), '-i', videoPath, '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', 'pipe:1'], { stdio: ['ignore', 'pipe', 'ignore'] });
+    let chunks = [];
+    let size = 0;
+    const timeout = setTimeout(() => child.kill('SIGKILL'), FFMPEG_TIMEOUT);
+    child.stdout.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_FRAME_SIZE) return child.kill('SIGKILL');
+      chunks.push(chunk);
+    });
+    child.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timeout);
+      if (code !== 0) return reject(new Error(`ffmpeg exited with ${code === null ? 'a timeout' : `code ${code}`}`));
+      resolve((size > 0 && size <= MAX_FRAME_SIZE) ? Buffer.concat(chunks) : undefined);
+    });
+  });
+}
+
+/**
+ * Find the image that the thumbnail of a media item is made from
+ * @param {String} hash SHA-256 hash of the media (hex)
+ * @returns {*} Path or contents (Buffer) of the image, undefined if the media has none
+ */
+async function sourceImage(hash) {
+  // The first copy of the media that can still be read
+  let media;
+  for (const entry of await db.media.get(hash)) {
+    if (!entry.Enabled) continue;
+    try {
+      await fs.promises.access(entry.Path);
+      media = entry;
+      break;
+    } catch {}
+  }
+  if (!media) return undefined;
+  if (media.Type === 'photo') {
+    if (sharpReadsHeic || !HEIC_EXTENSIONS.includes(path.extname(media.Path).toLowerCase())) return media.Path;
+    // HEIC is converted by ffmpeg, or else the small preview that cameras embed in the EXIF data is used
+    if (await ffmpeg.hasFfmpeg()) {
+      const frame = await videoFrame(media.Path, 0).catch(() => undefined);
+      if (frame) return frame;
+    }
+    const preview = await exifr.thumbnail(media.Path).catch(() => undefined);
+    return preview ? Buffer.from(preview) : undefined;
+  }
+  if (media.Type === 'music') {
+    try {
+      const cover = await tags.readCover(media.Path);
+      if (cover) return cover.data;
+    } catch {}
+  }
+  if (media.Type === 'book') {
+    const book = await db.books.get(hash);
+    if (book && book.CoverPath) {
+      const cover = await ebook.readEpubFile(media.Path, book.CoverPath);
+      if (cover) return cover;
+    }
+    return undefined;
+  }
+  // Artwork next to the media, the poster is made to be shown small
+  const artwork = (await db.metadata.get(hash)).sidecars.filter(sidecar => sidecar.Kind !== 'subtitle');
+  for (const kind of ['poster', 'folder', 'fanart']) {
+    const image = artwork.find(sidecar => sidecar.Kind === kind);
+    if (image) return image.Path;
+  }
+  // A frame of the video, from the start of the video if it is shorter than VIDEO_FRAME_TIME
+  if ((media.Type === 'movie' || media.Type === 'tv') && await ffmpeg.hasFfmpeg()) {
+    return (await videoFrame(media.Path, VIDEO_FRAME_TIME)) || (await videoFrame(media.Path, 0));
+  }
+}
+
+/**
+ * Generate the thumbnail of a media item, replacing the cached one if there is one
+ * @param {String} hash SHA-256 hash of the media (hex)
+ * @param {Number} size Size of the thumbnail, one of THUMBNAIL_SIZES
+ * @returns {String} Full path of the thumbnail, undefined if the media has no image to make it from
+ */
+async function generate(hash, size) {
+  const cachePath = thumbnailPath(hash, size);
+  if (generating.has(cachePath)) return await generating.get(cachePath);
+  const generation = (async () => {
+    // Wait for a turn, a generation that finishes hands its turn straight to the next one waiting
+    if (running < MAX_GENERATING) running++;
+    else await new Promise(resolve => waiting.push(resolve));
+    // Written next to the cache path first, so that a half written thumbnail is never served
+    const temporaryPath = `${cachePath}.${process.pid}.tmp`;
+    try {
+      const source = await sourceImage(hash);
+      if (!source) {
+        unavailable.add(hash);
+        return undefined;
+      }
+      await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+      await sharp(source, { failOn: 'none' })
+        .rotate() // Upright, photos are often stored sideways with an EXIF orientation
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toFile(temporaryPath);
+      await fs.promises.rename(temporaryPath, cachePath);
+      return cachePath;
+    } catch (err) {
+      // The image is not one that can be read (or ffmpeg failed), it is treated as if there was none
+      db.log(`[THUMBNAIL] Unable to make the thumbnail of ${hash}: ${err.message}`, 'warning');
+      unavailable.add(hash);
+      try { await fs.promises.unlink(temporaryPath) } catch {}
+      return undefined;
+    } finally {
+      if (waiting.length > 0) waiting.shift()();
+      else running--;
+    }
+  })();
+  generating.set(cachePath, generation);
+  try {
+    return await generation;
+  } finally {
+    generating.delete(cachePath);
+  }
+}
+
+/**
+ * Get the thumbnail of a media item, it is generated if it is not cached yet
+ * @param {String} hash SHA-256 hash of the media (hex)
+ * @param {Number} size Size of the thumbnail, one of THUMBNAIL_SIZES
+ * @returns {String} Full path of the thumbnail, undefined if the media has no image to make it from
+ */
+async function getThumbnail(hash, size) {
+  if (!/^[0-9a-f]{64}$/.test(hash) || !THUMBNAIL_SIZES.includes(size)) return undefined;
+  const cachePath = thumbnailPath(hash, size);
+  try {
+    await fs.promises.access(cachePath);
+    return cachePath;
+  } catch {}
+  if (unavailable.has(hash)) return undefined;
+  return await generate(hash, size);
+}
+
+/**
+ * Forget the thumbnails of a media item, eg. when its artwork changed. They are generated again when they are needed.
+ * @param {String} hash SHA-256 hash of the media (hex)
+ */
+async function remove(hash) {
+  unavailable.delete(hash);
+  for (const size of THUMBNAIL_SIZES) {
+    try { await fs.promises.unlink(thumbnailPath(hash, size)) } catch {}
+  }
+}
+
+/**
+ * Delete the cached thumbnails of the media that is no longer in the library
+ * @param {Set} hashes Hashes of the media whose thumbnails are kept
+ * @returns {Number} Number of thumbnails that were deleted
+ */
+async function prune(hashes) {
+  let deleted = 0;
+  let directories;
+  try { directories = await fs.promises.readdir(cacheDirectory(), { withFileTypes: true }) } catch {
+    // Nothing has been cached yet
+    return 0;
+  }
+  for (const directory of directories.filter(item => item.isDirectory())) {
+    const directoryPath = path.join(cacheDirectory(), directory.name);
+    for (const file of await fs.promises.readdir(directoryPath)) {
+      const filePath = path.join(directoryPath, file);
+      const match = file.match(/^([0-9a-f]{64})-\d+\.webp$/);
+      if (match && hashes.has(match[1])) continue;
+      try {
+        // Temporary files are only left over once they are old, newer ones may still be being written
+        if (file.endsWith('.tmp') && Date.now() - (await fs.promises.stat(filePath)).mtimeMs < TEMPORARY_FILE_AGE) continue;
+        await fs.promises.unlink(filePath);
+        deleted++;
+      } catch {}
+    }
+  }
+  return deleted;
+}
+
+// Export the public functions to be used elsewhere
+module.exports = { getThumbnail, generate, remove, prune, THUMBNAIL_SIZES, DEFAULT_THUMBNAIL_SIZE };
@@ -0,0 +1,167 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * totp.js - Two-factor logins with the time-based one-time passwords of authenticator apps (TOTP, RFC 6238): six
+ *           digit codes that change every 30 seconds, made from a secret that the app and the server share.
+ *         - Accounts that enable it get recovery codes for when the app is lost, each one works once. Only their
+ *           hashes are kept (in the Users row), the codes themselves are shown once.
+ */
+
+// Require dependencies
+const path = require('path');
+const crypto = require('crypto');
+const db = require(path.join(__dirname, 'db.js'));
+
+// Seconds that a code is valid for, and its digits (the defaults that every authenticator app uses)
+const TIME_STEP = 30;
+const DIGITS = 6;
+// Steps before and after the current one that are accepted, for clocks that are a little off
+const STEP_WINDOW = 1;
+// Bytes of a secret (160 bits, as recommended by RFC 4226)
+const SECRET_BYTES = 20;
+// Number of recovery codes, and their random bytes (shown as hex, in two groups of five)
+const RECOVERY_CODES = 10;
+const RECOVERY_CODE_BYTES = 5;
+// Issuer shown by the authenticator apps
+const ISSUER = 'nelfe';
+
+// Alphabet of base32 (RFC 4648), the encoding that authenticator apps take secrets in
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32, without padding
+ * @param {Buffer} bytes Bytes to encode
+ * @returns {String} Base32 text
+ */
+function base32Encode(bytes) {
+  let text = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      text += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) text += BASE32[(value << (5 - bits)) & 31];
+  return text;
+}
+
+/**
+ * Decode base32 text, padding, spaces and lower case letters are allowed
+ * @param {String} text Base32 text
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(text) {
+  let bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const character of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32.indexOf(character);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Make a new secret for an authenticator app
+ * @returns {String} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Work out the code of a time step (HOTP, RFC 4226, with the step as the counter)
+ * @param {String} secret Base32 secret
+ * @param {Number} step Time step (seconds since the epoch divided by TIME_STEP)
+ * @returns {String} Code, with leading zeros
+ */
+function stepCode(secret, step) {
+  let counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  // Dynamic truncation: four bytes at the offset given by the last half byte
+  const offset = hmac[hmac.length - 1] & 15;
+  const number = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(number % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code from an authenticator app
+ * @param {String} secret Base32 secret
+ * @param {String} code Code that was entered, spaces are ignored
+ * @returns {Number} Time step of the code, or undefined if it is not valid now
+ */
+function verify(secret, code) {
+  code = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^[0-9]{${DIGITS}}$`).test(code)) return undefined;
+  const now = Math.floor(Date.now() / 1000 / TIME_STEP);
+  for (let step = now - STEP_WINDOW; step <= now + STEP_WINDOW; step++) {
+    // Compared in constant time, so that a code can not be worked out one digit at a time
+    if (crypto.timingSafeEqual(Buffer.from(stepCode(secret, step)), Buffer.from(code))) return step;
+  }
+  return undefined;
+}
+
+/**
+ * Build the otpauth:// URL that authenticator apps are set up with (usually as a QR code)
+ * @param {String} secret Base32 secret
+ * @param {String} accountName Name of the account, shown by the app
+ * @returns {String} otpauth URL
+ */
+function otpauthURL(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${TIME_STEP}`;
+}
+
+/**
+ * Hash a recovery code, the way it is kept in the database
+ * @param {String} code Recovery code, case, spaces and dashes are ignored
+ * @returns {String} SHA-256 hash (hex)
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^0-9a-z]/g, '')).digest('hex');
+}
+
+/**
+ * Make a new set of recovery codes
+ * @returns {Object} { codes, hashes } - codes to show to the user once, hashes to save (db.user.update)
+ */
+function generateRecoveryCodes() {
+  let codes = [];
+  for (let i = 0; i < RECOVERY_CODES; i++) {
+    const hex = crypto.randomBytes(RECOVERY_CODE_BYTES).toString('hex');
+    codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+  }
+  return { codes: codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Check the second factor of a login, a code from the authenticator app or a recovery code. Either is used up.
+ * @param {Object} account Users row of the account, with two-factor logins enabled
+ * @param {String} input Code that was entered
+ * @returns {String} 'code' or 'recovery' for the kind of code that was accepted, or undefined if it was not
+ */
+async function checkLogin(account, input) {
+  if (typeof input !== 'string' || !account.TotpSecret) return undefined;
+  const step = verify(account.TotpSecret, input);
+  if (step !== undefined) return (await db.user.useTotpStep(account.AccountID, step)) ? 'code' : undefined;
+  if (input.replace(/[^0-9a-z]/gi, '').length !== RECOVERY_CODE_BYTES * 2) return undefined;
+  return (await db.user.useRecoveryCode(account.AccountID, hashRecoveryCode(input))) ? 'recovery' : undefined;
+}
+
+// Export the public functions to be used elsewhere
+module.exports = { generateSecret, verify, otpauthURL, generateRecoveryCodes, checkLogin };
@@ -0,0 +1,323 @@
+/*
+ * nelfe (Node-Express Library Front End)
+ *   A web based portal/front end for consuming locally stored movies, music, and ebooks.
+ * 
+ * Konstantin Zaremski - 6 February 2022
+ * See LICENSE.
+ * 
+ * transcode.js - Plays media that the browser can not play itself by converting it with ffmpeg as it is watched.
+ *              - The browser says which containers and codecs it plays. Media that it plays is streamed as it is
+ *                (direct), media whose streams it plays in a container it does not (eg. H.264 in MKV) is copied
+ *                into one that it does (remux), and the streams that it can not play are converted to H.264/AAC
+ *                (transcode).
+ *              - Browsers that play HLS themselves get HLS with fragmented MP4 segments, which ffmpeg writes to
+ *                <cache>/<session>/. Other browsers get a single fragmented MP4 that is streamed from ffmpeg.
+ *              - Every playback is a session, only so many may run at the same time. A session ends when the
+ *                player says so, when the browser starts another playback or logs out, or when it has not been used
+ *                for TRANSCODE_IDLE_TIME. Its segments are deleted with it.
+ *              - The cache directory is TRANSCODE_CACHE in config.env (default ./cache/transcode), it is emptied when
+ *                the server starts.
+ */
+
+// Require dependencies
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const db = require(path.join(__dirname, 'db.js'));
+const ffmpeg = require(path.join(__dirname, 'ffmpeg.js'));
+
+// Containers, by the names of ffprobe, and the name that browsers declare them by
+const CONTAINERS = { 'mov,mp4,m4a,3gp,3g2,mj2': 'mp4', 'matroska,webm': 'mkv', 'ogg': 'ogg', 'mp3': 'mp3', 'flac': 'flac', 'wav': 'wav', 'avi': 'avi', 'mpegts': 'ts' };
+// Codecs that can be copied into MP4 segments as they are, the others are converted
+const MP4_VIDEO_CODECS = ['h264', 'hevc', 'av1', 'vp9'];
+const MP4_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'flac', 'ac3', 'eac3'];
+// Seconds of media in each HLS segment
+const SEGMENT_DURATION = 6;
+// Milliseconds after which a session that has not been used is ended, a paused player stops loading segments
+const TRANSCODE_IDLE_TIME = 10 * 60 * 1000;
+// Milliseconds between the checks for idle sessions
+const IDLE_CHECK_INTERVAL = 60 * 1000;
+// Milliseconds that a request waits for ffmpeg to write the first segment and its playlist
+const PLAYLIST_WAIT = 30000;
+// Characters of ffmpeg's error output that are kept for the log
+const MAX_ERROR_OUTPUT = 2000;
+
+// Running sessions, by their ID
+let sessions = new Map();
+
+// The configuration is loaded by main.js after this file is required, so it is read when it is needed
+const cacheDirectory = () => process.env.TRANSCODE_CACHE || path.join(__dirname, 'cache', 'transcode');
+
+/**
+ * Name the container of a media file the way browsers declare it
+ * @param {String} filePath Full path of the media file
+ * @param {String} format Container names of ffprobe (eg. "matroska,webm")
+ * @returns {String} Container name (eg. mp4, webm, mkv)
+ */
+function containerName(filePath, format) {
+  const container = CONTAINERS[format] || format.split(',')[0];
+  // ffprobe does not tell Matroska and WebM apart, they are told apart by their extension
+  if (container === 'mkv' && path.extname(filePath).toLowerCase() === '.webm') return 'webm';
+  return container;
+}
+
+/**
+ * Name a codec the way browsers declare it, PCM has many sample formats that browsers play as one
+ * @param {String} codec Codec name of ffprobe
+ * @returns {String} Codec name
+ */
+function codecName(codec) {
+  return (codec && codec.startsWith('pcm_')) ? 'pcm' : codec;
+}
+
+/**
+ * Choose how a media file is played in a browser
+ * @param {Object} media { container, video, audio } - container and codec names (video/audio undefined if there is none)
+ * @param {Object} support { containers, videoCodecs, audioCodecs } - what the browser plays
+ * @returns {Object} { method, video, audio } - method: direct, remux or transcode, video/audio: copy or transcode
+ */
+function choose(media, support) {
+  const video = (!media.video || (support.videoCodecs.includes(media.video) && MP4_VIDEO_CODECS.includes(media.video))) ? 'copy' : 'transcode';
+  const audio = (!media.audio || (support.audioCodecs.includes(media.audio) && MP4_AUDIO_CODECS.includes(media.audio))) ? 'copy' : 'transcode';
+  const playable = (!media.video || support.videoCodecs.includes(media.video)) && (!media.audio || support.audioCodecs.includes(media.audio));
+  if (playable && support.containers.includes(media.container)) return { method: 'direct' };
+  return { method: (video === 'copy' && audio === 'copy') ? 'remux' : 'transcode', video: video, audio: audio };
+}
+
+/**
+ * Build the arguments of ffmpeg for a session
+ * @param {Object} session The session
+ * @param {String} output hls, or mp4 for a single stream to stdout
+ * @returns {Array} Arguments of ffmpeg
+ */
+function ffmpegArguments(session, output) {
+  // Seeking before the input is fast, the output starts at zero
+  let args = ['-v', 'error', '-nostdin'];
+  if (session.start > 0) args.push('-ss', String(session.start));
+  args.push('-i', session.path);
+  if (session.video) {
+    args.push('-map', '0:v:0');
+    if (session.plan.video === 'copy') {
+      args.push('-c:v', 'copy');
+      // Safari only plays HEVC in MP4 with this tag
+      if (session.video === 'hevc') args.push('-tag:v', 'hvc1');
+    } else {
+      // Keyframes at the segment boundaries, so that every segment can be played on its own
+      args.push('-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+        '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_DURATION})`);
+    }
+  }
+  if (session.audio) {
+    args.push('-map', '0:a:0');
+    if (session.plan.audio === 'copy') args.push('-c:a', 'copy');
+    else args.push('-c:a', 'aac', '-b:a', '192k', '-ac', '2');
+  }
+  args.push('-sn', '-dn');
+  if (output === 'hls') {
+    args.push('-f', 'hls', '-hls_time', String(SEGMENT_DURATION), '-hls_playlist_type', 'event',
+      '-hls_segment_type', 'fmp4', '-hls_fmp4_init_filename', 'init.mp4',
+      '-hls_segment_filename', path.join(session.directory, 'segment%d.m4s'), path.join(session.directory, 'index.m3u8'));
+  } else {
+    // Fragmented, so that it can be played before it is complete
+    args.push('-movflags', 'frag_keyframe+empty_moov+default_base_moof', '-f', 'mp4', 'pipe:1');
+  }
+  return args;
+}
+
+/**
+ * Run ffmpeg for a session, the session keeps the process until it exits
+ * @param {Object} session The session
+ * @param {String} output hls, or mp4 for a single stream to stdout
+ * @returns {ChildProcess} The ffmpeg process
+ */
+function runFfmpeg(session, output) {
+  const child = spawn(ffmpeg.ffmpegPath(), ffmpegArguments(session, output), { stdio: ['ignore', (output === 'hls') ? 'ignore' : 'pipe', 'pipe'] });
+  let errors = '';
+  child.stderr.on('data', (chunk) => { errors = (errors + chunk.toString('utf8')).slice(-MAX_ERROR_OUTPUT) });
+  session.child = child;
+  session.exited = new Promise((resolve) => {
+    child.on('error', (err) => { errors = err.message });
+    child.on('close', (code, signal) => {
+      if (session.child === child) session.child = undefined;
+      // Processes that were stopped (signal) did not fail
+      if (code !== 0 && !signal) {
+        session.failed = true;
+        db.log(`[TRANSCODE] ffmpeg failed to convert "${session.path}": ${errors.trim() || `exit code ${code}`}`, 'error');
+      }
+      if (code === 0) session.finished = true;
+      resolve();
+    });
+  });
+  return child;
+}
+
+/**
+ * Count the sessions that are converting, finished and failed ones do not count
+ * @returns {Number} Number of running sessions
+ */
+function running() {
+  return Array.from(sessions.values()).filter(session => !session.finished && !session.failed).length;
+}
+
+/**
+ * Decide how a media file is played, and start converting it if the browser can not play it as it is
+ * @param {Object} options { hash, path, type, accountID, sessionID, support, start, limit }
+ *                         hash/path/type: the media, accountID/sessionID: who plays it (the login session),
+ *                         support: { containers, videoCodecs, audioCodecs, hls } what the browser plays, start: seconds
+ *                         into the media to start at, limit: the most sessions that may run at the same time
+ * @returns {Object} { method, session, format, url, start, duration } - format is hls or mp4 (not for direct), or
+ *                   { error } if the limit has been reached
+ */
+async function start(options) {
+  const direct = { method: 'direct', url: `/api/media/${options.hash}/stream`, start: 0 };
+  // Without the declared support (or ffmpeg, or when transcoding is turned off) the browser is left to try
+  if (!options.support || options.limit === 0 || !(await ffmpeg.hasFfprobe())) return direct;
+  const probed = await ffmpeg.probe(options.path, options.hash);
+  const media = {
+    container: containerName(options.path, probed.format),
+    video: (options.type === 'music' || !probed.video) ? undefined : codecName(probed.video.codec),
+    audio: probed.audio ? codecName(probed.audio.codec) : undefined
+  };
+  const plan = choose(media, options.support);
+  if (plan.method === 'direct') return Object.assign(direct, { duration: probed.duration });
+  // A browser plays one thing at a time, what it played before is no longer needed
+  for (const session of sessions.values()) {
+    if (session.sessionID === options.sessionID) await stop(session.id);
+  }
+  if (running() >= options.limit) return { error: 'Too many media are being converted, please try again later' };
+  let session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    hash: options.hash,
+    path: options.path,
+    accountID: options.accountID,
+    sessionID: options.sessionID,
+    format: options.support.hls ? 'hls' : 'mp4',
+    start: (options.start > 0 && options.start < (probed.duration || Infinity)) ? options.start : 0,
+    video: media.video,
+    audio: media.audio,
+    plan: plan,
+    lastUsed: Date.now()
+  };
+  session.directory = path.join(cacheDirectory(), session.id);
+  sessions.set(session.id, session);
+  if (session.format === 'hls') {
+    await fs.promises.mkdir(session.directory, { recursive: true });
+    runFfmpeg(session, 'hls');
+  }
+  db.log(`[TRANSCODE] Started to ${plan.method} "${options.path}" as ${session.format} (video ${plan.video}, audio ${plan.audio})`, 'debug');
+  return {
+    method: plan.method,
+    session: session.id,
+    format: session.format,
+    url: `/api/transcode/${session.id}/${session.format === 'hls' ? 'index.m3u8' : 'stream.mp4'}`,
+    start: session.start,
+    duration: probed.duration
+  };
+}
+
+/**
+ * Get a session of an account, using it keeps it from being ended as idle
+ * @param {String} id ID of the session
+ * @param {Number} accountID AccountID of the logged in user, sessions are only used by the account that started them
+ * @returns {Object} The session, undefined if there is none
+ */
+function get(id, accountID) {
+  const session = sessions.get(id);
+  if (!session || session.accountID !== accountID) return undefined;
+  session.lastUsed = Date.now();
+  return session;
+}
+
+/**
+ * Get the path of a file of an HLS session, waiting for ffmpeg to write the playlist if it has not yet
+ * @param {Object} session The session
+ * @param {String} file index.m3u8, init.mp4 or segment<number>.m4s
+ * @returns {String} Full path of the file, undefined if there is no such file (or ffmpeg failed)
+ */
+async function hlsFile(session, file) {
+  if (session.format !== 'hls' || !/^(index\.m3u8|init\.mp4|segment\d+\.m4s)$/.test(file)) return undefined;
+  const filePath = path.join(session.directory, file);
+  const waitUntil = Date.now() + PLAYLIST_WAIT;
+  while (true) {
+    try {
+      await fs.promises.access(filePath);
+      return filePath;
+    } catch {}
+    // Segments are listed in the playlist once they are written, only the playlist itself is waited for
+    if (file !== 'index.m3u8' || !session.child || Date.now() > waitUntil) return undefined;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+}
+
+/**
+ * Stream a session as a single fragmented MP4, a request replaces the stream of an earlier one
+ * @param {Object} session The session
+ * @param {*} res Express response object
+ */
+async function streamMp4(session, res) {
+  if (session.child) {
+    session.child.kill('SIGKILL');
+    await session.exited;
+  }
+  session.failed = session.finished = false;
+  const child = runFfmpeg(session, 'mp4');
+  res.set('Content-Type', 'video/mp4');
+  res.set('Cache-Control', 'no-store');
+  child.stdout.pipe(res);
+  // The player went away (or seeked, which is a new request), the conversion is no longer needed
+  res.on('close', () => child.kill('SIGKILL'));
+  // Streaming counts as using the session, a long film is streamed for longer than the idle time
+  child.stdout.on('data', () => { session.lastUsed = Date.now() });
+}
+
+/**
+ * End a session, stopping ffmpeg and deleting its segments
+ * @param {String} id ID of the session
+ */
+async function stop(id) {
+  const session = sessions.get(id);
+  if (!session) return;
+  sessions.delete(id);
+  if (session.child) {
+    session.child.kill('SIGKILL');
+    await session.exited;
+  }
+  try { await fs.promises.rm(session.directory, { recursive: true, force: true }) } catch {}
+  db.log(`[TRANSCODE] Ended the session of "${session.path}"`, 'debug');
+}
+
+/**
+ * End the sessions of a login session, eg. when it logs out
+ * @param {String} sessionID ID of the login session (req.sessionID)
+ */
+async function stopSessions(sessionID) {
+  for (const session of Array.from(sessions.values())) {
+    if (session.sessionID === sessionID) await stop(session.id);
+  }
+}
+
+/**
+ * Delete what is left in the cache directory, from a server that did not end its sessions (eg. it was killed)
+ */
+async function clean() {
+  for (const session of Array.from(sessions.values())) await stop(session.id);
+  try { await fs.promises.rm(cacheDirectory(), { recursive: true, force: true }) } catch {}
+}
+
+// End the sessions that have not been used for a while
+setInterval(() => {
+  for (const session of Array.from(sessions.values())) {
+    if (Date.now() - session.lastUsed > TRANSCODE_IDLE_TIME) stop(session.id);
+  }
+}, IDLE_CHECK_INTERVAL).unref();
+
+// ffmpeg would otherwise keep on converting when the server exits
+process.on('exit', () => {
+  for (const session of sessions.values()) {
+    if (session.child) session.child.kill('SIGKILL');
+  }
+});
+
+// Export the public functions to be used elsewhere
+module.exports = { start, get, hlsFile, streamMp4, stop, stopSessions, clean, choose };